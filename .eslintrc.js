@@ -1,4 +1,18 @@
 module.exports = {
   root: true,
   extends: '@react-native',
+  overrides: [
+    {
+      files: ['jest/**/*.js'],
+      env: {
+        jest: true,
+      },
+    },
+    {
+      files: ['mock-server/**/*.js'],
+      env: {
+        node: true,
+      },
+    },
+  ],
 };
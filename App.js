@@ -6,8 +6,6 @@
 import React, { useEffect, useState } from 'react';
 import {
   StatusBar,
-  Platform,
-  PermissionsAndroid,
   Alert,
   View,
   Text,
@@ -15,6 +13,13 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import AppNavigator from './src/navigation/AppNavigator';
+import { startOutbox } from './src/services/outbox';
+import { initializeEnvironment } from './src/services/environment';
+import {
+  checkLocationPermission,
+  requestLocationPermission,
+  PERMISSION_STATUS,
+} from './src/services/permissions';
 import colors from './src/constants/colors';
 
 /**
@@ -33,74 +38,6 @@ const SplashScreen = () => (
   </View>
 );
 
-/**
- * Request location permissions for Android
- * @returns {Promise<boolean>} Permission granted status
- */
-const requestLocationPermissions = async () => {
-  if (Platform.OS === 'ios') {
-    // iOS permissions are handled in Info.plist and at runtime
-    return true;
-  }
-
-  try {
-    if (Platform.Version >= 23) {
-      // Android 6.0 and above
-      const permissions = [
-        PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-        PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
-      ];
-
-      // Request background location for Android 10+ (API 29+)
-      if (Platform.Version >= 29) {
-        permissions.push(PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION);
-      }
-
-      const granted = await PermissionsAndroid.requestMultiple(permissions);
-
-      const fineLocationGranted =
-        granted['android.permission.ACCESS_FINE_LOCATION'] ===
-        PermissionsAndroid.RESULTS.GRANTED;
-
-      const coarseLocationGranted =
-        granted['android.permission.ACCESS_COARSE_LOCATION'] ===
-        PermissionsAndroid.RESULTS.GRANTED;
-
-      return fineLocationGranted || coarseLocationGranted;
-    }
-
-    return true;
-  } catch (err) {
-    console.error('Permission request error:', err);
-    return false;
-  }
-};
-
-/**
- * Check if location permissions are already granted
- * @returns {Promise<boolean>} Permission status
- */
-const checkLocationPermissions = async () => {
-  if (Platform.OS === 'ios') {
-    return true;
-  }
-
-  try {
-    const fineLocation = await PermissionsAndroid.check(
-      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION
-    );
-
-    const coarseLocation = await PermissionsAndroid.check(
-      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION
-    );
-
-    return fineLocation || coarseLocation;
-  } catch (err) {
-    console.error('Permission check error:', err);
-    return false;
-  }
-};
-
 /**
  * Main App Component
  */
@@ -120,10 +57,20 @@ const App = () => {
    */
   const initializeApp = async () => {
     try {
+      // Apply the developer's environment choice before anything reads storage
+      await initializeEnvironment();
+
+      // Replay trip uploads queued while offline or before a restart
+      startOutbox();
+
       // Check if permissions are already granted
-      const hasExistingPermissions = await checkLocationPermissions();
+      const existing = await checkLocationPermission();
 
-      if (hasExistingPermissions) {
+      // Background access is asked for before a trip starts, not on every launch
+      if (
+        existing.status === PERMISSION_STATUS.GRANTED ||
+        existing.status === PERMISSION_STATUS.WHEN_IN_USE
+      ) {
         setHasPermissions(true);
         // Add small delay for smooth transition
         setTimeout(() => {
@@ -131,9 +78,14 @@ const App = () => {
         }, 1000);
       } else {
         // Request permissions
-        const granted = await requestLocationPermissions();
-
-        if (granted) {
+        const { status } = await requestLocationPermission({
+          background: false,
+        });
+
+        if (
+          status === PERMISSION_STATUS.GRANTED ||
+          status === PERMISSION_STATUS.WHEN_IN_USE
+        ) {
           setHasPermissions(true);
         } else {
           // Show alert if permissions denied
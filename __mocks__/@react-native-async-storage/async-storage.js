@@ -0,0 +1,5 @@
+/**
+ * In-memory AsyncStorage shipped with the package for Jest
+ */
+
+module.exports = require('@react-native-async-storage/async-storage/jest/async-storage-mock');
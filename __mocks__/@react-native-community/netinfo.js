@@ -0,0 +1,58 @@
+/**
+ * Fake of @react-native-community/netinfo
+ * Starts connected; __setConnected flips connectivity and notifies
+ * listeners. Like the library, a new listener first hears the current state.
+ */
+
+const listeners = new Set();
+
+const state = {
+  connected: true,
+};
+
+/**
+ * Build a NetInfo state object
+ * @returns {Object} {isConnected, isInternetReachable, type}
+ */
+const getState = () => ({
+  isConnected: state.connected,
+  isInternetReachable: state.connected,
+  type: state.connected ? 'wifi' : 'none',
+});
+
+const NetInfo = {
+  addEventListener: jest.fn((listener) => {
+    listeners.add(listener);
+    listener(getState());
+    return () => {
+      listeners.delete(listener);
+    };
+  }),
+
+  fetch: jest.fn(async () => getState()),
+
+  /**
+   * Change connectivity and notify listeners
+   * @param {boolean} connected - True if the device is online
+   */
+  __setConnected: (connected) => {
+    if (state.connected === connected) {
+      return;
+    }
+    state.connected = connected;
+    [...listeners].forEach((listener) => listener(getState()));
+  },
+
+  /**
+   * Count subscribed listeners
+   * @returns {number} Listener count
+   */
+  __getListenerCount: () => listeners.size,
+
+  // Listeners stay subscribed - their owners remove them when they stop
+  __reset: () => {
+    state.connected = true;
+  },
+};
+
+module.exports = NetInfo;
@@ -0,0 +1,56 @@
+/**
+ * In-memory fake of react-native-background-actions
+ * start only records the task; tests run it with __runTask. Running it on
+ * start would leave its polling loop holding timers after the test ends.
+ */
+
+const state = {
+  running: false,
+  task: null,
+  options: null,
+};
+
+const BackgroundService = {
+  start: jest.fn(async (task, options) => {
+    state.running = true;
+    state.task = task;
+    state.options = options;
+  }),
+
+  stop: jest.fn(async () => {
+    state.running = false;
+  }),
+
+  isRunning: jest.fn(() => state.running),
+
+  updateNotification: jest.fn(async (options) => {
+    state.options = { ...state.options, ...options };
+  }),
+
+  on: jest.fn(),
+
+  /**
+   * Run the started task with its parameters
+   * The task returns once the service is stopped.
+   * @returns {Promise<void>}
+   */
+  __runTask: async () => {
+    if (state.task) {
+      await state.task(state.options?.parameters);
+    }
+  },
+
+  /**
+   * Get the options of the running service, including notification updates
+   * @returns {Object|null} Service options
+   */
+  __getOptions: () => state.options,
+
+  __reset: () => {
+    state.running = false;
+    state.task = null;
+    state.options = null;
+  },
+};
+
+module.exports = BackgroundService;
@@ -0,0 +1,105 @@
+/**
+ * In-memory fake of react-native-background-fetch
+ * The OS never wakes the app in tests, so __fetch and __timeout run the
+ * configured callbacks the way a scheduled fetch would.
+ */
+
+const DEFAULT_TASK_ID = 'react-native-background-fetch';
+
+const state = {
+  status: 2,
+  config: null,
+  onEvent: null,
+  onTimeout: null,
+  headlessTask: null,
+  started: false,
+};
+
+const BackgroundFetch = {
+  STATUS_RESTRICTED: 0,
+  STATUS_DENIED: 1,
+  STATUS_AVAILABLE: 2,
+
+  configure: jest.fn(async (config, onEvent, onTimeout) => {
+    state.config = config;
+    state.onEvent = onEvent;
+    state.onTimeout = onTimeout;
+    state.started = true;
+    return state.status;
+  }),
+
+  start: jest.fn(async () => {
+    state.started = true;
+    return state.status;
+  }),
+
+  stop: jest.fn(async () => {
+    state.started = false;
+    return true;
+  }),
+
+  status: jest.fn(async () => state.status),
+
+  finish: jest.fn(),
+
+  scheduleTask: jest.fn(async () => true),
+
+  registerHeadlessTask: jest.fn((task) => {
+    state.headlessTask = task;
+  }),
+
+  /**
+   * Run the configured fetch callback, as the OS does on schedule
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} False if fetch is stopped or not configured
+   */
+  __fetch: async (taskId = DEFAULT_TASK_ID) => {
+    if (!state.started || !state.onEvent) {
+      return false;
+    }
+    await state.onEvent(taskId);
+    return true;
+  },
+
+  /**
+   * Run the configured timeout callback
+   * @param {string} taskId - Task ID
+   */
+  __timeout: async (taskId = DEFAULT_TASK_ID) => {
+    await state.onTimeout?.(taskId);
+  },
+
+  /**
+   * Run the registered headless task, as Android does after termination
+   * @param {Object} event - Headless event {taskId, timeout}
+   */
+  __runHeadlessTask: async (event = {}) => {
+    await state.headlessTask?.({
+      taskId: DEFAULT_TASK_ID,
+      timeout: false,
+      ...event,
+    });
+  },
+
+  /**
+   * Set the status returned by configure and status
+   * @param {number} status - One of the STATUS_* constants
+   */
+  __setStatus: (status) => {
+    state.status = status;
+  },
+
+  /**
+   * Check if fetch is started
+   * @returns {boolean} True between start and stop
+   */
+  __isStarted: () => state.started,
+
+  // Callbacks stay registered, like the singletons that configured them
+  __reset: () => {
+    state.status = 2;
+    state.started = false;
+  },
+};
+
+module.exports = BackgroundFetch;
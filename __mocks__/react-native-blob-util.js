@@ -0,0 +1,46 @@
+/**
+ * In-memory fake of react-native-blob-util
+ * Covers the fs calls the app makes; files live in a Map keyed by path.
+ */
+
+const files = new Map();
+
+const ReactNativeBlobUtil = {
+  fs: {
+    dirs: {
+      CacheDir: '/cache',
+      DocumentDir: '/documents',
+    },
+
+    writeFile: jest.fn(async (path, content) => {
+      files.set(path, content);
+      return content.length;
+    }),
+
+    readFile: jest.fn(async (path) => {
+      if (!files.has(path)) {
+        throw new Error(`File not found: ${path}`);
+      }
+      return files.get(path);
+    }),
+
+    exists: jest.fn(async (path) => files.has(path)),
+
+    unlink: jest.fn(async (path) => {
+      files.delete(path);
+    }),
+  },
+
+  /**
+   * Get the content of a written file
+   * @param {string} path - File path
+   * @returns {string|undefined} File content
+   */
+  __getFile: (path) => files.get(path),
+
+  __reset: () => {
+    files.clear();
+  },
+};
+
+module.exports = ReactNativeBlobUtil;
@@ -0,0 +1,114 @@
+/**
+ * In-memory fake of react-native-geolocation-service
+ * Tests drive it with __setPosition/__emitPosition instead of a device GPS.
+ * getCurrentPosition answers with the last position set, and every active
+ * watch receives emitted positions.
+ */
+
+const state = {
+  authorization: 'granted',
+  position: null,
+  error: null,
+  watchers: new Map(),
+  nextWatchId: 1,
+};
+
+/**
+ * Build a position in the shape the native module reports
+ * @param {Object} coords - Coordinates, at least latitude and longitude
+ * @param {number} timestamp - Fix time in milliseconds
+ * @returns {Object} Position {coords, timestamp}
+ */
+const toPosition = (coords, timestamp = Date.now()) => ({
+  coords: {
+    accuracy: 5,
+    altitude: null,
+    heading: null,
+    speed: null,
+    ...coords,
+  },
+  timestamp,
+});
+
+const Geolocation = {
+  requestAuthorization: jest.fn(async () => state.authorization),
+
+  getCurrentPosition: jest.fn((onPosition, onError) => {
+    if (state.error) {
+      onError?.(state.error);
+    } else if (state.position) {
+      onPosition(state.position);
+    } else {
+      onError?.({ code: 2, message: 'No location provider available.' });
+    }
+  }),
+
+  watchPosition: jest.fn((onPosition, onError) => {
+    const watchId = state.nextWatchId++;
+    state.watchers.set(watchId, { onPosition, onError });
+    return watchId;
+  }),
+
+  clearWatch: jest.fn((watchId) => {
+    state.watchers.delete(watchId);
+  }),
+
+  stopObserving: jest.fn(() => {
+    state.watchers.clear();
+  }),
+
+  /**
+   * Set the position returned by getCurrentPosition
+   * @param {Object} coords - Coordinates
+   * @param {number} timestamp - Fix time in milliseconds
+   */
+  __setPosition: (coords, timestamp) => {
+    state.position = toPosition(coords, timestamp);
+    state.error = null;
+  },
+
+  /**
+   * Report a new position to every watch
+   * @param {Object} coords - Coordinates
+   * @param {number} timestamp - Fix time in milliseconds
+   */
+  __emitPosition: (coords, timestamp) => {
+    Geolocation.__setPosition(coords, timestamp);
+    [...state.watchers.values()].forEach(({ onPosition }) =>
+      onPosition(state.position)
+    );
+  },
+
+  /**
+   * Fail getCurrentPosition and every watch with a location error
+   * @param {Object} error - Error {code, message}
+   */
+  __emitError: (error) => {
+    state.error = error;
+    [...state.watchers.values()].forEach(({ onError }) => onError?.(error));
+  },
+
+  /**
+   * Set the result of requestAuthorization
+   * @param {string} authorization - 'granted', 'denied', 'disabled' or 'restricted'
+   */
+  __setAuthorization: (authorization) => {
+    state.authorization = authorization;
+  },
+
+  /**
+   * Get the number of active watches
+   * @returns {number} Watch count
+   */
+  __getWatchCount: () => state.watchers.size,
+
+  __reset: () => {
+    state.authorization = 'granted';
+    state.position = null;
+    state.error = null;
+    state.watchers.clear();
+    state.nextWatchId = 1;
+  },
+};
+
+module.exports = Geolocation;
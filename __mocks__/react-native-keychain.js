@@ -0,0 +1,67 @@
+/**
+ * In-memory fake of react-native-keychain
+ * Generic passwords are kept per service, as in the native keychain.
+ */
+
+const state = {
+  entries: new Map(),
+  available: true,
+};
+
+/**
+ * Fail like a device without working secure storage
+ */
+const assertAvailable = () => {
+  if (!state.available) {
+    throw new Error('Keychain is not available');
+  }
+};
+
+const Keychain = {
+  ACCESSIBLE: {
+    WHEN_UNLOCKED: 'AccessibleWhenUnlocked',
+    AFTER_FIRST_UNLOCK: 'AccessibleAfterFirstUnlock',
+    WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'AccessibleWhenUnlockedThisDeviceOnly',
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY:
+      'AccessibleAfterFirstUnlockThisDeviceOnly',
+  },
+
+  setGenericPassword: jest.fn(async (username, password, options = {}) => {
+    assertAvailable();
+    const service = options.service || 'default';
+    state.entries.set(service, { username, password, service });
+    return { service, storage: 'keychain' };
+  }),
+
+  getGenericPassword: jest.fn(async (options = {}) => {
+    assertAvailable();
+    return state.entries.get(options.service || 'default') || false;
+  }),
+
+  resetGenericPassword: jest.fn(async (options = {}) => {
+    assertAvailable();
+    return state.entries.delete(options.service || 'default');
+  }),
+
+  /**
+   * Make every keychain call fail, or work again
+   * @param {boolean} available - Whether the keychain works
+   */
+  __setAvailable: (available) => {
+    state.available = available;
+  },
+
+  /**
+   * Get the stored password of a service
+   * @param {string} service - Keychain service
+   * @returns {string|null} Password or null
+   */
+  __getPassword: (service) => state.entries.get(service)?.password ?? null,
+
+  __reset: () => {
+    state.entries.clear();
+    state.available = true;
+  },
+};
+
+module.exports = Keychain;
@@ -0,0 +1,75 @@
+/**
+ * In-memory fake of react-native-permissions
+ * Every permission starts not asked for ('denied'). request answers with
+ * the result set by __setAnswer, and on iOS allowing location "Always" also
+ * allows it while in use.
+ */
+
+const PERMISSIONS = {
+  IOS: {
+    LOCATION_ALWAYS: 'ios.permission.LOCATION_ALWAYS',
+    LOCATION_WHEN_IN_USE: 'ios.permission.LOCATION_WHEN_IN_USE',
+  },
+};
+
+const RESULTS = {
+  UNAVAILABLE: 'unavailable',
+  BLOCKED: 'blocked',
+  DENIED: 'denied',
+  GRANTED: 'granted',
+  LIMITED: 'limited',
+};
+
+const state = {
+  statuses: {},
+  answer: RESULTS.GRANTED,
+};
+
+/**
+ * Get the stored result of a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {string} One of RESULTS
+ */
+const getStatus = (permission) => state.statuses[permission] || RESULTS.DENIED;
+
+module.exports = {
+  PERMISSIONS,
+  RESULTS,
+
+  check: jest.fn(async (permission) => getStatus(permission)),
+
+  request: jest.fn(async (permission) => {
+    if (getStatus(permission) === RESULTS.DENIED) {
+      state.statuses[permission] = state.answer;
+      if (
+        permission === PERMISSIONS.IOS.LOCATION_ALWAYS &&
+        state.answer === RESULTS.GRANTED
+      ) {
+        state.statuses[PERMISSIONS.IOS.LOCATION_WHEN_IN_USE] = RESULTS.GRANTED;
+      }
+    }
+    return getStatus(permission);
+  }),
+
+  /**
+   * Set the result of a permission, as if changed in Settings
+   * @param {string} permission - One of PERMISSIONS
+   * @param {string} result - One of RESULTS
+   */
+  __setStatus: (permission, result) => {
+    state.statuses[permission] = result;
+  },
+
+  /**
+   * Set how the rider answers the next prompts
+   * @param {string} result - One of RESULTS
+   */
+  __setAnswer: (result) => {
+    state.answer = result;
+  },
+
+  __reset: () => {
+    state.statuses = {};
+    state.answer = RESULTS.GRANTED;
+  },
+};
@@ -0,0 +1,8 @@
+/**
+ * Fake of react-native-share
+ * open resolves as if the share sheet completed.
+ */
+
+module.exports = {
+  open: jest.fn(async () => ({ success: true, message: '' })),
+};
@@ -5,9 +5,35 @@
 import React from 'react';
 import ReactTestRenderer from 'react-test-renderer';
 import App from '../App';
+import { stopOutbox } from '../src/services/outbox';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  stopOutbox();
+  jest.useRealTimers();
+});
 
 test('renders correctly', async () => {
-  await ReactTestRenderer.act(() => {
-    ReactTestRenderer.create(<App />);
+  let renderer: ReactTestRenderer.ReactTestRenderer | undefined;
+
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<App />);
+  });
+
+  // Splash screen, then the auth check
+  await ReactTestRenderer.act(async () => {
+    await jest.advanceTimersByTimeAsync(1000);
+  });
+  await ReactTestRenderer.act(async () => {
+    await jest.advanceTimersByTimeAsync(500);
+  });
+
+  expect(renderer!.root.findAllByProps({ title: 'Login' })).not.toHaveLength(0);
+
+  await ReactTestRenderer.act(async () => {
+    renderer!.unmount();
   });
 });
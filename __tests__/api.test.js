@@ -0,0 +1,85 @@
+/**
+ * @format
+ */
+
+import { apiUrl, createApiMock } from '../jest/apiMock';
+import { syncCoordinates } from '../src/services/api';
+import { AUTH_EVENTS, addAuthListener } from '../src/services/authEvents';
+import {
+  getAuthToken,
+  getRefreshToken,
+  saveAuthToken,
+  saveRefreshToken,
+} from '../src/services/storage';
+
+const coordinates = [{ latitude: 6.9271, longitude: 79.8612, timestamp: 1 }];
+
+describe('token refresh', () => {
+  let mock;
+  let removeListener;
+  let expired;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mock = createApiMock();
+    expired = jest.fn();
+    removeListener = addAuthListener(AUTH_EVENTS.SESSION_EXPIRED, expired);
+
+    await saveAuthToken('old-token');
+    await saveRefreshToken('refresh-1');
+
+    // Only the refreshed token is accepted
+    mock.api
+      .onPost('/trips/sync-coordinates')
+      .reply((config) =>
+        config.headers.Authorization === 'Bearer new-token'
+          ? [200, { success: true, data: { received: 1 } }]
+          : [401, { message: 'Token expired' }]
+      );
+  });
+
+  afterEach(() => {
+    removeListener();
+    mock.restore();
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('refreshes once for requests that fail together', async () => {
+    mock.refresh
+      .onPost(apiUrl('/auth/refresh'))
+      .reply(200, { data: { token: 'new-token', refresh_token: 'refresh-2' } });
+
+    const results = await Promise.all([
+      syncCoordinates(501, coordinates),
+      syncCoordinates(501, coordinates),
+    ]);
+
+    expect(results.map((result) => result.success)).toEqual([true, true]);
+    expect(mock.refresh.history.post).toHaveLength(1);
+    expect(mock.api.history.post).toHaveLength(4);
+    expect(await getAuthToken()).toBe('new-token');
+    expect(await getRefreshToken()).toBe('refresh-2');
+    expect(expired).not.toHaveBeenCalled();
+  });
+
+  test('rejects every waiting request when the refresh fails', async () => {
+    mock.refresh
+      .onPost(apiUrl('/auth/refresh'))
+      .reply(401, { message: 'Refresh token expired' });
+
+    const results = await Promise.all([
+      syncCoordinates(501, coordinates),
+      syncCoordinates(501, coordinates),
+    ]);
+
+    expect(results.map((result) => result.success)).toEqual([false, false]);
+    expect(results.map((result) => result.error.status)).toEqual([401, 401]);
+    expect(mock.refresh.history.post).toHaveLength(1);
+    expect(mock.api.history.post).toHaveLength(2);
+    expect(await getAuthToken()).toBeNull();
+    expect(await getRefreshToken()).toBeNull();
+    expect(expired).toHaveBeenCalled();
+  });
+});
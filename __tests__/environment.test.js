@@ -0,0 +1,128 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from '../src/services/api';
+import { CONFIG, resolveConfig } from '../src/constants/config';
+import {
+  BUILD_ENVIRONMENT,
+  ENVIRONMENTS,
+  ENVIRONMENT_PROFILES,
+} from '../src/constants/environments';
+import {
+  getEnvironment,
+  initializeEnvironment,
+  setEnvironment,
+} from '../src/services/environment';
+import {
+  getAuthToken,
+  getRiderId,
+  saveAuthToken,
+  saveRiderId,
+  saveTripData,
+} from '../src/services/storage';
+
+describe('environment profiles', () => {
+  test('builds for production when APP_ENV is not set', () => {
+    expect(BUILD_ENVIRONMENT).toBe(ENVIRONMENTS.PRODUCTION);
+    expect(CONFIG.environment.name).toBe(ENVIRONMENTS.PRODUCTION);
+    expect(CONFIG.storage.namespace).toBe('@express_rider');
+  });
+
+  test('applies profile overrides on top of the defaults', () => {
+    const production = resolveConfig(ENVIRONMENTS.PRODUCTION);
+    const local = resolveConfig(ENVIRONMENTS.LOCAL);
+
+    expect(local.api.baseUrl).toBe(
+      ENVIRONMENT_PROFILES[ENVIRONMENTS.LOCAL].apiBaseUrl
+    );
+    expect(local.tracking.batchSize).toBe(10);
+    expect(local.tracking.minDistance).toBe(production.tracking.minDistance);
+    expect(local.history).toEqual(production.history);
+  });
+
+  test('falls back to the default profile for unknown names', () => {
+    expect(resolveConfig('moon').environment.name).toBe(
+      ENVIRONMENTS.PRODUCTION
+    );
+  });
+});
+
+describe('switching environments', () => {
+  afterEach(async () => {
+    await AsyncStorage.clear();
+    await setEnvironment(BUILD_ENVIRONMENT);
+  });
+
+  test('points CONFIG and the API client at the new backend', async () => {
+    const result = await setEnvironment(ENVIRONMENTS.STAGING);
+    const staging = ENVIRONMENT_PROFILES[ENVIRONMENTS.STAGING];
+
+    expect(result.success).toBe(true);
+    expect(getEnvironment().name).toBe(ENVIRONMENTS.STAGING);
+    expect(CONFIG.api.baseUrl).toBe(staging.apiBaseUrl);
+    expect(apiService.apiClient.defaults.baseURL).toBe(staging.apiBaseUrl);
+  });
+
+  test('restores the defaults the previous profile overrode', async () => {
+    const { tracking } = CONFIG;
+    const batchSize = tracking.batchSize;
+
+    await setEnvironment(ENVIRONMENTS.LOCAL);
+    expect(tracking.batchSize).toBe(10);
+
+    await setEnvironment(ENVIRONMENTS.STAGING);
+    expect(tracking.batchSize).toBe(batchSize);
+  });
+
+  test('keeps storage separate for each environment', async () => {
+    await saveRiderId(7);
+    await saveAuthToken('production-token');
+
+    await setEnvironment(ENVIRONMENTS.LOCAL);
+    expect(await getRiderId()).toBeNull();
+    expect(await getAuthToken()).toBeNull();
+    await saveRiderId(1);
+
+    await setEnvironment(ENVIRONMENTS.PRODUCTION);
+    expect(await getRiderId()).toBe('7');
+    expect(await getAuthToken()).toBe('production-token');
+  });
+
+  test('refuses to switch during an active trip', async () => {
+    await saveTripData({ trip_id: 5, status: 'active' });
+
+    const result = await setEnvironment(ENVIRONMENTS.LOCAL);
+
+    expect(result.success).toBe(false);
+    expect(getEnvironment().name).toBe(ENVIRONMENTS.PRODUCTION);
+    await AsyncStorage.clear();
+  });
+
+  test('rejects unknown environments', async () => {
+    const result = await setEnvironment('moon');
+
+    expect(result.success).toBe(false);
+    expect(getEnvironment().name).toBe(ENVIRONMENTS.PRODUCTION);
+  });
+
+  test('applies the saved choice on the next launch', async () => {
+    await setEnvironment(ENVIRONMENTS.LOCAL);
+    const saved = await AsyncStorage.getItem(
+      '@express_rider:environment_override'
+    );
+    expect(saved).toBe(ENVIRONMENTS.LOCAL);
+
+    // Simulate a restart: CONFIG is back to the build profile
+    Object.assign(CONFIG.api, resolveConfig(BUILD_ENVIRONMENT).api);
+    Object.assign(CONFIG.environment, { name: BUILD_ENVIRONMENT });
+
+    const profile = await initializeEnvironment();
+
+    expect(profile.name).toBe(ENVIRONMENTS.LOCAL);
+    expect(apiService.apiClient.defaults.baseURL).toBe(
+      ENVIRONMENT_PROFILES[ENVIRONMENTS.LOCAL].apiBaseUrl
+    );
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @format
+ */
+
+import {
+  REJECTION_REASONS,
+  createRejectionCounts,
+  evaluateFix,
+} from '../src/services/fixFilter';
+import { METERS_PER_DEGREE } from '../src/services/haversine';
+
+const OPTIONS = { accuracyThreshold: 50, maxSpeed: 40 };
+
+/**
+ * Build a fix `meters` north of the start, `seconds` after it
+ * @param {number} meters - Distance from the start
+ * @param {number} seconds - Time since the start
+ * @param {number} accuracy - Accuracy radius in meters
+ * @returns {Object} Fix
+ */
+const fixAt = (meters, seconds, accuracy = 0) => ({
+  latitude: 6.9271 + meters / METERS_PER_DEGREE,
+  longitude: 79.8612,
+  accuracy,
+  timestamp: 1700000000000 + seconds * 1000,
+});
+
+const start = fixAt(0, 0);
+
+describe('evaluateFix', () => {
+  test.each([
+    ['accuracy within the threshold', fixAt(0, 0, 49.9), null, null],
+    ['accuracy at the threshold', fixAt(0, 0, 50), null, null],
+    [
+      'accuracy past the threshold',
+      fixAt(0, 0, 50.1),
+      null,
+      REJECTION_REASONS.ACCURACY,
+    ],
+    ['missing accuracy', { ...fixAt(0, 0), accuracy: undefined }, null, null],
+    ['the first fix of a trip', fixAt(5000, 1), null, null],
+    ['a move just under the speed limit', fixAt(399, 10), start, null],
+    [
+      'a jump just over the speed limit',
+      fixAt(401, 10),
+      start,
+      REJECTION_REASONS.SPEED,
+    ],
+    [
+      'a jump within the uncertainty of both fixes',
+      fixAt(440, 10, 20),
+      { ...start, accuracy: 20 },
+      null,
+    ],
+    [
+      'a jump past the uncertainty of both fixes',
+      fixAt(441, 10, 20),
+      { ...start, accuracy: 20 },
+      REJECTION_REASONS.SPEED,
+    ],
+    ['a jump with no time elapsed', fixAt(5000, 0), start, null],
+    ['a jump from a later fix', fixAt(5000, -1), start, null],
+    [
+      'a bad accuracy before the speed check',
+      fixAt(5000, 1, 80),
+      start,
+      REJECTION_REASONS.ACCURACY,
+    ],
+  ])('%s', (_, fix, previousFix, reason) => {
+    expect(evaluateFix(fix, previousFix, OPTIONS)).toEqual({
+      accepted: reason === null,
+      reason,
+    });
+  });
+});
+
+describe('createRejectionCounts', () => {
+  test('starts every reason at zero', () => {
+    expect(createRejectionCounts()).toEqual({
+      [REJECTION_REASONS.ACCURACY]: 0,
+      [REJECTION_REASONS.SPEED]: 0,
+    });
+  });
+});
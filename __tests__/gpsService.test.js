@@ -0,0 +1,193 @@
+/**
+ * @format
+ */
+
+import BackgroundFetch from 'react-native-background-fetch';
+import Geolocation from 'react-native-geolocation-service';
+import gpsService, { LOCATION_SOURCES } from '../src/services/gpsService';
+import {
+  geolocationProvider,
+  createReplayProvider,
+  createSyntheticProvider,
+  parseGeoJSON,
+} from '../src/services/locationProviders';
+import { CONFIG } from '../src/constants/config';
+import { METERS_PER_DEGREE } from '../src/services/haversine';
+
+/**
+ * Advance fake time past the merge stage
+ * @param {number} ms - Milliseconds to advance before flushing
+ */
+const advance = (ms) => {
+  jest.advanceTimersByTime(ms + CONFIG.tracking.mergeDelay);
+};
+
+describe('gpsService with a location provider', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await gpsService.stopTracking();
+    // gpsService is a singleton shared with every other suite
+    gpsService.setLocationProvider(geolocationProvider);
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('tracks a synthetic route through startTracking', async () => {
+    gpsService.setLocationProvider(
+      createSyntheticProvider({ pointCount: 20, speed: 15, turnRate: 0 })
+    );
+    const onLocation = jest.fn();
+
+    await gpsService.startTracking(onLocation);
+    advance(20000);
+
+    expect(onLocation).toHaveBeenCalledTimes(20);
+    expect(gpsService.tripDistance).toBeCloseTo(19 * 15, 0);
+  });
+
+  test('accelerated replay keeps fixes within the speed filter', async () => {
+    // 100 m every 10 s (10 m/s), replayed at 10x
+    const track = parseGeoJSON({
+      type: 'LineString',
+      coordinates: Array.from({ length: 6 }, (_, i) => [
+        79.8612,
+        6.9271 + (i * 100) / METERS_PER_DEGREE,
+      ]),
+    }).map((point, i) => ({ ...point, accuracy: 5, offset: i * 10000 }));
+
+    gpsService.setLocationProvider(createReplayProvider(track, { speed: 10 }));
+    const onLocation = jest.fn();
+
+    await gpsService.startTracking(onLocation);
+    advance(6000);
+
+    expect(onLocation).toHaveBeenCalledTimes(6);
+    expect(gpsService.getRejectedFixCounts().speed).toBe(0);
+  });
+
+  test('stops emitting while paused and after stopTracking', async () => {
+    gpsService.setLocationProvider(
+      createSyntheticProvider({ pointCount: 30, speed: 15 })
+    );
+    const onLocation = jest.fn();
+
+    await gpsService.startTracking(onLocation);
+    advance(4000);
+    const beforePause = onLocation.mock.calls.length;
+
+    gpsService.pauseTracking();
+    advance(10000);
+    expect(onLocation).toHaveBeenCalledTimes(beforePause);
+
+    gpsService.resumeTracking();
+    advance(3000);
+    expect(onLocation.mock.calls.length).toBeGreaterThan(beforePause);
+
+    await gpsService.stopTracking();
+    const afterStop = onLocation.mock.calls.length;
+    advance(10000);
+    expect(onLocation).toHaveBeenCalledTimes(afterStop);
+  });
+
+  test('stopTracking delivers fixes still held by the merge stage', async () => {
+    gpsService.setLocationProvider(
+      createSyntheticProvider({ pointCount: 30, speed: 15 })
+    );
+    const onLocation = jest.fn();
+
+    await gpsService.startTracking(onLocation);
+    jest.advanceTimersByTime(CONFIG.tracking.mergeDelay / 2);
+    expect(onLocation).not.toHaveBeenCalled();
+
+    await gpsService.stopTracking();
+
+    expect(onLocation).toHaveBeenCalled();
+  });
+
+  test('a rejected fix does not hide a good one from another source', async () => {
+    const onLocation = jest.fn();
+    await gpsService.startTracking(onLocation);
+    const timestamp = Date.now();
+
+    // A coarse network fix, then a GPS fix a few meters away
+    gpsService.ingestFix(
+      { latitude: 6.9271, longitude: 79.8612, accuracy: 200, timestamp },
+      LOCATION_SOURCES.FETCH
+    );
+    gpsService.ingestFix(
+      {
+        latitude: 6.9271 + 3 / METERS_PER_DEGREE,
+        longitude: 79.8612,
+        accuracy: 5,
+        timestamp: timestamp + 1000,
+      },
+      LOCATION_SOURCES.WATCH
+    );
+    advance(0);
+
+    expect(gpsService.getRejectedFixCounts().accuracy).toBe(1);
+    expect(onLocation).toHaveBeenCalledTimes(1);
+    expect(onLocation.mock.calls[0][0].accuracy).toBe(5);
+  });
+
+  test('re-anchors after a run of speed rejections', async () => {
+    const onLocation = jest.fn();
+    await gpsService.startTracking(onLocation);
+    const timestamp = Date.now();
+    const fixAt = (meters, seconds) => ({
+      latitude: 6.9271 + meters / METERS_PER_DEGREE,
+      longitude: 79.8612,
+      accuracy: 5,
+      timestamp: timestamp + seconds * 1000,
+    });
+
+    // The rider really is 5 km away; the first fix was the outlier
+    [fixAt(0, 0), fixAt(5000, 1), fixAt(5010, 2), fixAt(5020, 3)].forEach(
+      (fix) => gpsService.ingestFix(fix, LOCATION_SOURCES.WATCH)
+    );
+    advance(0);
+
+    const { maxConsecutiveSpeedRejections } = CONFIG.tracking;
+    expect(gpsService.getRejectedFixCounts().speed).toBe(
+      maxConsecutiveSpeedRejections - 1
+    );
+    expect(onLocation).toHaveBeenCalledTimes(2);
+    expect(onLocation.mock.calls[1][0].timestamp).toBe(timestamp + 3000);
+  });
+
+  test('requests no background fixes while paused', async () => {
+    Geolocation.__setPosition({ latitude: 6.9271, longitude: 79.8612 });
+
+    await gpsService.startTracking(jest.fn());
+    gpsService.pauseTracking();
+    Geolocation.getCurrentPosition.mockClear();
+
+    await BackgroundFetch.__fetch();
+
+    expect(Geolocation.getCurrentPosition).not.toHaveBeenCalled();
+  });
+
+  test('movement while paused is not added on resume', async () => {
+    const start = Date.now();
+
+    await gpsService.startTracking(jest.fn());
+    Geolocation.__emitPosition({ latitude: 6.9271, longitude: 79.8612 }, start);
+    advance(0);
+
+    gpsService.pauseTracking();
+    gpsService.resumeTracking();
+    Geolocation.__emitPosition(
+      { latitude: 6.9371, longitude: 79.8612 },
+      start + 600000
+    );
+    advance(0);
+
+    expect(gpsService.tripDistance).toBe(0);
+  });
+});
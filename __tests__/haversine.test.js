@@ -0,0 +1,151 @@
+/**
+ * @format
+ */
+
+import {
+  METERS_PER_DEGREE,
+  calculateDistanceMeters,
+  calculateTotalDistance,
+  calculateTotalDistanceMeters,
+  calculateTrackDistances,
+  smoothTrack,
+} from '../src/services/haversine';
+import {
+  formatDistance,
+  formatKilometers,
+} from '../src/utils/distanceFormatter';
+
+/**
+ * Build a straight northbound track with points every `spacing` meters
+ */
+const buildTrack = (pointCount, spacing) =>
+  Array.from({ length: pointCount }, (_, i) => ({
+    latitude: 6.9271 + (i * spacing) / METERS_PER_DEGREE,
+    longitude: 79.8612,
+  }));
+
+describe('calculateDistanceMeters', () => {
+  test('returns unrounded meters', () => {
+    const [a, b] = buildTrack(2, 7.5);
+    expect(calculateDistanceMeters(a, b)).toBeCloseTo(7.5, 6);
+  });
+
+  test('returns null for invalid input', () => {
+    expect(calculateDistanceMeters(null, { latitude: 1, longitude: 1 })).toBe(
+      null,
+    );
+    expect(
+      calculateDistanceMeters(
+        { latitude: '1', longitude: 1 },
+        {
+          latitude: 1,
+          longitude: 1,
+        },
+      ),
+    ).toBe(null);
+  });
+});
+
+describe('dense tracks', () => {
+  // 10 km ridden with a fix every 10 m
+  const track = buildTrack(1001, 10);
+
+  test('full-precision total matches the ridden distance', () => {
+    expect(calculateTotalDistanceMeters(track)).toBeCloseTo(10000, 3);
+  });
+
+  test('legacy rounding drops points spaced under 5 m entirely', () => {
+    const slowTrack = buildTrack(2001, 4);
+
+    expect(calculateTotalDistance(slowTrack)).toBe(0);
+    expect(calculateTotalDistanceMeters(slowTrack)).toBeCloseTo(8000, 3);
+  });
+
+  test('legacy rounding overstates points spaced just over 5 m', () => {
+    const track6m = buildTrack(1001, 6);
+
+    expect(calculateTotalDistance(track6m)).toBe(10);
+    expect(calculateTotalDistanceMeters(track6m) / 1000).toBeCloseTo(6, 6);
+  });
+});
+
+describe('paused trips', () => {
+  test('leaves the segment across a pause out of the distance', () => {
+    const track = buildTrack(4, 100).map((point, i) => ({
+      ...point,
+      timestamp: i * 10000,
+    }));
+    const pauses = [
+      {
+        start: new Date(15000).toISOString(),
+        end: new Date(18000).toISOString(),
+      },
+    ];
+
+    expect(calculateTotalDistanceMeters(track)).toBeCloseTo(300, 3);
+    expect(calculateTotalDistanceMeters(track, pauses)).toBeCloseTo(200, 3);
+  });
+});
+
+describe('track smoothing', () => {
+  // Repeating offsets of -6 to 6 m, standing in for GPS noise
+  const jitter = (i) => (((i * 7) % 5) - 2) * 3;
+
+  test('straightens a noisy straight track', () => {
+    // 590 m north at 10 m/s, wandering sideways
+    const track = buildTrack(60, 10).map((point, i) => ({
+      ...point,
+      longitude: point.longitude + jitter(i) / METERS_PER_DEGREE,
+      accuracy: 8,
+      timestamp: i * 1000,
+    }));
+    const sideways = (points) =>
+      points.reduce(
+        (sum, point) =>
+          sum + Math.abs(point.longitude - 79.8612) * METERS_PER_DEGREE,
+        0,
+      );
+
+    const { raw, smoothed } = calculateTrackDistances(track);
+
+    expect(sideways(smoothTrack(track))).toBeLessThan(sideways(track) / 2);
+    expect(Math.abs(smoothed - 0.59)).toBeLessThan(Math.abs(raw - 0.59));
+  });
+
+  test('adds no distance for a rider standing still', () => {
+    const cluster = Array.from({ length: 60 }, (_, i) => ({
+      latitude: 6.9271 + jitter(i + 1) / METERS_PER_DEGREE,
+      longitude: 79.8612 + jitter(i) / METERS_PER_DEGREE,
+      accuracy: 10,
+      timestamp: i * 1000,
+    }));
+
+    const { raw, smoothed } = calculateTrackDistances(cluster);
+
+    expect(raw).toBeGreaterThan(0.5);
+    expect(smoothed).toBe(0);
+  });
+
+  test('handles empty and single-point tracks', () => {
+    const [point] = buildTrack(1, 0);
+
+    expect(smoothTrack([])).toEqual([]);
+    expect(smoothTrack([point])).toEqual([point]);
+    expect(smoothTrack(null)).toEqual([]);
+    expect(calculateTrackDistances([])).toEqual({ raw: 0, smoothed: 0 });
+    expect(calculateTrackDistances([point])).toEqual({ raw: 0, smoothed: 0 });
+  });
+});
+
+describe('distance formatting', () => {
+  test('rounds only for display', () => {
+    expect(formatKilometers(12.3456)).toBe('12.35');
+    expect(formatKilometers(undefined)).toBe('0.00');
+  });
+
+  test('shows meters below one kilometer', () => {
+    expect(formatDistance(0.8504)).toBe('850 m');
+    expect(formatDistance(12.3456)).toBe('12.35 km');
+    expect(formatDistance(-1)).toBe('--');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @format
+ */
+
+import BackgroundFetch from 'react-native-background-fetch';
+import Geolocation from 'react-native-geolocation-service';
+import { createApiMock } from '../jest/apiMock';
+import headlessTask from '../src/services/headlessTask';
+import { stopOutbox } from '../src/services/outbox';
+import {
+  appendCoordinates,
+  getOutbox,
+  getTripData,
+  saveTripData,
+} from '../src/services/storage';
+import { CONFIG } from '../src/constants/config';
+
+const LOCAL_ID = 'local-1700000000000-abc123';
+
+const coordinate = (timestamp) => ({
+  latitude: 6.9271,
+  longitude: 79.8612,
+  timestamp,
+});
+
+describe('headless task', () => {
+  const { batchSize } = CONFIG.tracking;
+  let mock;
+  let synced;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    CONFIG.tracking.batchSize = 3;
+    mock = createApiMock();
+    synced = [];
+
+    // Two points are already on the server, two more wait for a full batch
+    await saveTripData({
+      trip_id: 501,
+      local_id: LOCAL_ID,
+      status: 'active',
+      synced_count: 2,
+      queued_count: 2,
+    });
+    await appendCoordinates(LOCAL_ID, [1000, 2000, 3000, 4000].map(coordinate));
+    Geolocation.__setPosition({ latitude: 6.9272, longitude: 79.8612 });
+  });
+
+  afterEach(() => {
+    CONFIG.tracking.batchSize = batchSize;
+    stopOutbox();
+    mock.restore();
+    console.log.mockRestore();
+  });
+
+  test('uploads the new batch before finishing', async () => {
+    mock.api.onPost('/trips/sync-coordinates').reply(
+      (config) =>
+        new Promise((resolve) => {
+          synced.push(JSON.parse(config.data));
+          setTimeout(() => resolve([200, { success: true }]), 50);
+        })
+    );
+
+    await headlessTask({ taskId: 'fetch-1', timeout: false });
+
+    expect(synced).toHaveLength(1);
+    expect(synced[0].coordinates.map((point) => point.timestamp)).toEqual([
+      3000,
+      4000,
+      expect.any(Number),
+    ]);
+    expect(await getOutbox()).toEqual([]);
+    expect((await getTripData()).synced_count).toBe(5);
+    expect(BackgroundFetch.finish).toHaveBeenCalledWith('fetch-1');
+  });
+
+  test('finishes when the upload outlasts the task', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    mock.api
+      .onPost('/trips/sync-coordinates')
+      .reply(() => new Promise(() => {}));
+
+    const task = headlessTask({ taskId: 'fetch-2', timeout: false });
+    await jest.advanceTimersByTimeAsync(30000);
+    await task;
+
+    expect(BackgroundFetch.finish).toHaveBeenCalledWith('fetch-2');
+    expect(await getOutbox()).toHaveLength(1);
+    jest.useRealTimers();
+  });
+});
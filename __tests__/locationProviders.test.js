@@ -0,0 +1,167 @@
+/**
+ * @format
+ */
+
+import {
+  createReplayProvider,
+  generateSyntheticTrack,
+  parseGPX,
+  parseGeoJSON,
+} from '../src/services/locationProviders';
+import { calculateDistanceMeters } from '../src/services/haversine';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1" xmlns:rider="urn:express-rider:gpx:1">
+  <trk><trkseg>
+    <trkpt lat="6.9271" lon="79.8612">
+      <ele>12.5</ele>
+      <time>2024-05-01T08:00:00.000Z</time>
+      <extensions><rider:accuracy>8</rider:accuracy><rider:speed>4.2</rider:speed></extensions>
+    </trkpt>
+    <trkpt lat='6.9281' lon='79.8622'><time>2024-05-01T08:00:10.000Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+describe('parseGPX', () => {
+  test('reads points, times and exported extensions', () => {
+    expect(parseGPX(GPX)).toEqual([
+      {
+        latitude: 6.9271,
+        longitude: 79.8612,
+        altitude: 12.5,
+        accuracy: 8,
+        speed: 4.2,
+        offset: 0,
+      },
+      {
+        latitude: 6.9281,
+        longitude: 79.8622,
+        altitude: null,
+        accuracy: null,
+        speed: null,
+        offset: 10000,
+      },
+    ]);
+  });
+
+  test('rejects a document without track points', () => {
+    expect(() => parseGPX('<gpx></gpx>')).toThrow('no track points');
+  });
+});
+
+describe('parseGeoJSON', () => {
+  test('reads coordinate properties from a FeatureCollection', () => {
+    const points = parseGeoJSON({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: {
+            type: 'LineString',
+            coordinates: [
+              [79.8612, 6.9271, 12.5],
+              [79.8622, 6.9281],
+            ],
+          },
+          properties: {
+            coordinateProperties: {
+              times: ['2024-05-01T08:00:00.000Z', '2024-05-01T08:00:05.000Z'],
+              accuracy: [8, 15],
+              speed: [4.2, null],
+            },
+          },
+        },
+      ],
+    });
+
+    expect(points.map((point) => point.offset)).toEqual([0, 5000]);
+    expect(points[0]).toMatchObject({ altitude: 12.5, accuracy: 8 });
+  });
+
+  test('spaces points evenly when the track has no times', () => {
+    const points = parseGeoJSON({
+      type: 'LineString',
+      coordinates: [
+        [79.8612, 6.9271],
+        [79.8622, 6.9281],
+        [79.8632, 6.9291],
+      ],
+    });
+
+    expect(points.map((point) => point.offset)).toEqual([0, 1000, 2000]);
+  });
+});
+
+describe('generateSyntheticTrack', () => {
+  test('spaces points by speed and interval', () => {
+    const points = generateSyntheticTrack({
+      pointCount: 5,
+      speed: 12,
+      interval: 2000,
+    });
+
+    expect(points).toHaveLength(5);
+    for (let i = 1; i < points.length; i++) {
+      expect(calculateDistanceMeters(points[i - 1], points[i])).toBeCloseTo(
+        24,
+        0
+      );
+    }
+  });
+});
+
+describe('createReplayProvider', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('plays back at the requested speed with track timestamps', () => {
+    const provider = createReplayProvider(parseGPX(GPX), { speed: 10 });
+    const onPosition = jest.fn();
+
+    provider.watchPosition(onPosition);
+    jest.advanceTimersByTime(0);
+    expect(onPosition).toHaveBeenCalledTimes(1);
+
+    // 10 seconds of track at 10x
+    jest.advanceTimersByTime(999);
+    expect(onPosition).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(onPosition).toHaveBeenCalledTimes(2);
+
+    const [first, second] = onPosition.mock.calls.map(([position]) => position);
+    expect(second.timestamp - first.timestamp).toBe(10000);
+    expect(second.coords).toMatchObject({
+      latitude: 6.9281,
+      longitude: 79.8622,
+    });
+  });
+
+  test('continues where it stopped after every watch is cleared', () => {
+    const provider = createReplayProvider(
+      generateSyntheticTrack({ pointCount: 4 })
+    );
+    const onPosition = jest.fn();
+
+    const watchId = provider.watchPosition(onPosition);
+    jest.advanceTimersByTime(1000);
+    expect(onPosition).toHaveBeenCalledTimes(2);
+
+    provider.clearWatch(watchId);
+    jest.advanceTimersByTime(5000);
+    expect(onPosition).toHaveBeenCalledTimes(2);
+
+    provider.watchPosition(onPosition);
+    jest.advanceTimersByTime(5000);
+    expect(onPosition).toHaveBeenCalledTimes(4);
+
+    const timestamps = onPosition.mock.calls.map(
+      ([position]) => position.timestamp
+    );
+    expect([...timestamps].sort((a, b) => a - b)).toEqual(timestamps);
+  });
+});
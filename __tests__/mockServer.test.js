@@ -0,0 +1,239 @@
+/**
+ * @format
+ */
+
+import http from 'http';
+import axios from 'axios';
+import apiService, {
+  endTrip,
+  getTripHistory,
+  login,
+  startTrip,
+  syncCoordinates,
+} from '../src/services/api';
+import { isRetryableError } from '../src/services/outbox';
+import { getAuthToken } from '../src/services/storage';
+import { createMockAdapter } from '../mock-server/adapter';
+import { createServer } from '../mock-server/server';
+import { createStore } from '../mock-server/store';
+import { createFaults } from '../mock-server/faults';
+
+const coordinate = (latitude, timestamp) => ({
+  latitude,
+  longitude: 79.8612,
+  accuracy: 5,
+  timestamp,
+});
+
+describe('mock server adapter', () => {
+  const { apiClient } = apiService;
+  const defaultAdapters = {
+    api: apiClient.defaults.adapter,
+    axios: axios.defaults.adapter,
+  };
+  let adapter;
+
+  /**
+   * Answer API and token refresh requests from a mock backend
+   * @param {Object} options - createMockAdapter options
+   */
+  const useMockBackend = (options) => {
+    adapter = createMockAdapter(options);
+    apiClient.defaults.adapter = adapter;
+    axios.defaults.adapter = adapter;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    useMockBackend();
+  });
+
+  afterEach(() => {
+    apiClient.defaults.adapter = defaultAdapters.api;
+    axios.defaults.adapter = defaultAdapters.axios;
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('records a trip from login to history', async () => {
+    const session = await login('rider', 'password');
+    expect(session.data).toEqual({ id: 1, name: 'Test Rider' });
+
+    const started = await startTrip(1);
+    const tripId = started.data.id;
+
+    const synced = await syncCoordinates(tripId, [
+      coordinate(6.9271, 1000),
+      coordinate(6.928, 2000),
+    ]);
+    expect(synced.data).toEqual({ tripId, received: 2, total: 2 });
+
+    const ended = await endTrip({
+      trip_id: tripId,
+      rider_id: 1,
+      end_time: new Date().toISOString(),
+      total_distance: 0.2,
+      coordinates: [coordinate(6.9289, 3000)],
+    });
+    expect(ended.data).toMatchObject({
+      id: tripId,
+      status: 'completed',
+      distance: 0.2,
+    });
+
+    const history = await getTripHistory(1);
+    expect(history.data.hasMore).toBe(false);
+    expect(history.data.trips).toHaveLength(1);
+    expect(history.data.trips[0]).toMatchObject({
+      id: tripId,
+      status: 'completed',
+      distance: 0.2,
+    });
+    expect(history.data.trips[0].coordinates).toHaveLength(3);
+  });
+
+  test('pages seeded history', async () => {
+    useMockBackend({ store: createStore({ seedTrips: 25 }) });
+    await login('rider', 'password');
+
+    const first = await getTripHistory(1, { perPage: 10 });
+    expect(first.data.trips).toHaveLength(10);
+    expect(first.data).toMatchObject({ hasMore: true, nextPage: 2 });
+
+    const last = await getTripHistory(1, { perPage: 10, page: 3 });
+    expect(last.data.trips).toHaveLength(5);
+    expect(last.data.hasMore).toBe(false);
+  });
+
+  test('rejects history of another rider', async () => {
+    await login('rider', 'password');
+
+    const response = await getTripHistory(2);
+
+    expect(response.success).toBe(false);
+    expect(response.error.status).toBe(403);
+    expect(isRetryableError(response.error)).toBe(false);
+  });
+
+  test('injected server errors are retryable', async () => {
+    await login('rider', 'password');
+    adapter.faults.add({ path: '/trips/start', error: 500, times: 1 });
+
+    const failed = await startTrip(1);
+    expect(failed.success).toBe(false);
+    expect(failed.error.status).toBe(500);
+    expect(isRetryableError(failed.error)).toBe(true);
+
+    const retried = await startTrip(1);
+    expect(retried.success).toBe(true);
+  });
+
+  test('refreshes the token after an injected 401', async () => {
+    await login('rider', 'password');
+    const firstToken = await getAuthToken();
+    adapter.faults.add({ path: '/trips/start', error: 401, times: 1 });
+
+    const response = await startTrip(1);
+
+    expect(response.success).toBe(true);
+    expect(await getAuthToken()).not.toBe(firstToken);
+  });
+
+  test('refreshes an expired token', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+    useMockBackend({ tokenTtl: 60 });
+    await login('rider', 'password');
+    const firstToken = await getAuthToken();
+
+    spy.mockReturnValue(now + 61000);
+    const response = await startTrip(1);
+    spy.mockRestore();
+
+    expect(response.success).toBe(true);
+    expect(await getAuthToken()).not.toBe(firstToken);
+  });
+
+  test('an injected timeout fails like a dropped connection', async () => {
+    await login('rider', 'password');
+    adapter.faults.add({ path: '/trips/start', error: 'timeout' });
+    jest.useFakeTimers();
+
+    const pending = startTrip(1);
+    await jest.advanceTimersByTimeAsync(apiClient.defaults.timeout);
+    const response = await pending;
+    jest.useRealTimers();
+
+    expect(response.success).toBe(false);
+    expect(response.error.error).toMatch('timeout');
+    expect(response.error.status).toBeUndefined();
+    expect(isRetryableError(response.error)).toBe(true);
+  });
+});
+
+describe('mock server over HTTP', () => {
+  let server;
+
+  beforeEach((done) => {
+    server = createServer(
+      { store: createStore(), faults: createFaults() },
+      { log: false }
+    );
+    server.listen(0, done);
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  /**
+   * Send a JSON request to the server
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} {status, body}
+   */
+  const request = (method, path, body) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          method,
+          path,
+          port: server.address().port,
+          headers: { 'Content-Type': 'application/json' },
+        },
+        (res) => {
+          let text = '';
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () =>
+            resolve({ status: res.statusCode, body: JSON.parse(text) })
+          );
+        }
+      );
+      req.on('error', reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+
+  test('serves the API under /api/v1', async () => {
+    const response = await request('POST', '/api/v1/auth/login', {
+      username: 'rider',
+      password: 'wrong',
+    });
+
+    expect(response).toEqual({
+      status: 401,
+      body: { message: 'Invalid username or password.' },
+    });
+  });
+
+  test('adds fault rules at runtime', async () => {
+    await request('POST', '/__mock/faults', { path: '/health', error: 503 });
+
+    const response = await request('GET', '/api/v1/health');
+
+    expect(response.status).toBe(503);
+  });
+});
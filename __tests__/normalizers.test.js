@@ -0,0 +1,182 @@
+/**
+ * @format
+ */
+
+import {
+  ResponseFormatError,
+  normalizeEndedTrip,
+  normalizeSession,
+  normalizeSyncResult,
+  normalizeTrip,
+  normalizeTripList,
+  normalizeTripPage,
+} from '../src/services/normalizers';
+
+describe('normalizeSession', () => {
+  test('reads the rider and tokens from a data envelope', () => {
+    const session = normalizeSession({
+      data: { rider_id: 7, name: 'Kasun', token: 'abc', refresh_token: 'r1' },
+    });
+
+    expect(session).toEqual({
+      rider: { id: 7, name: 'Kasun' },
+      token: 'abc',
+      refreshToken: 'r1',
+    });
+  });
+
+  test('rejects a response without a rider ID', () => {
+    expect(() => normalizeSession({ token: 'abc' })).toThrow(
+      ResponseFormatError
+    );
+  });
+});
+
+describe('normalizeTrip', () => {
+  test.each([
+    [{ data: { trip_id: 12 } }],
+    [{ trip_id: 12 }],
+    [{ data: { id: 12 } }],
+  ])('finds the trip ID in %j', (body) => {
+    expect(normalizeTrip(body).id).toBe(12);
+  });
+
+  test('rejects a response without a trip ID', () => {
+    expect(() => normalizeTrip({ data: { status: 'ok' } })).toThrow(
+      'Unexpected server response: trip ID is missing'
+    );
+  });
+});
+
+describe('normalizeEndedTrip', () => {
+  test('reads the ended trip as a trip summary', () => {
+    const trip = normalizeEndedTrip({
+      success: true,
+      data: {
+        trip_id: 12,
+        rider_id: 7,
+        start_time: '2024-05-01T08:00:00.000Z',
+        end_time: '2024-05-01T09:00:00.000Z',
+        total_distance: 4.25,
+        moving_time: 3000,
+        status: 'completed',
+      },
+    });
+
+    expect(trip).toEqual({
+      id: 12,
+      date: '2024-05-01T08:00:00.000Z',
+      startTime: '2024-05-01T08:00:00.000Z',
+      endTime: '2024-05-01T09:00:00.000Z',
+      distance: 4.25,
+      movingTime: 3000,
+      status: 'completed',
+      coordinates: [],
+      riderId: 7,
+    });
+  });
+
+  test.each([[{ success: true }], ['OK'], [null]])('rejects %j', (body) => {
+    expect(() => normalizeEndedTrip(body)).toThrow(ResponseFormatError);
+  });
+});
+
+describe('normalizeSyncResult', () => {
+  test('reads the coordinate counts', () => {
+    expect(
+      normalizeSyncResult({
+        success: true,
+        data: { trip_id: 12, received: 50, total: 150 },
+      })
+    ).toEqual({ tripId: 12, received: 50, total: 150 });
+  });
+
+  test('reports missing or invalid counts as null', () => {
+    expect(normalizeSyncResult({ success: true, received: -1 })).toEqual({
+      tripId: null,
+      received: null,
+      total: null,
+    });
+  });
+
+  test('rejects a body that is not an object', () => {
+    expect(() => normalizeSyncResult('OK')).toThrow(ResponseFormatError);
+  });
+});
+
+describe('normalizeTripList', () => {
+  const trip = {
+    trip_id: 3,
+    start_time: '2024-05-01T08:00:00.000Z',
+    end_time: '2024-05-01T09:00:00.000Z',
+    total_distance: '4.25',
+  };
+
+  test.each([
+    [[trip]],
+    [{ trips: [trip] }],
+    [{ data: [trip] }],
+    [{ data: { trips: [trip] } }],
+  ])('accepts %j', (body) => {
+    expect(normalizeTripList(body)).toEqual([
+      {
+        id: 3,
+        date: trip.start_time,
+        startTime: trip.start_time,
+        endTime: trip.end_time,
+        distance: 4.25,
+        movingTime: null,
+        status: 'completed',
+        coordinates: [],
+        riderId: null,
+      },
+    ]);
+  });
+
+  test('skips malformed trips', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const trips = normalizeTripList([trip, { start_time: trip.start_time }]);
+
+    expect(trips.map((item) => item.id)).toEqual([3]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('rejects a body without a trip list', () => {
+    expect(() => normalizeTripList({ message: 'ok' })).toThrow(
+      ResponseFormatError
+    );
+  });
+});
+
+describe('normalizeTripPage', () => {
+  const trips = Array.from({ length: 2 }, (_, i) => ({
+    id: i + 1,
+    start_time: '2024-05-01T08:00:00.000Z',
+  }));
+
+  test('reads page numbers from Laravel-style metadata', () => {
+    const page = normalizeTripPage(
+      { data: trips, current_page: 2, last_page: 3 },
+      { page: 2, perPage: 2 }
+    );
+
+    expect(page).toMatchObject({ hasMore: true, nextPage: 3 });
+    expect(page.trips).toHaveLength(2);
+  });
+
+  test('follows a next cursor', () => {
+    const page = normalizeTripPage(
+      { trips, meta: { next_cursor: 'abc' } },
+      { perPage: 20 }
+    );
+
+    expect(page).toMatchObject({ hasMore: true, nextCursor: 'abc' });
+  });
+
+  test('treats a short page without metadata as the last page', () => {
+    expect(normalizeTripPage(trips, { perPage: 20 }).hasMore).toBe(false);
+    expect(normalizeTripPage(trips, { perPage: 2 }).hasMore).toBe(true);
+  });
+});
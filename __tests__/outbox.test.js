@@ -0,0 +1,232 @@
+/**
+ * @format
+ */
+
+import NetInfo from '@react-native-community/netinfo';
+import { createApiMock } from '../jest/apiMock';
+import {
+  OUTBOX_ACTIONS,
+  enqueue,
+  getOutboxEntry,
+  getPendingTrips,
+  processOutbox,
+  startOutbox,
+  stopOutbox,
+} from '../src/services/outbox';
+import {
+  appendCoordinates,
+  getCoordinateCount,
+  getOutbox,
+  getTripIdMap,
+} from '../src/services/storage';
+
+const SERVER_TRIP_ID = 501;
+const LOCAL_ID = 'local-1700000000000-abc123';
+
+const coordinate = (timestamp) => ({
+  latitude: 6.9271,
+  longitude: 79.8612,
+  timestamp,
+});
+
+/**
+ * Queue a coordinate batch whose first delivery fails with a server error,
+ * leaving it waiting out its backoff delay
+ * @param {Object} mock - API mock
+ */
+const queueBackedOffBatch = async (mock) => {
+  mock.api.onPost('/trips/sync-coordinates').reply(503);
+  await enqueue(OUTBOX_ACTIONS.SYNC_COORDINATES, {
+    trip_id: SERVER_TRIP_ID,
+    coordinates: [coordinate(1000)],
+    synced_count: 1,
+  });
+  await processOutbox({ force: true });
+  mock.api.onPost('/trips/sync-coordinates').reply(200, { success: true });
+};
+
+const endPayload = (tripId, coordinates, syncedCount) => ({
+  trip_id: tripId,
+  rider_id: 7,
+  start_time: '2024-05-01T08:00:00.000Z',
+  end_time: '2024-05-01T08:10:00.000Z',
+  total_distance: 1.2,
+  coordinates,
+  synced_count: syncedCount,
+});
+
+describe('outbox replay', () => {
+  let mock;
+  let ended;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mock = createApiMock();
+    ended = [];
+    mock.api.onPost('/trips/end').reply((config) => {
+      const trip = JSON.parse(config.data);
+      ended.push(trip);
+      return [200, { success: true, data: { ...trip, status: 'completed' } }];
+    });
+  });
+
+  afterEach(() => {
+    stopOutbox();
+    mock.restore();
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('sends the points of a rejected batch with the trip end', async () => {
+    mock.api
+      .onPost('/trips/sync-coordinates')
+      .reply(422, { message: 'Invalid coordinates' });
+
+    await enqueue(OUTBOX_ACTIONS.SYNC_COORDINATES, {
+      trip_id: SERVER_TRIP_ID,
+      coordinates: [coordinate(1000), coordinate(2000)],
+      synced_count: 2,
+    });
+    await enqueue(
+      OUTBOX_ACTIONS.END_TRIP,
+      endPayload(SERVER_TRIP_ID, [coordinate(3000)], 2)
+    );
+
+    await processOutbox({ force: true });
+
+    expect(ended).toHaveLength(1);
+    expect(ended[0].synced_count).toBe(0);
+    expect(ended[0].coordinates.map((point) => point.timestamp)).toEqual([
+      1000, 2000, 3000,
+    ]);
+    expect(await getOutbox()).toEqual([]);
+  });
+
+  test('keeps a trip whose start was rejected, with the reason', async () => {
+    mock.api
+      .onPost('/trips/start')
+      .reply(422, { message: 'Rider is inactive' });
+
+    await enqueue(OUTBOX_ACTIONS.START_TRIP, {
+      local_id: LOCAL_ID,
+      rider_id: 7,
+      start_time: '2024-05-01T08:00:00.000Z',
+    });
+    await enqueue(OUTBOX_ACTIONS.SYNC_COORDINATES, {
+      trip_id: LOCAL_ID,
+      coordinates: [coordinate(1000)],
+      synced_count: 1,
+    });
+    const end = await enqueue(
+      OUTBOX_ACTIONS.END_TRIP,
+      endPayload(LOCAL_ID, [coordinate(2000)], 1)
+    );
+
+    await processOutbox({ force: true });
+
+    const failed = await getOutboxEntry(end.id);
+    expect(ended).toHaveLength(0);
+    expect(failed.status).toBe('failed');
+    expect(failed.last_error).toMatch('never started');
+    expect(failed.last_error).toMatch('Rider is inactive');
+    expect(failed.payload.coordinates).toHaveLength(2);
+  });
+
+  test('forgets the trip ID mapping once the trip is delivered', async () => {
+    mock.api.onPost('/trips/start').reply(200, {
+      data: { trip_id: SERVER_TRIP_ID, rider_id: 7 },
+    });
+
+    await enqueue(OUTBOX_ACTIONS.START_TRIP, {
+      local_id: LOCAL_ID,
+      rider_id: 7,
+      start_time: '2024-05-01T08:00:00.000Z',
+    });
+    await enqueue(
+      OUTBOX_ACTIONS.END_TRIP,
+      endPayload(LOCAL_ID, [coordinate(1000)], 0)
+    );
+
+    await processOutbox({ force: true });
+
+    expect(ended[0].trip_id).toBe(SERVER_TRIP_ID);
+    expect(await getTripIdMap()).toEqual({});
+    expect(await getOutbox()).toEqual([]);
+  });
+
+  test('lists undelivered trips with their whole route', async () => {
+    const route = [1000, 2000, 3000].map(coordinate);
+    await appendCoordinates(LOCAL_ID, route);
+    await enqueue(OUTBOX_ACTIONS.END_TRIP, {
+      ...endPayload(SERVER_TRIP_ID, route.slice(2), 2),
+      log_id: LOCAL_ID,
+    });
+
+    const [pending] = await getPendingTrips(7);
+    expect(pending.status).toBe('pending');
+    expect(pending.coordinates).toEqual(route);
+
+    mock.api.onPost('/trips/end').reply(422, { message: 'Trip is closed' });
+    await processOutbox({ force: true });
+
+    const [failed] = await getPendingTrips(7);
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toBe('Trip is closed');
+    expect(failed.coordinates).toHaveLength(3);
+  });
+
+  test('clears the route once the trip is delivered', async () => {
+    await appendCoordinates(LOCAL_ID, [coordinate(1000)]);
+    await enqueue(OUTBOX_ACTIONS.END_TRIP, {
+      ...endPayload(SERVER_TRIP_ID, [coordinate(1000)], 0),
+      log_id: LOCAL_ID,
+    });
+
+    await processOutbox({ force: true });
+
+    expect(await getCoordinateCount(LOCAL_ID)).toBe(0);
+    expect(await getPendingTrips(7)).toEqual([]);
+  });
+
+  test('treats an unreadable end reply as delivered', async () => {
+    mock.api.onPost('/trips/end').reply(200, 'OK');
+    await appendCoordinates(LOCAL_ID, [coordinate(1000)]);
+    await enqueue(OUTBOX_ACTIONS.END_TRIP, {
+      ...endPayload(SERVER_TRIP_ID, [coordinate(1000)], 0),
+      log_id: LOCAL_ID,
+    });
+
+    await processOutbox({ force: true });
+
+    expect(await getOutbox()).toEqual([]);
+    expect(await getCoordinateCount(LOCAL_ID)).toBe(0);
+  });
+
+  test('sends a backed-off entry when a forced replay overlaps another', async () => {
+    await queueBackedOffBatch(mock);
+
+    await Promise.all([processOutbox(), processOutbox({ force: true })]);
+
+    expect(await getOutbox()).toEqual([]);
+  });
+
+  test('replays when the device comes back online', async () => {
+    await queueBackedOffBatch(mock);
+    startOutbox();
+
+    NetInfo.__setConnected(false);
+    NetInfo.__setConnected(true);
+    await processOutbox();
+
+    expect(await getOutbox()).toEqual([]);
+  });
+
+  test('stops listening for connectivity when stopped', () => {
+    startOutbox();
+    expect(NetInfo.__getListenerCount()).toBe(1);
+
+    stopOutbox();
+    expect(NetInfo.__getListenerCount()).toBe(0);
+  });
+});
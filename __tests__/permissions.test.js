@@ -0,0 +1,123 @@
+/**
+ * @format
+ */
+
+import { PermissionsAndroid, Platform } from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+import Permissions, { PERMISSIONS, RESULTS } from 'react-native-permissions';
+import {
+  PERMISSION_STATUS,
+  checkLocationPermission,
+  checkTripReadiness,
+  isLocationServicesEnabled,
+  requestLocationPermission,
+} from '../src/services/permissions';
+
+const { NEVER_ASK_AGAIN } = PermissionsAndroid.RESULTS;
+const { ACCESS_FINE_LOCATION, ACCESS_COARSE_LOCATION } =
+  PermissionsAndroid.PERMISSIONS;
+
+describe('location permission on iOS', () => {
+  test('checks without prompting before the app has asked', async () => {
+    const permission = await checkLocationPermission();
+
+    expect(permission.status).toBe(PERMISSION_STATUS.DENIED);
+    expect(await isLocationServicesEnabled()).toBe(true);
+    expect(Permissions.request).not.toHaveBeenCalled();
+    expect(Geolocation.requestAuthorization).not.toHaveBeenCalled();
+  });
+
+  test('reads the authorization once the rider has answered', async () => {
+    await requestLocationPermission();
+    const permission = await checkLocationPermission();
+
+    expect(permission.status).toBe(PERMISSION_STATUS.GRANTED);
+    expect(Permissions.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('never asks for "Always" while checking a when-in-use grant', async () => {
+    Permissions.__setStatus(
+      PERMISSIONS.IOS.LOCATION_WHEN_IN_USE,
+      RESULTS.GRANTED
+    );
+
+    const readiness = await checkTripReadiness();
+
+    expect(readiness.status).toBe(PERMISSION_STATUS.WHEN_IN_USE);
+    expect(readiness.ready).toBe(true);
+    expect(Permissions.request).not.toHaveBeenCalled();
+    expect(Geolocation.requestAuthorization).not.toHaveBeenCalled();
+  });
+
+  test('reports a denial as blocked', async () => {
+    Permissions.__setAnswer(RESULTS.BLOCKED);
+
+    await requestLocationPermission({ background: false });
+
+    expect((await checkLocationPermission()).status).toBe(
+      PERMISSION_STATUS.BLOCKED
+    );
+  });
+
+  test('tells location switched off from a failed fix', async () => {
+    Geolocation.__emitError({
+      code: 2,
+      message: 'Location service is turned off',
+    });
+    expect(await isLocationServicesEnabled()).toBe(false);
+
+    Geolocation.__emitError({ code: 2, message: 'Unable to get a fix' });
+    expect(await isLocationServicesEnabled()).toBe(true);
+  });
+});
+
+describe('location permission on Android', () => {
+  const { OS, Version } = Platform;
+  let granted;
+
+  beforeEach(() => {
+    Platform.OS = 'android';
+    Platform.Version = 28;
+    granted = false;
+    jest
+      .spyOn(PermissionsAndroid, 'check')
+      .mockImplementation(async () => granted);
+    jest.spyOn(PermissionsAndroid, 'requestMultiple').mockResolvedValue({
+      [ACCESS_FINE_LOCATION]: NEVER_ASK_AGAIN,
+      [ACCESS_COARSE_LOCATION]: NEVER_ASK_AGAIN,
+    });
+  });
+
+  afterEach(() => {
+    Platform.OS = OS;
+    Platform.Version = Version;
+    PermissionsAndroid.check.mockRestore();
+    PermissionsAndroid.requestMultiple.mockRestore();
+  });
+
+  test('reports a permission blocked by "never ask again"', async () => {
+    expect((await checkLocationPermission()).status).toBe(
+      PERMISSION_STATUS.DENIED
+    );
+
+    await requestLocationPermission();
+
+    expect((await checkLocationPermission()).status).toBe(
+      PERMISSION_STATUS.BLOCKED
+    );
+  });
+
+  test('lifts the block once location is granted in Settings', async () => {
+    await requestLocationPermission();
+    granted = true;
+
+    expect((await checkLocationPermission()).status).toBe(
+      PERMISSION_STATUS.GRANTED
+    );
+
+    granted = false;
+    expect((await checkLocationPermission()).status).toBe(
+      PERMISSION_STATUS.DENIED
+    );
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import {
+  getSecureItem,
+  removeSecureItem,
+  setSecureItem,
+} from '../src/services/secureStorage';
+
+const KEY = '@express_rider:auth_token';
+
+describe('secure storage', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('moves a plain-text token into the keychain on first read', async () => {
+    await AsyncStorage.setItem(KEY, 'old-token');
+
+    expect(await getSecureItem(KEY)).toBe('old-token');
+    expect(Keychain.__getPassword(KEY)).toBe('old-token');
+    expect(await AsyncStorage.getItem(KEY)).toBeNull();
+
+    // Later reads come from the keychain
+    expect(await getSecureItem(KEY)).toBe('old-token');
+  });
+
+  test('deletes the plain-text copy when saving to the keychain', async () => {
+    await AsyncStorage.setItem(KEY, 'old-token');
+
+    expect(await setSecureItem(KEY, 'new-token')).toBe(true);
+
+    expect(Keychain.__getPassword(KEY)).toBe('new-token');
+    expect(await AsyncStorage.getItem(KEY)).toBeNull();
+  });
+
+  test('falls back to AsyncStorage while the keychain fails', async () => {
+    Keychain.__setAvailable(false);
+
+    expect(await setSecureItem(KEY, 'token')).toBe(true);
+    expect(await AsyncStorage.getItem(KEY)).toBe('token');
+    expect(await getSecureItem(KEY)).toBe('token');
+
+    // The fallback copy moves over once the keychain works again
+    Keychain.__setAvailable(true);
+    expect(await getSecureItem(KEY)).toBe('token');
+    expect(Keychain.__getPassword(KEY)).toBe('token');
+    expect(await AsyncStorage.getItem(KEY)).toBeNull();
+  });
+
+  test('removes the token from the keychain and the fallback', async () => {
+    await setSecureItem(KEY, 'token');
+    await AsyncStorage.setItem(KEY, 'stale-token');
+
+    expect(await removeSecureItem(KEY)).toBe(true);
+
+    expect(Keychain.__getPassword(KEY)).toBeNull();
+    expect(await getSecureItem(KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  appendCoordinates,
+  clearAllData,
+  clearCoordinateLog,
+  compactCoordinateLog,
+  getCoordinateCount,
+  getCoordinateRange,
+  getCoordinates,
+  getTripCoordinates,
+  getTripData,
+  getTripHistoryCache,
+  getTripLogId,
+  migrateLegacyCoordinates,
+  saveCoordinates,
+  saveOutbox,
+  saveTripData,
+  saveTripHistoryCache,
+  updateTripData,
+} from '../src/services/storage';
+
+const LOG_ID = 'local-1700000000000-abc123';
+const LOG_PREFIX = `@express_rider:coordinates:${LOG_ID}:`;
+
+const coordinate = (timestamp) => ({
+  latitude: 6.9271,
+  longitude: 79.8612,
+  timestamp,
+});
+
+/**
+ * Append coordinates one fix at a time, like the trip screen does
+ * @param {number} count - Number of fixes
+ * @param {number} first - Timestamp of the first fix
+ */
+const appendFixes = async (count, first = 0) => {
+  for (let i = 0; i < count; i += 1) {
+    await appendCoordinates(LOG_ID, [coordinate(first + i)]);
+  }
+};
+
+/**
+ * Read a log's index record
+ * @returns {Promise<Object>} Index
+ */
+const readIndex = async () =>
+  JSON.parse(await AsyncStorage.getItem(`${LOG_PREFIX}index`));
+
+describe('coordinate log', () => {
+  test('logs a trip under its local ID', () => {
+    expect(getTripLogId({ trip_id: 501, local_id: LOG_ID })).toBe(LOG_ID);
+    expect(getTripLogId({ trip_id: 501 })).toBe('501');
+    expect(getTripLogId(null)).toBeNull();
+  });
+
+  test('appends without rewriting stored chunks', async () => {
+    await appendCoordinates(LOG_ID, [coordinate(1), coordinate(2)]);
+    const firstChunk = await AsyncStorage.getItem(`${LOG_PREFIX}0`);
+
+    await appendCoordinates(LOG_ID, [coordinate(3)]);
+
+    expect(await AsyncStorage.getItem(`${LOG_PREFIX}0`)).toBe(firstChunk);
+    expect(await getCoordinateCount(LOG_ID)).toBe(3);
+    expect(
+      (await getTripCoordinates(LOG_ID)).map((point) => point.timestamp)
+    ).toEqual([1, 2, 3]);
+  });
+
+  test('keeps every point when appends overlap', async () => {
+    await Promise.all(
+      [1, 2, 3, 4].map((timestamp) =>
+        appendCoordinates(LOG_ID, [coordinate(timestamp)])
+      )
+    );
+
+    expect(await getCoordinateCount(LOG_ID)).toBe(4);
+  });
+
+  test('reads a range across chunks', async () => {
+    await appendCoordinates(LOG_ID, [coordinate(0), coordinate(1)]);
+    await appendCoordinates(LOG_ID, [coordinate(2), coordinate(3)]);
+    await appendCoordinates(LOG_ID, [coordinate(4)]);
+
+    const range = await getCoordinateRange(LOG_ID, 1, 4);
+
+    expect(range.map((point) => point.timestamp)).toEqual([1, 2, 3]);
+    expect(await getCoordinateRange(LOG_ID, 3)).toHaveLength(2);
+    expect(await getCoordinateRange(LOG_ID, 5)).toEqual([]);
+  });
+
+  test('folds single-fix chunks together as they pile up', async () => {
+    await appendFixes(25);
+
+    const index = await readIndex();
+    const keys = (await AsyncStorage.getAllKeys()).filter((key) =>
+      key.startsWith(LOG_PREFIX)
+    );
+
+    expect(index.length).toBe(25);
+    expect(index.chunks.length).toBeLessThan(20);
+    expect(keys).toHaveLength(index.chunks.length + 1);
+    expect(
+      (await getTripCoordinates(LOG_ID)).map((point) => point.timestamp)
+    ).toEqual(Array.from({ length: 25 }, (_, i) => i));
+  });
+
+  test('repacks the whole log into full chunks', async () => {
+    await appendFixes(150);
+
+    await compactCoordinateLog(LOG_ID);
+
+    const index = await readIndex();
+    expect(index.chunks.map((chunk) => chunk.count)).toEqual([100, 50]);
+    expect(await getTripCoordinates(LOG_ID)).toHaveLength(150);
+    expect((await getCoordinateRange(LOG_ID, 99, 101))[1].timestamp).toBe(100);
+  });
+
+  test('moves legacy coordinates into the log', async () => {
+    await saveCoordinates([coordinate(1), coordinate(2)]);
+
+    const migrated = await migrateLegacyCoordinates(LOG_ID);
+
+    expect(migrated).toBe(2);
+    expect(await getCoordinates()).toEqual([]);
+    expect(await getTripCoordinates(LOG_ID)).toHaveLength(2);
+    expect(await migrateLegacyCoordinates(LOG_ID)).toBe(0);
+  });
+
+  test('clears only the given log', async () => {
+    await appendCoordinates(LOG_ID, [coordinate(1)]);
+    await appendCoordinates('501', [coordinate(2)]);
+
+    await clearCoordinateLog(LOG_ID);
+
+    expect(await getCoordinateCount(LOG_ID)).toBe(0);
+    expect(await getCoordinateCount('501')).toBe(1);
+  });
+
+  test('keeps the logs of queued trips when clearing all data', async () => {
+    await appendCoordinates(LOG_ID, [coordinate(1)]);
+    await appendCoordinates('501', [coordinate(2)]);
+    await saveOutbox([{ id: 'end-1', payload: { log_id: LOG_ID } }]);
+
+    await clearAllData();
+
+    expect(await getCoordinateCount(LOG_ID)).toBe(1);
+    expect(await getCoordinateCount('501')).toBe(0);
+  });
+});
+
+describe('trip data', () => {
+  test('keeps every field when updates overlap', async () => {
+    await saveTripData({ trip_id: 501, status: 'active' });
+
+    await Promise.all([
+      updateTripData({ queued_count: 50 }),
+      updateTripData({ pauses: [{ start: 1, end: 2 }] }),
+    ]);
+
+    expect(await getTripData()).toEqual({
+      trip_id: 501,
+      status: 'active',
+      queued_count: 50,
+      pauses: [{ start: 1, end: 2 }],
+    });
+  });
+
+  test('computes an update from the stored trip data', async () => {
+    await saveTripData({ trip_id: 501, synced_count: 100 });
+
+    await Promise.all(
+      [50, 150].map((syncedCount) =>
+        updateTripData((tripData) => ({
+          synced_count: Math.max(tripData.synced_count, syncedCount),
+        }))
+      )
+    );
+
+    expect((await getTripData()).synced_count).toBe(150);
+  });
+});
+
+describe('trip history cache', () => {
+  const trips = [{ id: 501, date: '2024-05-01T08:00:00.000Z' }];
+
+  test('keeps a separate cache for each rider', async () => {
+    await saveTripHistoryCache(7, trips);
+
+    const cache = await getTripHistoryCache(7);
+    expect(cache.trips).toEqual(trips);
+    expect(Date.parse(cache.updated_at)).not.toBeNaN();
+    expect(await getTripHistoryCache(8)).toBeNull();
+  });
+
+  test('replaces the cache with the latest history', async () => {
+    await saveTripHistoryCache(7, trips);
+    await saveTripHistoryCache(7, []);
+
+    expect((await getTripHistoryCache(7)).trips).toEqual([]);
+  });
+
+  test('ignores a history that is not a list', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await saveTripHistoryCache(7, null)).toBe(false);
+    expect(await getTripHistoryCache(7)).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('drops every rider cache when clearing all data', async () => {
+    await saveTripHistoryCache(7, trips);
+    await saveTripHistoryCache(8, trips);
+
+    await clearAllData();
+
+    expect(await getTripHistoryCache(7)).toBeNull();
+    expect(await getTripHistoryCache(8)).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @format
+ */
+
+import ReactNativeBlobUtil from 'react-native-blob-util';
+import Share from 'react-native-share';
+import {
+  EXPORT_FORMATS,
+  exportTrip,
+  getActiveTripForExport,
+  shareTrip,
+  toCSV,
+  toGeoJSON,
+  toGPX,
+  toKML,
+} from '../src/services/tripExport';
+import { appendCoordinates, saveTripData } from '../src/services/storage';
+
+const trip = {
+  id: 42,
+  startTime: '2024-05-01T08:00:00.000Z',
+  endTime: '2024-05-01T08:10:00.000Z',
+  distance: 1.5,
+  coordinates: [
+    {
+      latitude: 6.9271,
+      longitude: 79.8612,
+      altitude: 12.5,
+      accuracy: 8,
+      speed: 4.2,
+      timestamp: Date.parse('2024-05-01T08:00:00.000Z'),
+    },
+    {
+      latitude: 6.9281,
+      longitude: 79.8622,
+      altitude: null,
+      accuracy: 15,
+      speed: null,
+      timestamp: Date.parse('2024-05-01T08:01:00.000Z'),
+    },
+  ],
+};
+
+describe('toGPX', () => {
+  test('writes track points with elevation, time and extensions', () => {
+    const gpx = toGPX(trip);
+
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx).toContain('<trkpt lat="6.9271" lon="79.8612">');
+    expect(gpx).toContain('<ele>12.5</ele>');
+    expect(gpx).toContain('<time>2024-05-01T08:01:00.000Z</time>');
+    expect(gpx).toContain(
+      '<extensions><rider:accuracy>8</rider:accuracy><rider:speed>4.2</rider:speed></extensions>'
+    );
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+  });
+});
+
+describe('toKML', () => {
+  test('writes a gx:Track with times and per-point data', () => {
+    const kml = toKML(trip);
+
+    expect(kml).toContain('<when>2024-05-01T08:00:00.000Z</when>');
+    expect(kml).toContain('<gx:coord>79.8612 6.9271 12.5</gx:coord>');
+    expect(kml).toContain('<altitudeMode>clampToGround</altitudeMode>');
+    expect(kml).toContain('<gx:SimpleArrayData name="accuracy">');
+  });
+});
+
+describe('toGeoJSON', () => {
+  test('builds a LineString with coordinate properties', () => {
+    const [feature] = toGeoJSON(trip).features;
+
+    expect(feature.geometry).toEqual({
+      type: 'LineString',
+      coordinates: [
+        [79.8612, 6.9271, 12.5],
+        [79.8622, 6.9281],
+      ],
+    });
+    expect(feature.properties.coordinateProperties).toEqual({
+      times: ['2024-05-01T08:00:00.000Z', '2024-05-01T08:01:00.000Z'],
+      accuracy: [8, 15],
+      speed: [4.2, null],
+    });
+  });
+});
+
+describe('toCSV', () => {
+  test('writes one row per point and leaves missing values empty', () => {
+    expect(toCSV(trip).split('\n')).toEqual([
+      'timestamp,latitude,longitude,altitude,accuracy,speed',
+      '2024-05-01T08:00:00.000Z,6.9271,79.8612,12.5,8,4.2',
+      '2024-05-01T08:01:00.000Z,6.9281,79.8622,,15,',
+      '',
+    ]);
+  });
+});
+
+describe('exportTrip', () => {
+  test('accepts stored trip data with snake_case fields', () => {
+    const file = exportTrip(
+      { trip_id: 'local-1', coordinates: trip.coordinates },
+      EXPORT_FORMATS.GPX
+    );
+
+    expect(file.filename).toBe('trip-local-1.gpx');
+    expect(file.mimeType).toBe('application/gpx+xml');
+  });
+
+  test('rejects a trip without a route', () => {
+    expect(() => exportTrip({ id: 1 }, EXPORT_FORMATS.CSV)).toThrow(
+      'no recorded route'
+    );
+  });
+});
+
+describe('shareTrip', () => {
+  test('writes the file to the cache and shares its path', async () => {
+    const result = await shareTrip(trip, EXPORT_FORMATS.GEOJSON);
+
+    expect(result).toEqual({ success: true });
+    expect(ReactNativeBlobUtil.__getFile('/cache/trip-42.geojson')).toContain(
+      '"LineString"'
+    );
+    expect(Share.open).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'file:///cache/trip-42.geojson',
+        type: 'application/geo+json',
+      })
+    );
+  });
+});
+
+describe('getActiveTripForExport', () => {
+  test('returns null when no trip is active', async () => {
+    expect(await getActiveTripForExport()).toBeNull();
+  });
+
+  test('loads the full coordinate log of the active trip', async () => {
+    await saveTripData({ local_id: 'local-1', trip_id: 42, status: 'active' });
+    await appendCoordinates('local-1', trip.coordinates);
+
+    const active = await getActiveTripForExport();
+
+    expect(active.trip_id).toBe(42);
+    expect(active.coordinates).toEqual(trip.coordinates);
+    expect(exportTrip(active, EXPORT_FORMATS.CSV).filename).toBe('trip-42.csv');
+  });
+});
@@ -0,0 +1,541 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import {
+  Alert,
+  AppState,
+  BackHandler,
+  Linking,
+  Text,
+  TextInput,
+} from 'react-native';
+import ReactTestRenderer, { act } from 'react-test-renderer';
+import BackgroundFetch from 'react-native-background-fetch';
+import BackgroundService from 'react-native-background-actions';
+import Geolocation from 'react-native-geolocation-service';
+import App from '../App';
+import { createApiMock } from '../jest/apiMock';
+import { CONFIG } from '../src/constants/config';
+import gpsService from '../src/services/gpsService';
+import { METERS_PER_DEGREE } from '../src/services/haversine';
+import { stopOutbox } from '../src/services/outbox';
+import {
+  getAuthToken,
+  getOutbox,
+  getRiderId,
+  getTripData,
+} from '../src/services/storage';
+
+const RIDER_ID = 7;
+const SERVER_TRIP_ID = 501;
+const START = { latitude: 6.9271, longitude: 79.8612 };
+
+// Time between fixes, and distance covered in that time (10 m/s)
+const FIX_INTERVAL = 5000;
+const FIX_SPACING = 50;
+
+let renderer;
+let server;
+
+/**
+ * Fake backend state shared by the API mock handlers
+ * While `online` is false every trip request fails with a 503. Clearing
+ * `loggedIn` expires the session: coordinate uploads fail with a 401 until
+ * the rider logs in again (token refresh is not mocked and fails).
+ * @returns {Object} Server {online, loggedIn, synced, ended, api, restore}
+ */
+const createServer = () => {
+  const { api, restore } = createApiMock();
+  const state = {
+    online: true,
+    loggedIn: false,
+    synced: [],
+    ended: [],
+    api,
+    restore,
+  };
+
+  /**
+   * Answer a request only while the server is online
+   * @param {Function} handler - Receives the request config, returns [status, body]
+   * @returns {Function} Reply function
+   */
+  const whenOnline = (handler) => (config) =>
+    state.online ? handler(config) : [503, { message: 'Service Unavailable' }];
+
+  api.onPost('/auth/login').reply(() => {
+    state.loggedIn = true;
+    return [
+      200,
+      {
+        data: {
+          rider_id: RIDER_ID,
+          name: 'Kasun',
+          token: 'token-1',
+          refresh_token: 'refresh-1',
+        },
+      },
+    ];
+  });
+
+  api.onPost('/trips/start').reply(
+    whenOnline((config) => [
+      200,
+      {
+        data: {
+          trip_id: SERVER_TRIP_ID,
+          rider_id: JSON.parse(config.data).rider_id,
+        },
+      },
+    ])
+  );
+
+  api.onPost('/trips/sync-coordinates').reply(
+    whenOnline((config) => {
+      if (!state.loggedIn) {
+        return [401, { message: 'Unauthenticated' }];
+      }
+      state.synced.push(JSON.parse(config.data));
+      return [200, { success: true }];
+    })
+  );
+
+  api.onPost('/trips/end').reply(
+    whenOnline((config) => {
+      state.ended.push(JSON.parse(config.data));
+      return [200, { success: true }];
+    })
+  );
+
+  api.onGet(`/trips/history/${RIDER_ID}`).reply(
+    whenOnline(() => [
+      200,
+      {
+        data: state.ended.map((trip) => ({ ...trip, status: 'completed' })),
+        meta: { has_more: false },
+      },
+    ])
+  );
+
+  return state;
+};
+
+/**
+ * Let timers and pending promises run
+ * @param {number} ms - Milliseconds to advance
+ */
+const wait = async (ms = 0) => {
+  await act(async () => {
+    await jest.advanceTimersByTimeAsync(ms);
+  });
+};
+
+/**
+ * Check if any rendered screen has a Text with exactly this content
+ * @param {string} text - Text to look for
+ * @returns {boolean} True if the text is rendered
+ */
+const hasText = (text) =>
+  renderer.root.findAllByType(Text).some(
+    (node) =>
+      []
+        .concat(node.props.children)
+        .filter((child) => ['string', 'number'].includes(typeof child))
+        .join('') === text
+  );
+
+/**
+ * Press the Button with a title
+ * @param {string} title - Button title
+ */
+const press = async (title) => {
+  const [button] = renderer.root.findAll(
+    (node) =>
+      node.props.title === title && typeof node.props.onPress === 'function'
+  );
+  if (!button) {
+    throw new Error(`No "${title}" button is rendered`);
+  }
+  await act(async () => {
+    await button.props.onPress();
+  });
+  await wait();
+};
+
+/**
+ * Press a button of the last alert with a title
+ * @param {string} title - Alert title
+ * @param {string} text - Button text
+ */
+const pressAlertButton = async (title, text) => {
+  const call = [...Alert.alert.mock.calls]
+    .reverse()
+    .find(([alertTitle]) => alertTitle === title);
+  if (!call) {
+    throw new Error(`No "${title}" alert was shown`);
+  }
+  const button = call[2].find((item) => item.text === text);
+  await act(async () => {
+    await button.onPress?.();
+  });
+  await wait();
+};
+
+/**
+ * Report a fix north of the start and wait for the next one
+ * @param {number} index - Fix number, starting at 0
+ */
+const reportFix = async (index) => {
+  await act(async () => {
+    Geolocation.__emitPosition({
+      latitude: START.latitude + (index * FIX_SPACING) / METERS_PER_DEGREE,
+      longitude: START.longitude,
+      speed: FIX_SPACING / (FIX_INTERVAL / 1000),
+    });
+  });
+  await wait(FIX_INTERVAL);
+};
+
+/**
+ * Move the app to the background or foreground
+ * @param {string} nextState - 'active' or 'background'
+ */
+const setAppState = async (nextState) => {
+  await act(async () => {
+    AppState.__setState(nextState);
+  });
+  await wait();
+};
+
+/**
+ * Open a ridergps:// link in the running app
+ * @param {string} url - Link URL
+ */
+const openLink = async (url) => {
+  const [, onUrl] = Linking.addEventListener.mock.calls
+    .filter(([type]) => type === 'url')
+    .pop();
+  await act(async () => {
+    onUrl({ url });
+  });
+  await wait();
+};
+
+/**
+ * Press the Android back button
+ * Calls the hardware back handlers registered since the test started, latest
+ * first, until one of them handles the press.
+ */
+const pressBack = async () => {
+  const handlers = BackHandler.addEventListener.mock.calls
+    .filter(([type]) => type === 'hardwareBackPress')
+    .map(([, handler]) => handler)
+    .reverse();
+  await act(async () => {
+    handlers.some((handler) => handler());
+  });
+  await wait();
+};
+
+/**
+ * Launch the app and log in
+ */
+const login = async () => {
+  await act(async () => {
+    renderer = ReactTestRenderer.create(<App />);
+  });
+  // Splash screen, then the auth check
+  await wait(1000);
+  await wait(500);
+
+  await submitLogin();
+};
+
+/**
+ * Fill in the login form and press Login
+ */
+const enterLogin = async () => {
+  const [usernameInput, passwordInput] = renderer.root.findAllByType(TextInput);
+  await act(async () => {
+    usernameInput.props.onChangeText('kasun');
+    passwordInput.props.onChangeText('secret');
+  });
+  await press('Login');
+};
+
+/**
+ * Fill in and submit the login form
+ */
+const submitLogin = async () => {
+  await enterLogin();
+  await pressAlertButton('Login Successful', 'OK');
+};
+
+/**
+ * Launch the app, log in and start a trip from the dashboard
+ */
+const loginAndStartTrip = async () => {
+  await login();
+
+  await press('Start Trip');
+  await wait();
+};
+
+/**
+ * Expire the session during a trip
+ * The first full batch is rejected, which opens Login over the trip screen.
+ */
+const expireSessionDuringTrip = async () => {
+  server.loggedIn = false;
+  for (let i = 0; i < 3; i++) {
+    await reportFix(i);
+  }
+};
+
+// Rendering the whole app is slow on a cold transform cache
+jest.setTimeout(30000);
+
+describe('trip lifecycle', () => {
+  const { batchSize } = CONFIG.tracking;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Alert, 'alert');
+    jest.spyOn(BackHandler, 'addEventListener');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    CONFIG.tracking.batchSize = 3;
+    server = createServer();
+  });
+
+  afterEach(async () => {
+    if (renderer) {
+      await act(async () => {
+        renderer.unmount();
+      });
+      renderer = null;
+    }
+    // Tracking outlives the screens when a test leaves a trip running
+    await gpsService.stopTracking();
+    stopOutbox();
+    server.restore();
+    BackHandler.addEventListener.mockRestore();
+    CONFIG.tracking.batchSize = batchSize;
+    console.log.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('records a trip from login to history', async () => {
+    await loginAndStartTrip();
+
+    expect(await getAuthToken()).toBe('token-1');
+    expect(await getTripData()).toMatchObject({
+      trip_id: SERVER_TRIP_ID,
+      // Stored rider IDs are strings
+      rider_id: String(RIDER_ID),
+      status: 'active',
+    });
+    expect(BackgroundFetch.__isStarted()).toBe(true);
+    expect(BackgroundService.isRunning()).toBe(true);
+    expect(Geolocation.__getWatchCount()).toBe(1);
+
+    // Fixes from the foreground watch, uploaded in batches of three
+    for (let i = 0; i < 4; i++) {
+      await reportFix(i);
+    }
+    expect(server.synced).toHaveLength(1);
+    expect(server.synced[0]).toMatchObject({ trip_id: SERVER_TRIP_ID });
+    expect(server.synced[0].coordinates).toHaveLength(3);
+
+    // Background: fixes only arrive through BackgroundFetch
+    await setAppState('background');
+    await act(async () => {
+      Geolocation.__setPosition({
+        latitude: START.latitude + (4 * FIX_SPACING) / METERS_PER_DEGREE,
+        longitude: START.longitude,
+      });
+      await BackgroundFetch.__fetch();
+    });
+    await wait(FIX_INTERVAL);
+
+    // Foreground: the screen reloads the trip from storage
+    await setAppState('active');
+    expect(hasText('0.20')).toBe(true);
+
+    // End
+    await press('End Trip');
+    await pressAlertButton('End Trip', 'End Trip');
+    await wait();
+
+    expect(server.ended).toHaveLength(1);
+    const [ended] = server.ended;
+    expect(ended).toMatchObject({
+      trip_id: SERVER_TRIP_ID,
+      rider_id: String(RIDER_ID),
+      synced_count: 3,
+    });
+    expect(ended.coordinates).toHaveLength(2);
+    expect(ended.coordinates[1].source).toBe('fetch');
+    expect(ended.total_distance).toBeCloseTo(0.2, 2);
+
+    expect(await getTripData()).toBeNull();
+    expect(BackgroundFetch.__isStarted()).toBe(false);
+    expect(BackgroundService.isRunning()).toBe(false);
+    expect(Geolocation.__getWatchCount()).toBe(0);
+
+    const [, completed] = Alert.alert.mock.calls.find(
+      ([title]) => title === 'Trip Completed'
+    );
+    expect(completed).toContain('saved successfully');
+    await pressAlertButton('Trip Completed', 'OK');
+
+    // History
+    await press('View Trip History');
+    await wait();
+    expect(server.api.history.get).toHaveLength(1);
+    expect(hasText('0.20 km')).toBe(true);
+  });
+
+  test('uploads a trip ended offline once the app is back in the foreground', async () => {
+    await loginAndStartTrip();
+    for (let i = 0; i < 2; i++) {
+      await reportFix(i);
+    }
+
+    server.online = false;
+    await press('End Trip');
+    await pressAlertButton('End Trip', 'End Trip');
+    await wait();
+
+    expect(server.ended).toHaveLength(0);
+    const [, completed] = Alert.alert.mock.calls.find(
+      ([title]) => title === 'Trip Completed'
+    );
+    expect(completed).toContain('will be uploaded when you are back online');
+    await pressAlertButton('Trip Completed', 'OK');
+
+    // History lists the trip from the outbox while the server is unreachable
+    await press('View Trip History');
+    await wait();
+    expect(hasText('Pending')).toBe(true);
+
+    server.online = true;
+    await setAppState('background');
+    await setAppState('active');
+
+    expect(server.ended).toHaveLength(1);
+    expect(server.ended[0]).toMatchObject({
+      trip_id: SERVER_TRIP_ID,
+      synced_count: 0,
+    });
+    expect(server.ended[0].coordinates).toHaveLength(2);
+  });
+
+  test('opens the dashboard from a tracking link when no trip is active', async () => {
+    await login();
+
+    await openLink('ridergps://tracking');
+
+    // The login is the only request: no trip was started on the server
+    expect(server.api.history.post).toHaveLength(1);
+    expect(await getTripData()).toBeNull();
+    expect(Geolocation.__getWatchCount()).toBe(0);
+    expect(hasText('Trip Tracking')).toBe(false);
+  });
+
+  test('keeps recording while the rider logs in again during a trip', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await loginAndStartTrip();
+
+    await expireSessionDuringTrip();
+    expect(await getAuthToken()).toBeNull();
+    expect(renderer.root.findAllByType(TextInput)).toHaveLength(2);
+
+    // Login opens over the trip screen, which keeps recording
+    await reportFix(3);
+    expect(hasText('Trip Tracking')).toBe(true);
+    expect(hasText('0.15')).toBe(true);
+
+    await submitLogin();
+    expect(renderer.root.findAllByType(TextInput)).toHaveLength(0);
+    expect(Alert.alert).not.toHaveBeenCalledWith(
+      'Trip in Progress',
+      expect.anything(),
+      expect.anything()
+    );
+
+    await press('End Trip');
+    await pressAlertButton('End Trip', 'End Trip');
+    await wait(CONFIG.outbox.retryMaxDelay);
+
+    const synced = server.synced.flatMap((batch) => batch.coordinates);
+    expect(synced.length + server.ended[0].coordinates.length).toBe(4);
+    console.warn.mockRestore();
+  });
+
+  test('keeps Login open over the trip until the rider signs in', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await loginAndStartTrip();
+    await expireSessionDuringTrip();
+
+    await pressBack();
+    expect(renderer.root.findAllByType(TextInput)).toHaveLength(2);
+
+    await submitLogin();
+    expect(renderer.root.findAllByType(TextInput)).toHaveLength(0);
+    expect(hasText('Trip Tracking')).toBe(true);
+    console.warn.mockRestore();
+  });
+
+  test('does not hand the trip to another rider who logs in', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await loginAndStartTrip();
+    await expireSessionDuringTrip();
+
+    server.api.onPost('/auth/login').reply(200, {
+      data: { rider_id: RIDER_ID + 1, token: 'token-2' },
+    });
+    Alert.alert.mockClear();
+    await enterLogin();
+
+    expect(Alert.alert).not.toHaveBeenCalledWith(
+      'Login Successful',
+      expect.anything(),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(
+      hasText(
+        'This trip was started by another rider. Sign in with their account to continue.'
+      )
+    ).toBe(true);
+    expect(await getAuthToken()).toBeNull();
+    expect(await getRiderId()).toBe(String(RIDER_ID));
+    expect((await getTripData()).status).toBe('active');
+    console.warn.mockRestore();
+  });
+
+  test('does not start a trip when the start reply cannot be read', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // The trip may have started, but the reply has no trip ID
+    server.api
+      .onPost('/trips/start')
+      .reply(201, { data: { rider_id: RIDER_ID } });
+
+    await loginAndStartTrip();
+
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Trip Not Started',
+      expect.any(String),
+      expect.anything()
+    );
+    expect(await getTripData()).toBeNull();
+    expect(await getOutbox()).toEqual([]);
+    expect(Geolocation.__getWatchCount()).toBe(0);
+
+    await pressAlertButton('Trip Not Started', 'OK');
+    expect(hasText('Start Trip')).toBe(true);
+    console.warn.mockRestore();
+  });
+});
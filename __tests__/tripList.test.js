@@ -0,0 +1,91 @@
+/**
+ * @format
+ */
+
+import {
+  getRecentDateRange,
+  isTripInRange,
+  mergeTripPages,
+} from '../src/utils/tripList';
+
+const trip = (id, status = 'completed') => ({
+  id,
+  date: '2024-05-01T08:00:00.000Z',
+  status,
+});
+
+describe('mergeTripPages', () => {
+  test('appends the trips of a new page', () => {
+    const { trips, added } = mergeTripPages(
+      [trip(3), trip(2)],
+      [trip(1), trip(0)]
+    );
+
+    expect(trips.map((item) => item.id)).toEqual([3, 2, 1, 0]);
+    expect(added).toBe(2);
+  });
+
+  test('drops trips repeated across pages', () => {
+    // A trip added between requests pushes trip 2 onto the next page too
+    const { trips, added } = mergeTripPages(
+      [trip(3), trip(2)],
+      [trip(2), trip(1)]
+    );
+
+    expect(trips.map((item) => item.id)).toEqual([3, 2, 1]);
+    expect(added).toBe(1);
+  });
+
+  test('matches IDs whether they are numbers or strings', () => {
+    const { trips, added } = mergeTripPages([trip(2)], [trip('2'), trip(1)]);
+
+    expect(trips).toHaveLength(2);
+    expect(added).toBe(1);
+  });
+
+  test('keeps the position of a trip whose status changed', () => {
+    // The trip was still uploading when the first page was listed
+    const { trips, added } = mergeTripPages(
+      [trip(3, 'pending'), trip(2)],
+      [trip(3, 'completed'), trip(1)]
+    );
+
+    expect(trips.map((item) => [item.id, item.status])).toEqual([
+      [3, 'completed'],
+      [2, 'completed'],
+      [1, 'completed'],
+    ]);
+    expect(added).toBe(1);
+  });
+
+  test('keeps one copy of a trip repeated within a page', () => {
+    const { trips } = mergeTripPages([], [trip(1, 'pending'), trip(1)]);
+
+    expect(trips).toEqual([trip(1)]);
+  });
+});
+
+describe('date range', () => {
+  const now = new Date(2024, 4, 10, 15, 30);
+
+  test('covers today and the days before it', () => {
+    const range = getRecentDateRange(7, now);
+
+    expect(new Date(range.from)).toEqual(new Date(2024, 4, 4));
+    expect(range.to).toBeNull();
+    expect(getRecentDateRange(null, now)).toEqual({ from: null, to: null });
+  });
+
+  test('includes the start and excludes the end of a range', () => {
+    const range = {
+      from: '2024-05-01T00:00:00.000Z',
+      to: '2024-05-02T00:00:00.000Z',
+    };
+
+    expect(isTripInRange({ date: range.from }, range)).toBe(true);
+    expect(isTripInRange({ date: range.to }, range)).toBe(false);
+    expect(isTripInRange({ date: '2024-04-30T23:59:59.000Z' }, range)).toBe(
+      false
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @format
+ */
+
+import { METERS_PER_DEGREE } from '../src/services/haversine';
+import { getMaxSpeed, getTripStats } from '../src/utils/tripStats';
+
+const START = Date.parse('2024-05-01T08:00:00.000Z');
+
+/**
+ * Build a northbound route with a point every `spacing` meters and `interval` seconds
+ * @param {number} pointCount - Number of points
+ * @param {number} spacing - Meters between points
+ * @param {number} interval - Seconds between points
+ * @returns {Array} Coordinates
+ */
+const buildRoute = (pointCount, spacing, interval) =>
+  Array.from({ length: pointCount }, (_, i) => ({
+    latitude: 6.9271 + (i * spacing) / METERS_PER_DEGREE,
+    longitude: 79.8612,
+    timestamp: START + i * interval * 1000,
+  }));
+
+const at = (seconds) => new Date(START + seconds * 1000).toISOString();
+
+describe('getTripStats', () => {
+  test('averages the speed over the whole trip', () => {
+    const stats = getTripStats({
+      startTime: at(0),
+      endTime: at(1800),
+      distance: 10,
+      coordinates: buildRoute(3, 100, 10),
+    });
+
+    expect(stats.durationSeconds).toBe(1800);
+    expect(stats.movingSeconds).toBe(1800);
+    expect(stats.averageSpeed).toBeCloseTo(20, 6);
+    expect(stats.pointCount).toBe(3);
+  });
+
+  test('leaves paused time out of the average speed', () => {
+    const stats = getTripStats({
+      startTime: at(0),
+      endTime: at(3600),
+      distance: 10,
+      movingTime: 1800,
+      coordinates: [],
+    });
+
+    expect(stats.durationSeconds).toBe(3600);
+    expect(stats.movingSeconds).toBe(1800);
+    expect(stats.averageSpeed).toBeCloseTo(20, 6);
+  });
+
+  test('leaves the segment across a pause out of a measured distance', () => {
+    const route = buildRoute(4, 100, 10);
+    const pauses = [{ start: at(15), end: at(18) }];
+
+    const stats = getTripStats({
+      startTime: at(0),
+      endTime: at(30),
+      distance: 0,
+      pauses,
+      coordinates: route,
+    });
+
+    expect(stats.distance).toBeCloseTo(0.2, 6);
+  });
+
+  test('reports no duration or speed for a trip in progress', () => {
+    const stats = getTripStats({
+      startTime: at(0),
+      endTime: null,
+      distance: 1,
+      movingTime: 600,
+      coordinates: [],
+    });
+
+    expect(stats.durationSeconds).toBe(0);
+    expect(stats.movingSeconds).toBe(0);
+    expect(stats.averageSpeed).toBe(0);
+  });
+});
+
+describe('getMaxSpeed', () => {
+  test('prefers the speed reported by the device', () => {
+    const route = buildRoute(3, 100, 10).map((point, i) => ({
+      ...point,
+      speed: [5, 12.5, 8][i],
+    }));
+
+    expect(getMaxSpeed(route)).toBeCloseTo(45, 6);
+  });
+
+  test('falls back to the speed implied by the route', () => {
+    // 100 m in 10 s, then 100 m in 5 s
+    const route = buildRoute(3, 100, 10);
+    route[2].timestamp = route[1].timestamp + 5000;
+
+    expect(getMaxSpeed(route)).toBeCloseTo(72, 3);
+    expect(getMaxSpeed([])).toBe(0);
+  });
+});
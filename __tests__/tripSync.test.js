@@ -0,0 +1,57 @@
+/**
+ * @format
+ */
+
+import { createApiMock } from '../jest/apiMock';
+import { stopOutbox } from '../src/services/outbox';
+import { getTripData, saveTripData } from '../src/services/storage';
+import { syncPendingCoordinates } from '../src/services/tripSync';
+
+const coordinate = (timestamp) => ({
+  latitude: 6.9271,
+  longitude: 79.8612,
+  timestamp,
+});
+
+describe('coordinate sync', () => {
+  let mock;
+
+  beforeEach(async () => {
+    mock = createApiMock();
+    mock.api.onPost('/trips/sync-coordinates').reply(200, { success: true });
+    await saveTripData({ trip_id: 501, status: 'active' });
+  });
+
+  afterEach(() => {
+    stopOutbox();
+    mock.restore();
+  });
+
+  test('queues the partial batch when a forced sync overlaps another', async () => {
+    const coordinates = [1000, 2000, 3000].map(coordinate);
+
+    const [unforced, forced] = await Promise.all([
+      syncPendingCoordinates(coordinates),
+      syncPendingCoordinates(coordinates, { force: true }),
+    ]);
+
+    expect(unforced).toBe(0);
+    expect(forced).toBe(3);
+    expect((await getTripData()).queued_count).toBe(3);
+  });
+
+  test('queues the tail passed with an offset during another sync', async () => {
+    const coordinates = [1000, 2000, 3000].map(coordinate);
+
+    const [, queued] = await Promise.all([
+      syncPendingCoordinates(coordinates.slice(0, 2), { force: true }),
+      syncPendingCoordinates(coordinates.slice(2), {
+        force: true,
+        offset: 2,
+      }),
+    ]);
+
+    expect(queued).toBe(3);
+    expect((await getTripData()).queued_count).toBe(3);
+  });
+});
@@ -1,3 +1,7 @@
 module.exports = {
   presets: ['module:@react-native/babel-preset'],
+  // Build-time environment profile (see src/constants/environments.js)
+  plugins: [
+    ['transform-inline-environment-variables', { include: ['APP_ENV'] }],
+  ],
 };
@@ -3,7 +3,12 @@
  */
 
 import { AppRegistry } from 'react-native';
+import BackgroundFetch from 'react-native-background-fetch';
 import App from './App';
+import headlessTask from './src/services/headlessTask';
 import { name as appName } from './app.json';
 
 AppRegistry.registerComponent(appName, () => App);
+
+// Keeps recording an active trip after Android terminates the UI
+BackgroundFetch.registerHeadlessTask(headlessTask);
@@ -0,0 +1,42 @@
+/**
+ * API Mock
+ * axios-mock-adapter bound to the app's API client, so tests answer
+ * requests by path (e.g. '/trips/start') without a server.
+ */
+
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import apiService from '../src/services/api';
+import { CONFIG } from '../src/constants/config';
+
+/**
+ * Mock the API client and the bare axios call used for token refresh
+ * Requests without a handler fail with a 404.
+ * @returns {Object} {api, refresh, restore}: adapters for the API client
+ *   and token refresh, and a function that restores both
+ */
+export const createApiMock = () => {
+  const api = new MockAdapter(apiService.apiClient);
+  const refresh = new MockAdapter(axios);
+
+  return {
+    api,
+    refresh,
+    restore: () => {
+      api.restore();
+      refresh.restore();
+    },
+  };
+};
+
+/**
+ * Full URL of an API path, for matching token refresh requests
+ * @param {string} path - API path
+ * @returns {string} URL
+ */
+export const apiUrl = (path) => `${CONFIG.api.baseUrl}${path}`;
+
+export default {
+  createApiMock,
+  apiUrl,
+};
@@ -0,0 +1,43 @@
+/**
+ * Fake of React Native's AppState
+ * The preset's mock never reports a change; __setState moves the app
+ * between 'active', 'inactive' and 'background' and notifies listeners.
+ */
+
+const listeners = new Set();
+
+const AppState = {
+  currentState: 'active',
+  isAvailable: true,
+
+  addEventListener: jest.fn((type, handler) => {
+    const listener = { type, handler };
+    listeners.add(listener);
+    return {
+      remove: () => {
+        listeners.delete(listener);
+      },
+    };
+  }),
+
+  /**
+   * Change the app state and notify 'change' listeners
+   * @param {string} nextState - 'active', 'inactive' or 'background'
+   */
+  __setState: (nextState) => {
+    if (AppState.currentState === nextState) {
+      return;
+    }
+    AppState.currentState = nextState;
+    [...listeners]
+      .filter((listener) => listener.type === 'change')
+      .forEach((listener) => listener.handler(nextState));
+  },
+
+  // Listeners stay subscribed - their owners remove them when they unmount
+  __reset: () => {
+    AppState.currentState = 'active';
+  },
+};
+
+export default AppState;
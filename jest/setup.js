@@ -0,0 +1,33 @@
+/**
+ * Jest Setup
+ * Runs before every test file. Native modules resolve to the in-memory
+ * fakes in __mocks__/; this file adds the AppState fake and gives each
+ * test empty storage and freshly reset fakes.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import BackgroundFetch from 'react-native-background-fetch';
+import BackgroundService from 'react-native-background-actions';
+import Geolocation from 'react-native-geolocation-service';
+import * as Keychain from 'react-native-keychain';
+import Permissions from 'react-native-permissions';
+import ReactNativeBlobUtil from 'react-native-blob-util';
+import AppState from './fakes/AppState';
+
+jest.mock('react-native/Libraries/AppState/AppState', () =>
+  require('./fakes/AppState')
+);
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await AsyncStorage.clear();
+  AppState.__reset();
+  BackgroundFetch.__reset();
+  BackgroundService.__reset();
+  Geolocation.__reset();
+  Keychain.__reset();
+  NetInfo.__reset();
+  Permissions.__reset();
+  ReactNativeBlobUtil.__reset();
+});
@@ -0,0 +1,137 @@
+/**
+ * Mock Server Axios Adapter
+ * Answers axios requests with the mock handlers in-process, so tests run
+ * against the mock backend without opening a port.
+ *
+ * Usage:
+ *   const adapter = createMockAdapter();
+ *   apiClient.defaults.adapter = adapter;
+ *   axios.defaults.adapter = adapter; // token refresh uses bare axios
+ *   adapter.faults.add({ path: '/trips/end', error: 500, times: 1 });
+ */
+
+const { AxiosError } = require('axios');
+const { handleRequest } = require('./handlers');
+const { createStore } = require('./store');
+const { createFaults } = require('./faults');
+
+/**
+ * Join a request URL to the base URL the way axios does
+ * @param {string} baseURL - Base URL (may have a path such as /api/v1)
+ * @param {string} url - Request URL
+ * @returns {string} Full URL
+ */
+const joinUrl = (baseURL, url) => {
+  if (!baseURL || /^[a-z][a-z\d+\-.]*:\/\//i.test(url)) {
+    return url;
+  }
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Get the path and query of a request
+ * @param {Object} config - Axios request config
+ * @returns {Object} {path, query}
+ */
+const parseUrl = (config) => {
+  const url = new URL(joinUrl(config.baseURL, config.url), 'http://localhost');
+
+  return {
+    path: url.pathname,
+    query: {
+      ...Object.fromEntries(url.searchParams),
+      ...config.params,
+    },
+  };
+};
+
+/**
+ * Parse an axios request body
+ * @param {*} data - Request data after axios' request transforms
+ * @returns {*} Parsed body
+ */
+const parseBody = (data) => {
+  if (typeof data !== 'string') {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+/**
+ * Create an axios adapter backed by the mock handlers
+ * @param {Object} options - Adapter options
+ * @param {Object} options.store - Store to use (default: a new in-memory store)
+ * @param {Object} options.faults - Fault rules to use (default: none)
+ * @param {number} options.tokenTtl - Token lifetime in seconds
+ * @returns {Function} Axios adapter, with the `store` and `faults` it uses
+ */
+const createMockAdapter = ({
+  store = createStore(),
+  faults = createFaults(),
+  tokenTtl,
+} = {}) => {
+  const context = { store, faults, options: tokenTtl ? { tokenTtl } : {} };
+
+  const adapter = async (config) => {
+    const { path, query } = parseUrl(config);
+    const headers =
+      typeof config.headers?.toJSON === 'function'
+        ? config.headers.toJSON()
+        : { ...config.headers };
+
+    const response = await handleRequest(context, {
+      method: config.method || 'get',
+      path,
+      query,
+      body: parseBody(config.data),
+      headers,
+    });
+
+    if (response.timeout) {
+      // Reject the way axios does once its timeout runs out
+      await new Promise((resolve) => setTimeout(resolve, config.timeout || 0));
+      throw new AxiosError(
+        `timeout of ${config.timeout || 0}ms exceeded`,
+        AxiosError.ECONNABORTED,
+        config,
+        {}
+      );
+    }
+
+    const axiosResponse = {
+      data: JSON.stringify(response.body),
+      status: response.status,
+      statusText: String(response.status),
+      headers: { 'content-type': 'application/json' },
+      config,
+      request: {},
+    };
+
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return axiosResponse;
+    }
+
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500
+        ? AxiosError.ERR_BAD_RESPONSE
+        : AxiosError.ERR_BAD_REQUEST,
+      config,
+      {},
+      axiosResponse
+    );
+  };
+
+  adapter.store = store;
+  adapter.faults = faults;
+  return adapter;
+};
+
+module.exports = {
+  createMockAdapter,
+};
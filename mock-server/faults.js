@@ -0,0 +1,152 @@
+/**
+ * Mock Server Faults
+ * Rules that slow down or break matching requests, so the app's retry,
+ * refresh and offline paths can be exercised without a real outage.
+ *
+ * A rule is an object with:
+ *   path        - Only requests whose path starts with this (default: all)
+ *   method      - Only requests with this method (default: all)
+ *   latency     - Milliseconds to wait before answering
+ *   error       - HTTP status to answer with (e.g. 401, 500) or 'timeout'
+ *                 to never answer
+ *   probability - Chance from 0 to 1 that the rule applies (default: 1)
+ *   times       - Number of requests to apply to before the rule is removed
+ *                 (default: unlimited)
+ * The first matching rule applies.
+ */
+
+// Values accepted for a rule's error besides HTTP statuses
+const TIMEOUT = 'timeout';
+
+/**
+ * Check a rule and fill in defaults
+ * @param {Object} rule - Fault rule
+ * @returns {Object} Rule with defaults
+ * @throws {Error} If the rule is invalid
+ */
+const normalizeRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Fault rule must be an object');
+  }
+
+  const { path = '', method = null, latency = 0, error = null } = rule;
+  const probability = rule.probability ?? 1;
+  const times = rule.times ?? null;
+
+  if (error !== null && error !== TIMEOUT) {
+    const status = Number(error);
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw new Error(`Fault error must be an HTTP error status or 'timeout'`);
+    }
+  }
+  if (!(latency >= 0)) {
+    throw new Error('Fault latency must be a positive number of milliseconds');
+  }
+  if (!(probability >= 0 && probability <= 1)) {
+    throw new Error('Fault probability must be between 0 and 1');
+  }
+
+  return {
+    path,
+    method: method ? method.toUpperCase() : null,
+    latency: Number(latency),
+    error: error === TIMEOUT || error === null ? error : Number(error),
+    probability: Number(probability),
+    times: times === null ? null : Number(times),
+  };
+};
+
+/**
+ * Read fault rules from environment variables
+ * MOCK_LATENCY applies to every request; MOCK_FAULT (status or 'timeout')
+ * applies to requests under MOCK_FAULT_PATH with chance MOCK_FAULT_RATE.
+ * @param {Object} env - Environment variables
+ * @returns {Array} Fault rules
+ */
+const rulesFromEnv = (env) => {
+  const rules = [];
+
+  if (env.MOCK_FAULT) {
+    rules.push({
+      path: env.MOCK_FAULT_PATH || '',
+      error: env.MOCK_FAULT,
+      probability: env.MOCK_FAULT_RATE ? Number(env.MOCK_FAULT_RATE) : 1,
+      latency: Number(env.MOCK_LATENCY) || 0,
+    });
+  }
+
+  if (env.MOCK_LATENCY) {
+    rules.push({ latency: Number(env.MOCK_LATENCY) });
+  }
+
+  return rules.map(normalizeRule);
+};
+
+/**
+ * Create a fault rule set
+ * @param {Array} initialRules - Rules to start with
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Object} Faults {add, clear, list, match}
+ */
+const createFaults = (initialRules = [], random = Math.random) => {
+  let rules = initialRules.map(normalizeRule);
+
+  return {
+    /**
+     * Add rules after the existing ones
+     * @param {Object|Array} rule - Rule or rules
+     * @returns {Array} All rules
+     */
+    add: (rule) => {
+      rules = [...rules, ...[].concat(rule).map(normalizeRule)];
+      return rules;
+    },
+
+    /**
+     * Remove every rule
+     */
+    clear: () => {
+      rules = [];
+    },
+
+    /**
+     * Get the current rules
+     * @returns {Array} Rules
+     */
+    list: () => rules.map((rule) => ({ ...rule })),
+
+    /**
+     * Find the fault for a request, using up one of the rule's `times`
+     * @param {Object} request - Request {method, path}
+     * @returns {Object|null} Fault {latency, error}, or null if no rule applies
+     */
+    match: ({ method, path }) => {
+      const rule = rules.find(
+        (item) =>
+          path.startsWith(item.path) &&
+          (!item.method || item.method === method) &&
+          random() < item.probability
+      );
+
+      if (!rule) {
+        return null;
+      }
+
+      if (rule.times !== null) {
+        rule.times -= 1;
+        if (rule.times <= 0) {
+          rules = rules.filter((item) => item !== rule);
+        }
+      }
+
+      return { latency: rule.latency, error: rule.error };
+    },
+  };
+};
+
+module.exports = {
+  TIMEOUT,
+  normalizeRule,
+  rulesFromEnv,
+  createFaults,
+};
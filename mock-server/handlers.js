@@ -0,0 +1,460 @@
+/**
+ * Mock Server Handlers
+ * The Express Rider API implemented against the mock store. Requests and
+ * responses are plain objects so the HTTP server and the in-process axios
+ * adapter share the same behaviour.
+ *
+ * Request:  {method, path, query, body, headers}
+ * Response: {status, body}, or {timeout: true} when a fault swallows it
+ */
+
+const crypto = require('crypto');
+const { TIMEOUT } = require('./faults');
+
+// Prefix of the production API, accepted and stripped from request paths
+const API_PREFIX = '/api/v1';
+
+// Prefix of the endpoints that control the mock itself
+const ADMIN_PREFIX = '/__mock';
+
+// Default lifetime of an auth token
+const DEFAULT_TOKEN_TTL = 3600; // seconds
+
+// Largest history page the server returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Responses
+ */
+
+const json = (status, body) => ({ status, body });
+
+const errorResponse = (status, message) => json(status, { message });
+
+const validationError = (errors) =>
+  json(422, {
+    message: Object.values(errors)[0][0],
+    errors,
+  });
+
+/**
+ * Auth
+ */
+
+/**
+ * Create a session for a rider
+ * @param {Object} state - Store state
+ * @param {number} riderId - Rider ID
+ * @param {number} tokenTtl - Token lifetime in seconds
+ * @returns {Object} Session {token, refresh_token, rider_id, expires_at}
+ */
+const createSession = (state, riderId, tokenTtl) => {
+  const session = {
+    token: crypto.randomBytes(16).toString('hex'),
+    refresh_token: crypto.randomBytes(16).toString('hex'),
+    rider_id: riderId,
+    expires_at: Date.now() + tokenTtl * 1000,
+  };
+  state.sessions.push(session);
+  return session;
+};
+
+/**
+ * Find the session of a request's bearer token
+ * @param {Object} state - Store state
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {Object|null} Session, or null if missing or expired
+ */
+const authenticate = (state, headers) => {
+  const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+  if (!match) {
+    return null;
+  }
+
+  const session = state.sessions.find((item) => item.token === match[1]);
+  return session && session.expires_at > Date.now() ? session : null;
+};
+
+/**
+ * Trips
+ */
+
+/**
+ * Shape a stored trip for a response
+ * @param {Object} trip - Stored trip
+ * @returns {Object} Trip response
+ */
+const toTripResponse = (trip) => ({
+  trip_id: trip.trip_id,
+  rider_id: trip.rider_id,
+  start_time: trip.start_time,
+  end_time: trip.end_time,
+  total_distance: trip.total_distance,
+  status: trip.status,
+  coordinates: trip.coordinates,
+});
+
+/**
+ * Find a trip of the authenticated rider
+ * @param {Object} state - Store state
+ * @param {Object} session - Authenticated session
+ * @param {*} tripId - Trip ID from the request
+ * @returns {Object} {trip} or {error} response
+ */
+const findRiderTrip = (state, session, tripId) => {
+  const trip = state.trips.find(
+    (item) => String(item.trip_id) === String(tripId)
+  );
+
+  if (!trip) {
+    return { error: errorResponse(404, `Trip ${tripId} not found.`) };
+  }
+  if (trip.rider_id !== session.rider_id) {
+    return { error: errorResponse(403, 'This trip belongs to another rider.') };
+  }
+  return { trip };
+};
+
+/**
+ * Check that a value is an array of coordinates
+ * @param {*} coordinates - Value from the request
+ * @returns {boolean} True if every item has a latitude and longitude
+ */
+const isCoordinateList = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.every(
+    (coord) =>
+      coord &&
+      Number.isFinite(coord.latitude) &&
+      Number.isFinite(coord.longitude)
+  );
+
+/**
+ * Route Handlers
+ * Each receives {request, session, store, options} and returns a response.
+ */
+
+const health = () =>
+  json(200, { status: 'ok', time: new Date().toISOString() });
+
+const login = ({ request, store, options }) => {
+  const { username, password } = request.body || {};
+
+  if (!username || !password) {
+    return validationError({
+      username: ['The username and password fields are required.'],
+    });
+  }
+
+  return store.update((state) => {
+    const rider = state.riders.find(
+      (item) => item.username === username && item.password === password
+    );
+    if (!rider) {
+      return errorResponse(401, 'Invalid username or password.');
+    }
+
+    const session = createSession(state, rider.id, options.tokenTtl);
+    return json(200, {
+      success: true,
+      data: {
+        rider_id: rider.id,
+        name: rider.name,
+        token: session.token,
+        refresh_token: session.refresh_token,
+      },
+    });
+  });
+};
+
+const refresh = ({ request, store, options }) => {
+  const refreshToken = request.body?.refresh_token;
+
+  return store.update((state) => {
+    const previous = state.sessions.find(
+      (item) => refreshToken && item.refresh_token === refreshToken
+    );
+    if (!previous) {
+      return errorResponse(401, 'Invalid refresh token.');
+    }
+
+    // Refresh tokens rotate - the old session ends with this refresh
+    state.sessions = state.sessions.filter((item) => item !== previous);
+    const session = createSession(state, previous.rider_id, options.tokenTtl);
+
+    return json(200, {
+      success: true,
+      data: { token: session.token, refresh_token: session.refresh_token },
+    });
+  });
+};
+
+const startTrip = ({ request, session, store }) => {
+  const { rider_id: riderId, start_time: startTime } = request.body || {};
+
+  if (String(riderId) !== String(session.rider_id)) {
+    return errorResponse(403, 'Trips can only be started for yourself.');
+  }
+  if (startTime && Number.isNaN(Date.parse(startTime))) {
+    return validationError({
+      start_time: ['The start time is not a valid date.'],
+    });
+  }
+
+  return store.update((state) => {
+    const trip = {
+      trip_id: state.nextTripId,
+      rider_id: session.rider_id,
+      start_time: startTime || new Date().toISOString(),
+      end_time: null,
+      total_distance: 0,
+      status: 'active',
+      coordinates: [],
+    };
+    state.nextTripId += 1;
+    state.trips.unshift(trip);
+
+    return json(201, { success: true, data: toTripResponse(trip) });
+  });
+};
+
+const syncCoordinates = ({ request, session, store }) => {
+  const { trip_id: tripId, coordinates } = request.body || {};
+
+  if (!isCoordinateList(coordinates)) {
+    return validationError({
+      coordinates: ['The coordinates must be a list of points.'],
+    });
+  }
+
+  return store.update((state) => {
+    const { trip, error } = findRiderTrip(state, session, tripId);
+    if (error) {
+      return error;
+    }
+    if (trip.status !== 'active') {
+      return errorResponse(409, `Trip ${tripId} has already ended.`);
+    }
+
+    trip.coordinates.push(...coordinates);
+
+    return json(200, {
+      success: true,
+      data: {
+        trip_id: trip.trip_id,
+        received: coordinates.length,
+        total: trip.coordinates.length,
+      },
+    });
+  });
+};
+
+const endTrip = ({ request, session, store }) => {
+  const body = request.body || {};
+  const coordinates = body.coordinates || [];
+
+  if (!isCoordinateList(coordinates)) {
+    return validationError({
+      coordinates: ['The coordinates must be a list of points.'],
+    });
+  }
+  if (Number.isNaN(Date.parse(body.end_time))) {
+    return validationError({ end_time: ['The end time is not a valid date.'] });
+  }
+
+  return store.update((state) => {
+    const { trip, error } = findRiderTrip(state, session, body.trip_id);
+    if (error) {
+      return error;
+    }
+
+    // A replayed end call gets the same answer instead of an error
+    if (trip.status !== 'completed') {
+      trip.coordinates.push(...coordinates);
+      trip.end_time = body.end_time;
+      trip.total_distance = Number(body.total_distance) || 0;
+      trip.status = 'completed';
+    }
+
+    return json(200, { success: true, data: toTripResponse(trip) });
+  });
+};
+
+const getTripHistory = ({ request, session, store, params }) => {
+  if (String(params.riderId) !== String(session.rider_id)) {
+    return errorResponse(403, 'You can only view your own trips.');
+  }
+
+  const { query } = request;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const perPage = Math.min(
+    Math.max(parseInt(query.per_page, 10) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to) : null;
+
+  const trips = store
+    .getState()
+    .trips.filter((trip) => {
+      const start = Date.parse(trip.start_time);
+      return (
+        trip.rider_id === session.rider_id &&
+        (from === null || start >= from) &&
+        (to === null || start < to)
+      );
+    })
+    .sort((a, b) => Date.parse(b.start_time) - Date.parse(a.start_time));
+
+  const lastPage = Math.max(Math.ceil(trips.length / perPage), 1);
+
+  return json(200, {
+    success: true,
+    data: trips.slice((page - 1) * perPage, page * perPage).map(toTripResponse),
+    meta: {
+      current_page: page,
+      last_page: lastPage,
+      per_page: perPage,
+      total: trips.length,
+      has_more: page < lastPage,
+    },
+  });
+};
+
+/**
+ * Admin Handlers
+ * Control the mock at runtime: fault rules, reset and a state dump.
+ */
+
+const getFaults = ({ faults }) => json(200, { data: faults.list() });
+
+const addFaults = ({ request, faults }) => {
+  try {
+    return json(201, { data: faults.add(request.body) });
+  } catch (error) {
+    return errorResponse(422, error.message);
+  }
+};
+
+const clearFaults = ({ faults }) => {
+  faults.clear();
+  return json(200, { data: [] });
+};
+
+const resetState = ({ request, store }) => {
+  store.reset(
+    request.body?.seedTrips !== undefined
+      ? { seedTrips: Number(request.body.seedTrips) }
+      : undefined
+  );
+  return json(200, { success: true });
+};
+
+const getStateDump = ({ store }) => json(200, store.getState());
+
+/**
+ * Routing
+ */
+
+// [method, path pattern, handler, requires auth]
+const ROUTES = [
+  ['GET', '/health', health, false],
+  ['POST', '/auth/login', login, false],
+  ['POST', '/auth/refresh', refresh, false],
+  ['POST', '/trips/start', startTrip, true],
+  ['POST', '/trips/sync-coordinates', syncCoordinates, true],
+  ['POST', '/trips/end', endTrip, true],
+  ['GET', '/trips/history/:riderId', getTripHistory, true],
+  ['GET', `${ADMIN_PREFIX}/faults`, getFaults, false],
+  ['POST', `${ADMIN_PREFIX}/faults`, addFaults, false],
+  ['DELETE', `${ADMIN_PREFIX}/faults`, clearFaults, false],
+  ['POST', `${ADMIN_PREFIX}/reset`, resetState, false],
+  ['GET', `${ADMIN_PREFIX}/state`, getStateDump, false],
+].map(([method, pattern, handler, requiresAuth]) => ({
+  method,
+  handler,
+  requiresAuth,
+  regex: new RegExp(`^${pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`),
+}));
+
+/**
+ * Strip the API prefix from a request path
+ * @param {string} path - Request path
+ * @returns {string} Path relative to the API root
+ */
+const toApiPath = (path) =>
+  path.startsWith(`${API_PREFIX}/`) ? path.slice(API_PREFIX.length) : path;
+
+/**
+ * Wait before answering
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) =>
+  ms > 0
+    ? new Promise((resolve) => setTimeout(resolve, ms))
+    : Promise.resolve();
+
+/**
+ * Handle a request
+ * Faults apply to API routes only, so the admin endpoints always answer.
+ * @param {Object} context - {store, faults, options}
+ * @param {Object} request - Request {method, path, query, body, headers}
+ * @returns {Promise<Object>} Response {status, body} or {timeout: true}
+ */
+const handleRequest = async (context, request) => {
+  const { store, faults } = context;
+  const options = { tokenTtl: DEFAULT_TOKEN_TTL, ...context.options };
+  const method = request.method.toUpperCase();
+  const path = toApiPath(request.path);
+  const headers = Object.fromEntries(
+    Object.entries(request.headers || {}).map(([name, value]) => [
+      name.toLowerCase(),
+      value,
+    ])
+  );
+
+  if (!path.startsWith(ADMIN_PREFIX)) {
+    const fault = faults.match({ method, path });
+
+    if (fault) {
+      await delay(fault.latency);
+      if (fault.error === TIMEOUT) {
+        return { timeout: true };
+      }
+      if (fault.error) {
+        return errorResponse(fault.error, `Injected ${fault.error} fault.`);
+      }
+    }
+  }
+
+  const candidates = ROUTES.filter((route) => route.regex.test(path));
+  const route = candidates.find((item) => item.method === method);
+
+  if (!route) {
+    return candidates.length
+      ? errorResponse(405, `Method ${method} is not allowed.`)
+      : errorResponse(404, `No route for ${method} ${path}.`);
+  }
+
+  const session = authenticate(store.getState(), headers);
+  if (route.requiresAuth && !session) {
+    return errorResponse(401, 'Unauthenticated.');
+  }
+
+  return route.handler({
+    request: { ...request, method, path, headers, query: request.query || {} },
+    params: route.regex.exec(path).groups || {},
+    session,
+    store,
+    faults,
+    options,
+  });
+};
+
+module.exports = {
+  API_PREFIX,
+  ADMIN_PREFIX,
+  DEFAULT_TOKEN_TTL,
+  handleRequest,
+};
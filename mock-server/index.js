@@ -0,0 +1,68 @@
+/**
+ * Express Rider Mock Server
+ * Local stand-in for the Express Rider API with persistent JSON state and
+ * fault injection.
+ *
+ *   npm run mock-server
+ *
+ * The API is served under /api/v1 (and at the root). Log in as
+ * rider / password or rider2 / password. From the Android emulator the
+ * host machine is http://10.0.2.2:<port>/api/v1.
+ *
+ * Environment:
+ *   MOCK_PORT        Port to listen on (default 3001)
+ *   MOCK_STATE_FILE  JSON state file (default mock-server/data/state.json,
+ *                    'memory' to keep state in memory only)
+ *   MOCK_SEED_TRIPS  Completed trips to create for rider 1 on a fresh state
+ *   MOCK_TOKEN_TTL   Auth token lifetime in seconds (default 3600)
+ *   MOCK_LATENCY     Delay added to every request, in milliseconds
+ *   MOCK_FAULT       HTTP status (e.g. 401, 500) or 'timeout' to inject
+ *   MOCK_FAULT_PATH  Only inject MOCK_FAULT under this path (e.g. /trips/end)
+ *   MOCK_FAULT_RATE  Chance from 0 to 1 that MOCK_FAULT is injected
+ *
+ * Runtime control (faults are described in faults.js):
+ *   GET    /__mock/faults   List fault rules
+ *   POST   /__mock/faults   Add a rule or a list of rules
+ *   DELETE /__mock/faults   Remove all rules
+ *   POST   /__mock/reset    Reset state, optionally {"seedTrips": n}
+ *   GET    /__mock/state    Dump the state
+ */
+
+const path = require('path');
+const { createServer } = require('./server');
+const { createStore } = require('./store');
+const { createFaults, rulesFromEnv } = require('./faults');
+const { DEFAULT_TOKEN_TTL } = require('./handlers');
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_STATE_FILE = path.join(__dirname, 'data', 'state.json');
+
+const env = process.env;
+const port = Number(env.MOCK_PORT) || DEFAULT_PORT;
+const stateFile =
+  env.MOCK_STATE_FILE === 'memory'
+    ? null
+    : env.MOCK_STATE_FILE || DEFAULT_STATE_FILE;
+
+const store = createStore({
+  file: stateFile,
+  seedTrips: Number(env.MOCK_SEED_TRIPS) || 0,
+});
+const faults = createFaults(rulesFromEnv(env));
+const options = { tokenTtl: Number(env.MOCK_TOKEN_TTL) || DEFAULT_TOKEN_TTL };
+
+const server = createServer({ store, faults, options });
+
+server.listen(port, () => {
+  console.log(`[mock] Express Rider API on http://localhost:${port}/api/v1`);
+  console.log(`[mock] State: ${stateFile || 'in memory'}`);
+  faults
+    .list()
+    .forEach((rule) => console.log(`[mock] Fault: ${JSON.stringify(rule)}`));
+});
+
+// Close connections held by timeout faults so Ctrl+C exits right away
+process.on('SIGINT', () => {
+  server.close(() => process.exit(0));
+  server.closeAllConnections();
+});
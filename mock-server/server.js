@@ -0,0 +1,105 @@
+/**
+ * Mock Server HTTP Transport
+ * Serves the mock handlers over Node's http module.
+ */
+
+const http = require('http');
+const { handleRequest } = require('./handlers');
+
+// Sockets held open by a timeout fault are closed after this long
+const HELD_REQUEST_LIMIT = 120000; // milliseconds
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body, or undefined if empty
+ * @throws {SyntaxError} If the body is not valid JSON
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Create the HTTP server
+ * @param {Object} context - {store, faults, options}
+ * @param {Object} settings - Server settings
+ * @param {boolean} settings.log - Log each request to the console
+ * @returns {http.Server} Server (not yet listening)
+ */
+const createServer = (context, { log = true } = {}) =>
+  http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+
+    const logRequest = (outcome) => {
+      if (log) {
+        console.log(
+          `[mock] ${req.method} ${url.pathname} ${outcome} ${
+            Date.now() - startedAt
+          }ms`
+        );
+      }
+    };
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendJson(res, 400, { message: 'Request body is not valid JSON.' });
+      logRequest(400);
+      return;
+    }
+
+    try {
+      const response = await handleRequest(context, {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body,
+        headers: req.headers,
+      });
+
+      if (response.timeout) {
+        // Leave the client waiting until it gives up
+        req.socket.setTimeout(HELD_REQUEST_LIMIT, () => req.socket.destroy());
+        logRequest('timeout');
+        return;
+      }
+
+      sendJson(res, response.status, response.body);
+      logRequest(response.status);
+    } catch (error) {
+      console.error('[mock] Handler error:', error);
+      sendJson(res, 500, { message: 'Mock server error.' });
+      logRequest(500);
+    }
+  });
+
+module.exports = {
+  createServer,
+};
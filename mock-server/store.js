@@ -0,0 +1,156 @@
+/**
+ * Mock Server Store
+ * Backend state (riders, sessions, trips) kept in memory and, when a file
+ * is given, written to JSON after every change so it survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { METERS_PER_DEGREE } = require('../src/services/haversine');
+
+// Riders every fresh state starts with
+const SEED_RIDERS = [
+  { id: 1, username: 'rider', password: 'password', name: 'Test Rider' },
+  { id: 2, username: 'rider2', password: 'password', name: 'Second Rider' },
+];
+
+// Where seeded trips start (Colombo)
+const SEED_ORIGIN = { latitude: 6.9271, longitude: 79.8612 };
+
+/**
+ * Generate completed trips for a rider, one per day going back from now
+ * Each trip is a straight route north at 8 m/s with a fix every 30 seconds.
+ * @param {number} riderId - Rider ID
+ * @param {number} count - Number of trips
+ * @param {number} firstId - ID of the first trip
+ * @returns {Array} Trips, newest first
+ */
+const generateTrips = (riderId, count, firstId) => {
+  const trips = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = Date.now() - (i + 1) * 24 * 60 * 60 * 1000;
+    const pointCount = 10 + (i % 20);
+    const coordinates = Array.from({ length: pointCount }, (_, index) => ({
+      latitude: SEED_ORIGIN.latitude + (index * 240) / METERS_PER_DEGREE,
+      longitude: SEED_ORIGIN.longitude,
+      accuracy: 5,
+      altitude: null,
+      speed: 8,
+      timestamp: start + index * 30000,
+      source: 'watch',
+    }));
+    const distance = ((pointCount - 1) * 240) / 1000;
+
+    trips.push({
+      trip_id: firstId + i,
+      rider_id: riderId,
+      start_time: new Date(start).toISOString(),
+      end_time: new Date(start + (pointCount - 1) * 30000).toISOString(),
+      total_distance: Number(distance.toFixed(2)),
+      status: 'completed',
+      coordinates,
+    });
+  }
+
+  return trips;
+};
+
+/**
+ * Build the state of a freshly reset backend
+ * @param {Object} options - Seed options
+ * @param {number} options.seedTrips - Completed trips to create for the first rider
+ * @returns {Object} State {riders, sessions, trips, nextTripId}
+ */
+const createInitialState = ({ seedTrips = 0 } = {}) => {
+  const trips = generateTrips(SEED_RIDERS[0].id, seedTrips, 1);
+
+  return {
+    riders: SEED_RIDERS.map((rider) => ({ ...rider })),
+    sessions: [],
+    trips,
+    nextTripId: trips.length + 1,
+  };
+};
+
+/**
+ * Read a state file
+ * @param {string} file - File path
+ * @returns {Object|null} State, or null if the file is missing or unreadable
+ */
+const loadState = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[mock] Ignoring unreadable state file ${file}:`, error);
+    }
+    return null;
+  }
+};
+
+/**
+ * Write a state file
+ * Written to a temporary file first so a crash never leaves half a file.
+ * @param {string} file - File path
+ * @param {Object} state - State to write
+ */
+const saveState = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, file);
+};
+
+/**
+ * Create a store
+ * @param {Object} options - Store options
+ * @param {string|null} options.file - JSON file to persist to, or null to keep state in memory
+ * @param {number} options.seedTrips - Completed trips to create when starting from scratch
+ * @returns {Object} Store {getState, update, reset}
+ */
+const createStore = ({ file = null, seedTrips = 0 } = {}) => {
+  let state = (file && loadState(file)) || createInitialState({ seedTrips });
+
+  const persist = () => {
+    if (file) {
+      saveState(file, state);
+    }
+  };
+
+  persist();
+
+  return {
+    /**
+     * Get the current state (read only - change it through update)
+     * @returns {Object} State
+     */
+    getState: () => state,
+
+    /**
+     * Change the state and persist it
+     * @param {Function} mutate - Receives the state and changes it in place
+     * @returns {*} Return value of mutate
+     */
+    update: (mutate) => {
+      const result = mutate(state);
+      persist();
+      return result;
+    },
+
+    /**
+     * Replace the state with a fresh one
+     * @param {Object} options - Seed options, as for createInitialState
+     */
+    reset: (options = { seedTrips }) => {
+      state = createInitialState(options);
+      persist();
+    },
+  };
+};
+
+module.exports = {
+  SEED_RIDERS,
+  createInitialState,
+  createStore,
+};
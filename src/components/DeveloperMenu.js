@@ -0,0 +1,178 @@
+/**
+ * DeveloperMenu Component
+ * Hidden debug-build menu for switching the environment the app runs against
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  DevSettings,
+} from 'react-native';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import colors from '../constants/colors';
+import {
+  getEnvironment,
+  getEnvironments,
+  setEnvironment,
+} from '../services/environment';
+
+/**
+ * DeveloperMenu Component
+ * Switching reloads the app so every screen and service starts over on the
+ * new environment's backend and storage.
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Show the menu
+ * @param {Function} props.onClose - Called when the menu should close
+ */
+const DeveloperMenu = ({ visible, onClose }) => {
+  const current = getEnvironment();
+
+  /**
+   * Switch to an environment after confirmation
+   * @param {Object} profile - Environment profile
+   */
+  const handleSelect = (profile) => {
+    if (profile.name === current.name) {
+      onClose();
+      return;
+    }
+
+    Alert.alert(
+      `Switch to ${profile.label}?`,
+      `The app will reload against ${profile.apiBaseUrl}. Sessions and trips are kept separately for each environment.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Switch',
+          onPress: async () => {
+            const result = await setEnvironment(profile.name);
+
+            if (!result.success) {
+              Alert.alert('Cannot Switch', result.message);
+              return;
+            }
+
+            onClose();
+            DevSettings.reload(`Switched to ${profile.name} environment`);
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>Developer Menu</Text>
+          <Text style={styles.sectionTitle}>Environment</Text>
+
+          {getEnvironments().map((profile) => {
+            const selected = profile.name === current.name;
+
+            return (
+              <TouchableOpacity
+                key={profile.name}
+                style={[styles.option, selected && styles.optionSelected]}
+                onPress={() => handleSelect(profile)}
+                activeOpacity={0.7}
+              >
+                <Text
+                  style={[
+                    styles.optionLabel,
+                    selected && styles.optionLabelSelected,
+                  ]}
+                >
+                  {selected ? `✓ ${profile.label}` : profile.label}
+                </Text>
+                <Text style={styles.optionUrl}>{profile.apiBaseUrl}</Text>
+              </TouchableOpacity>
+            );
+          })}
+
+          <View style={styles.closeButton}>
+            <Button title="Close" variant="primary" onPress={onClose} />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * PropTypes
+ */
+DeveloperMenu.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+/**
+ * Styles
+ */
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    paddingHorizontal: 24,
+  },
+  container: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: colors.textPrimary,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textTransform: 'uppercase',
+    marginBottom: 8,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: `${colors.primary}10`,
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: 4,
+  },
+  optionLabelSelected: {
+    color: colors.primary,
+  },
+  optionUrl: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  closeButton: {
+    marginTop: 8,
+  },
+});
+
+export default DeveloperMenu;
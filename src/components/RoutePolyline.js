@@ -0,0 +1,157 @@
+/**
+ * RoutePolyline Component
+ * Offline route drawing for recorded trip coordinates (no map tiles)
+ */
+
+import React, { useMemo } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Polyline, Circle } from 'react-native-svg';
+import PropTypes from 'prop-types';
+import colors from '../constants/colors';
+
+/**
+ * Project coordinates into view box points, keeping the route's aspect ratio
+ * @param {Array} coordinates - Array of coordinate objects [{latitude, longitude}, ...]
+ * @param {number} width - View width
+ * @param {number} height - View height
+ * @param {number} padding - Inner padding
+ * @returns {Array} Array of {x, y} points
+ */
+const projectCoordinates = (coordinates, width, height, padding) => {
+  const latitudes = coordinates.map((coord) => coord.latitude);
+  const longitudes = coordinates.map((coord) => coord.longitude);
+
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLon = Math.min(...longitudes);
+  const maxLon = Math.max(...longitudes);
+
+  // Scale longitude by latitude so the route is not stretched sideways
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * (Math.PI / 180));
+  const spanX = (maxLon - minLon) * lonScale || 1e-9;
+  const spanY = maxLat - minLat || 1e-9;
+
+  const drawWidth = width - padding * 2;
+  const drawHeight = height - padding * 2;
+  const scale = Math.min(drawWidth / spanX, drawHeight / spanY);
+
+  // Center the route in the view
+  const offsetX = padding + (drawWidth - spanX * scale) / 2;
+  const offsetY = padding + (drawHeight - spanY * scale) / 2;
+
+  return coordinates.map((coord) => ({
+    x: offsetX + (coord.longitude - minLon) * lonScale * scale,
+    y: offsetY + (maxLat - coord.latitude) * scale,
+  }));
+};
+
+/**
+ * RoutePolyline Component
+ * @param {Object} props - Component props
+ * @param {Array} props.coordinates - Recorded coordinates
+ * @param {number} props.width - Drawing width
+ * @param {number} props.height - Drawing height
+ * @param {number} props.highlightIndex - Optional index of a point to mark
+ */
+const RoutePolyline = ({ coordinates, width, height, highlightIndex }) => {
+  const points = useMemo(
+    () =>
+      coordinates.length > 0
+        ? projectCoordinates(coordinates, width, height, 16)
+        : [],
+    [coordinates, width, height]
+  );
+
+  if (points.length === 0) {
+    return <View style={[styles.container, { width, height }]} />;
+  }
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const highlight =
+    highlightIndex !== null && points[highlightIndex]
+      ? points[highlightIndex]
+      : null;
+
+  return (
+    <View style={[styles.container, { width, height }]}>
+      <Svg width={width} height={height}>
+        <Polyline
+          points={points.map((point) => `${point.x},${point.y}`).join(' ')}
+          fill="none"
+          stroke={colors.primary}
+          strokeWidth={3}
+          strokeLinejoin="round"
+          strokeLinecap="round"
+        />
+
+        {/* Start Marker */}
+        <Circle
+          cx={start.x}
+          cy={start.y}
+          r={7}
+          fill={colors.secondary}
+          stroke="#ffffff"
+          strokeWidth={2}
+        />
+
+        {/* End Marker */}
+        <Circle
+          cx={end.x}
+          cy={end.y}
+          r={7}
+          fill={colors.danger}
+          stroke="#ffffff"
+          strokeWidth={2}
+        />
+
+        {/* Timeline Position */}
+        {highlight && (
+          <Circle
+            cx={highlight.x}
+            cy={highlight.y}
+            r={6}
+            fill={colors.warning}
+            stroke="#ffffff"
+            strokeWidth={2}
+          />
+        )}
+      </Svg>
+    </View>
+  );
+};
+
+/**
+ * Prop Types
+ */
+RoutePolyline.propTypes = {
+  coordinates: PropTypes.arrayOf(
+    PropTypes.shape({
+      latitude: PropTypes.number.isRequired,
+      longitude: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  highlightIndex: PropTypes.number,
+};
+
+/**
+ * Default Props
+ */
+RoutePolyline.defaultProps = {
+  highlightIndex: null,
+};
+
+/**
+ * Styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+});
+
+export default RoutePolyline;
@@ -0,0 +1,112 @@
+/**
+ * TimelineScrubber Component
+ * Draggable timeline for stepping through the points of a recorded trip
+ */
+
+import React, { useRef, useState } from 'react';
+import { View, PanResponder, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import colors from '../constants/colors';
+
+// Thumb diameter in points
+const THUMB_SIZE = 24;
+
+/**
+ * TimelineScrubber Component
+ * @param {Object} props - Component props
+ * @param {number} props.count - Number of points on the timeline
+ * @param {number} props.value - Selected point index
+ * @param {Function} props.onChange - Called with the new point index while dragging
+ */
+const TimelineScrubber = ({ count, value, onChange }) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  // Latest values for the pan responder, which is only created once
+  const stateRef = useRef({ count, trackWidth, onChange });
+  stateRef.current = { count, trackWidth, onChange };
+
+  /**
+   * Convert a touch position on the track to a point index
+   * @param {number} x - Touch position relative to the track
+   */
+  const selectAt = (x) => {
+    const {
+      count: total,
+      trackWidth: width,
+      onChange: notify,
+    } = stateRef.current;
+    if (total < 1 || width <= 0) {
+      return;
+    }
+    const ratio = Math.min(Math.max(x / width, 0), 1);
+    notify(Math.round(ratio * (total - 1)));
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => selectAt(event.nativeEvent.locationX),
+      onPanResponderMove: (event) => selectAt(event.nativeEvent.locationX),
+    })
+  ).current;
+
+  const progress = count > 1 ? value / (count - 1) : 0;
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+      {...panResponder.panHandlers}
+    >
+      <View style={styles.track} pointerEvents="none">
+        <View style={[styles.fill, { width: `${progress * 100}%` }]} />
+      </View>
+      <View
+        pointerEvents="none"
+        style={[styles.thumb, { left: progress * trackWidth - THUMB_SIZE / 2 }]}
+      />
+    </View>
+  );
+};
+
+/**
+ * Prop Types
+ */
+TimelineScrubber.propTypes = {
+  count: PropTypes.number.isRequired,
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * Styles
+ */
+const styles = StyleSheet.create({
+  container: {
+    height: THUMB_SIZE + 16,
+    justifyContent: 'center',
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: 6,
+    backgroundColor: colors.primary,
+  },
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    backgroundColor: colors.cardBackground,
+    borderWidth: 3,
+    borderColor: colors.primary,
+  },
+});
+
+export default TimelineScrubber;
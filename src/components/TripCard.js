@@ -74,7 +74,8 @@ const calculateDuration = (startTime, endTime) => {
  * @param {string|Date} props.trip.startTime - Trip start time
  * @param {string|Date} props.trip.endTime - Trip end time
  * @param {number} props.trip.distance - Total distance in kilometers
- * @param {string} props.trip.status - Trip status ('completed' or 'active')
+ * @param {string} props.trip.status - Trip status ('completed', 'active', or
+ * 'pending' or 'failed' upload); other values get a neutral badge
  * @param {Function} props.onPress - Optional click handler
  */
 const TripCard = ({ trip, onPress }) => {
@@ -104,6 +105,10 @@ const TripCard = ({ trip, onPress }) => {
         return colors.secondary;
       case 'active':
         return colors.warning;
+      case 'pending':
+        return colors.primary;
+      case 'failed':
+        return colors.danger;
       default:
         return colors.textSecondary;
     }
@@ -118,6 +123,10 @@ const TripCard = ({ trip, onPress }) => {
         return `${colors.secondary}15`; // 15 = ~8% opacity in hex
       case 'active':
         return `${colors.warning}15`;
+      case 'pending':
+        return `${colors.primary}15`;
+      case 'failed':
+        return `${colors.danger}15`;
       default:
         return colors.background;
     }
@@ -230,8 +239,7 @@ TripCard.propTypes = {
     ]).isRequired,
     endTime: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
     distance: PropTypes.number.isRequired,
-    status: PropTypes.oneOf(['completed', 'active', 'Active', 'Completed'])
-      .isRequired,
+    status: PropTypes.string.isRequired,
   }).isRequired,
   onPress: PropTypes.func,
 };
@@ -3,9 +3,10 @@
  * Configuration constants for the Express Rider GPS tracking application
  */
 
-// API Configuration
-// export const API_BASE_URL = 'https://express-rider.expressasia.lk/api/v1';
-export const API_BASE_URL = 'https://express-rider.expressasia.lk/api/v1';
+import { BUILD_ENVIRONMENT, getEnvironmentProfile } from './environments';
+
+// API Configuration (the base URL comes from the environment profile, see environments.js)
+export const API_TIMEOUT = 30000; // 30 seconds in milliseconds
 
 // GPS Tracking Configuration
 export const GPS_TRACKING_INTERVAL = 60000; // 1 minute in milliseconds
@@ -14,24 +15,96 @@ export const GPS_TRACKING_INTERVAL = 60000; // 1 minute in milliseconds
 export const DISTANCE_ACCURACY_THRESHOLD = 50; // meters
 export const MINIMUM_DISTANCE_BETWEEN_POINTS = 10; // meters
 
+// Fix Filtering
+export const MAXIMUM_PLAUSIBLE_SPEED = 55; // meters per second (~200 km/h)
+export const MAX_CONSECUTIVE_SPEED_REJECTIONS = 3; // re-anchor after this many
+
+// Location Source Merging
+export const FIX_MERGE_DELAY = 2000; // milliseconds to hold fixes for ordering
+export const DUPLICATE_FIX_TIME_WINDOW = 5000; // milliseconds
+export const DUPLICATE_FIX_DISTANCE = 10; // meters
+
+// GPS Signal State (shown in the tracking notification)
+export const GPS_WEAK_ACCURACY = 25; // meters - fixes worse than this are weak
+export const GPS_LOST_TIMEOUT = 180000; // 3 minutes without a fix in milliseconds
+
+// Development Location Provider
+export const DEV_LOCATION_PROVIDER = null; // 'replay' or 'synthetic' to replace the device GPS in dev builds
+export const DEV_REPLAY_SPEED = 10; // playback speed multiplier for dev providers
+
 // Batch Processing
 export const COORDINATE_BATCH_SIZE = 100; // number of coordinate points
 
+// Headless Background Task
+export const HEADLESS_SYNC_ENABLED = true; // queue full batches for upload from the headless task
+
+// Trip History
+export const TRIP_HISTORY_PAGE_SIZE = 20; // trips per page
+
+// Offline Outbox
+export const OUTBOX_RETRY_BASE_DELAY = 5000; // 5 seconds in milliseconds
+export const OUTBOX_RETRY_MAX_DELAY = 600000; // 10 minutes in milliseconds
+
+/**
+ * Build the configuration for an environment
+ * Starts from the defaults above and applies the profile's overrides.
+ * @param {string} environment - Environment name (see environments.js)
+ * @returns {Object} Configuration object shaped like CONFIG
+ */
+export const resolveConfig = (environment) => {
+  const profile = getEnvironmentProfile(environment);
+  const overrides = profile.config;
+
+  return {
+    environment: {
+      name: profile.name,
+      label: profile.label,
+    },
+    api: {
+      baseUrl: profile.apiBaseUrl,
+      timeout: API_TIMEOUT,
+      ...overrides.api,
+    },
+    tracking: {
+      interval: GPS_TRACKING_INTERVAL,
+      accuracyThreshold: DISTANCE_ACCURACY_THRESHOLD,
+      minDistance: MINIMUM_DISTANCE_BETWEEN_POINTS,
+      maxSpeed: MAXIMUM_PLAUSIBLE_SPEED,
+      maxConsecutiveSpeedRejections: MAX_CONSECUTIVE_SPEED_REJECTIONS,
+      mergeDelay: FIX_MERGE_DELAY,
+      duplicateTimeWindow: DUPLICATE_FIX_TIME_WINDOW,
+      duplicateDistance: DUPLICATE_FIX_DISTANCE,
+      weakAccuracy: GPS_WEAK_ACCURACY,
+      lostTimeout: GPS_LOST_TIMEOUT,
+      batchSize: COORDINATE_BATCH_SIZE,
+      headlessSync: HEADLESS_SYNC_ENABLED,
+      devLocationProvider: DEV_LOCATION_PROVIDER,
+      devReplaySpeed: DEV_REPLAY_SPEED,
+      ...overrides.tracking,
+    },
+    history: {
+      pageSize: TRIP_HISTORY_PAGE_SIZE,
+      ...overrides.history,
+    },
+    outbox: {
+      retryBaseDelay: OUTBOX_RETRY_BASE_DELAY,
+      retryMaxDelay: OUTBOX_RETRY_MAX_DELAY,
+      ...overrides.outbox,
+    },
+    storage: {
+      namespace: profile.storageNamespace,
+    },
+  };
+};
+
 /**
  * Configuration object for easy import
+ * Built for the environment selected at build time; debug builds may switch
+ * it at runtime (see services/environment.js), so read values when needed
+ * rather than copying them at import.
  * Usage: import { CONFIG } from './constants/config';
  */
-export const CONFIG = {
-  api: {
-    baseUrl: API_BASE_URL,
-  },
-  tracking: {
-    interval: GPS_TRACKING_INTERVAL,
-    accuracyThreshold: DISTANCE_ACCURACY_THRESHOLD,
-    minDistance: MINIMUM_DISTANCE_BETWEEN_POINTS,
-    batchSize: COORDINATE_BATCH_SIZE,
-  },
-};
+export const CONFIG = resolveConfig(BUILD_ENVIRONMENT);
 
 // Default export for convenience
-export default CONFIG;
\ No newline at end of file
+export default CONFIG;
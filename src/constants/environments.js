@@ -0,0 +1,105 @@
+/**
+ * Environment Profiles
+ * Named backends the app can be built against, each with its own API base
+ * URL, tracking parameters and storage namespace.
+ *
+ * The profile is chosen at build time from the APP_ENV environment variable,
+ * which babel inlines when Metro bundles the app (unset means production):
+ *
+ *   npm run start:staging   # or start:local
+ *
+ * Metro caches transformed files, so restart it with --reset-cache whenever
+ * APP_ENV changes.
+ *
+ * Debug builds can switch profiles at runtime from the developer menu
+ * (long-press the title on the login screen or the greeting on the
+ * dashboard).
+ */
+
+import { Platform } from 'react-native';
+
+export const ENVIRONMENTS = {
+  PRODUCTION: 'production',
+  STAGING: 'staging',
+  LOCAL: 'local',
+};
+
+/**
+ * Profiles by name
+ * `config` overrides sections of CONFIG (see config.js). `storageNamespace`
+ * prefixes every storage key so profiles never share sessions, trips or the
+ * outbox; production keeps the original namespace so existing installs keep
+ * their data.
+ */
+export const ENVIRONMENT_PROFILES = {
+  [ENVIRONMENTS.PRODUCTION]: {
+    name: ENVIRONMENTS.PRODUCTION,
+    label: 'Production',
+    apiBaseUrl: 'https://express-rider.expressasia.lk/api/v1',
+    storageNamespace: '@express_rider',
+    config: {},
+  },
+  [ENVIRONMENTS.STAGING]: {
+    name: ENVIRONMENTS.STAGING,
+    label: 'Staging',
+    apiBaseUrl: 'https://staging.express-rider.expressasia.lk/api/v1',
+    storageNamespace: '@express_rider_staging',
+    config: {},
+  },
+  [ENVIRONMENTS.LOCAL]: {
+    name: ENVIRONMENTS.LOCAL,
+    label: 'Local mock',
+    // Mock server (npm run mock-server); the Android emulator reaches the host on 10.0.2.2
+    apiBaseUrl: Platform.select({
+      android: 'http://10.0.2.2:3001/api/v1',
+      default: 'http://localhost:3001/api/v1',
+    }),
+    storageNamespace: '@express_rider_local',
+    // Fix and upload more often so changes show up on the mock server quickly
+    config: {
+      api: {
+        timeout: 10000,
+      },
+      tracking: {
+        interval: 10000,
+        batchSize: 10,
+      },
+      outbox: {
+        retryBaseDelay: 2000,
+        retryMaxDelay: 30000,
+      },
+    },
+  },
+};
+
+export const DEFAULT_ENVIRONMENT = ENVIRONMENTS.PRODUCTION;
+
+/**
+ * Check if a name is a known environment
+ * @param {string} name - Environment name
+ * @returns {boolean} True if a profile exists for the name
+ */
+export const isEnvironment = (name) =>
+  Object.prototype.hasOwnProperty.call(ENVIRONMENT_PROFILES, name);
+
+// Environment the app was built for
+export const BUILD_ENVIRONMENT = isEnvironment(process.env.APP_ENV)
+  ? process.env.APP_ENV
+  : DEFAULT_ENVIRONMENT;
+
+/**
+ * Get a profile by name
+ * @param {string} name - Environment name
+ * @returns {Object} Profile, or the default profile for unknown names
+ */
+export const getEnvironmentProfile = (name) =>
+  ENVIRONMENT_PROFILES[isEnvironment(name) ? name : DEFAULT_ENVIRONMENT];
+
+export default {
+  ENVIRONMENTS,
+  ENVIRONMENT_PROFILES,
+  DEFAULT_ENVIRONMENT,
+  BUILD_ENVIRONMENT,
+  isEnvironment,
+  getEnvironmentProfile,
+};
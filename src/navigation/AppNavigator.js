@@ -5,7 +5,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { ActivityIndicator, View, StyleSheet } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import {
+  NavigationContainer,
+  createNavigationContainerRef,
+} from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 
 // Screens
@@ -13,14 +16,22 @@ import LoginScreen from '../screens/LoginScreen';
 import DashboardScreen from '../screens/DashboardScreen';
 import TripTrackingScreen from '../screens/TripTrackingScreen';
 import TripHistoryScreen from '../screens/TripHistoryScreen';
+import TripDetailScreen from '../screens/TripDetailScreen';
 
 // Services
 import { getAuthToken } from '../services/storage';
+import gpsService from '../services/gpsService';
+import { addAuthListener, AUTH_EVENTS } from '../services/authEvents';
+import linking from './linking';
+import { setAuthenticated, setPendingRedirect } from './authRedirect';
 import colors from '../constants/colors';
 
 // Create Stack Navigator
 const Stack = createNativeStackNavigator();
 
+// Navigation ref for navigating outside of screens (e.g. on session expiry)
+export const navigationRef = createNavigationContainerRef();
+
 /**
  * Auth Loading Screen Component
  * Shows loading spinner while checking authentication
@@ -46,6 +57,50 @@ const AppNavigator = () => {
     checkAuthStatus();
   }, []);
 
+  /**
+   * Send the rider to Login when the session expires
+   * The current screen is remembered so login returns to it. While a trip
+   * is being tracked, Login opens on top of the trip screen instead, so the
+   * screen stays mounted and keeps recording fixes.
+   */
+  useEffect(() => {
+    return addAuthListener(AUTH_EVENTS.SESSION_EXPIRED, () => {
+      const currentRoute = navigationRef.isReady()
+        ? navigationRef.getCurrentRoute()
+        : null;
+
+      // Already on Login - nothing to redirect
+      if (currentRoute?.name === 'Login') {
+        return;
+      }
+
+      setAuthenticated(false);
+
+      const tripOpen =
+        navigationRef.isReady() &&
+        navigationRef
+          .getRootState()
+          .routes.some((route) => route.name === 'TripTracking');
+
+      if (tripOpen && gpsService.getTrackingStatus()) {
+        navigationRef.navigate('Login', {
+          sessionExpired: true,
+          returnToTrip: true,
+        });
+        return;
+      }
+
+      setPendingRedirect(currentRoute);
+
+      if (navigationRef.isReady()) {
+        navigationRef.reset({
+          index: 0,
+          routes: [{ name: 'Login', params: { sessionExpired: true } }],
+        });
+      }
+    });
+  }, []);
+
   /**
    * Check if user is authenticated
    */
@@ -55,9 +110,11 @@ const AppNavigator = () => {
       
       // User is authenticated if token exists
       setIsAuthenticated(!!token);
+      setAuthenticated(!!token);
     } catch (error) {
       console.error('Error checking auth status:', error);
       setIsAuthenticated(false);
+      setAuthenticated(false);
     } finally {
       // Small delay to prevent flash of loading screen
       setTimeout(() => {
@@ -74,7 +131,7 @@ const AppNavigator = () => {
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef} linking={linking}>
       <Stack.Navigator
         initialRouteName={isAuthenticated ? 'Dashboard' : 'Login'}
         screenOptions={{
@@ -94,10 +151,14 @@ const AppNavigator = () => {
         <Stack.Screen
           name="Login"
           component={LoginScreen}
-          options={{
+          options={({ route }) => ({
             headerShown: false,
             gestureEnabled: false,
-          }}
+            // Over an active trip, Login closes back to the trip screen
+            presentation: route.params?.returnToTrip
+              ? 'fullScreenModal'
+              : 'card',
+          })}
         />
 
         {/* Dashboard Screen */}
@@ -134,6 +195,17 @@ const AppNavigator = () => {
             headerBackTitle: 'Dashboard',
           }}
         />
+
+        {/* Trip Detail Screen */}
+        <Stack.Screen
+          name="TripDetail"
+          component={TripDetailScreen}
+          options={{
+            title: 'Trip Details',
+            headerShown: true,
+            headerBackTitle: 'History',
+          }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,74 @@
+/**
+ * Auth Redirect
+ * Session flag for the deep link guard and the link to return to after login
+ */
+
+// Whether the rider is logged in (kept in sync by AppNavigator, login and logout)
+let authenticated = false;
+
+// Route a deep link asked for before the rider logged in
+let pendingRedirect = null;
+
+/**
+ * Set whether the rider is logged in
+ * @param {boolean} value - Authenticated status
+ */
+export const setAuthenticated = (value) => {
+  authenticated = Boolean(value);
+
+  if (!authenticated) {
+    pendingRedirect = null;
+  }
+};
+
+/**
+ * Check if the rider is logged in
+ * @returns {boolean} Authenticated status
+ */
+export const isAuthenticated = () => {
+  return authenticated;
+};
+
+/**
+ * Remember a route to open once the rider has logged in
+ * @param {Object} route - Route {name, params}
+ */
+export const setPendingRedirect = (route) => {
+  pendingRedirect = route ? { name: route.name, params: route.params } : null;
+};
+
+/**
+ * Take the pending redirect, clearing it
+ * @returns {Object|null} Route {name, params} or null
+ */
+export const consumePendingRedirect = () => {
+  const route = pendingRedirect;
+  pendingRedirect = null;
+  return route;
+};
+
+/**
+ * Build the navigation state to reset to after a successful login
+ * Opens the pending deep link on top of the Dashboard if there is one.
+ * @returns {Object} Navigation state for navigation.reset
+ */
+export const getPostLoginState = () => {
+  const redirect = consumePendingRedirect();
+
+  if (!redirect || redirect.name === 'Dashboard') {
+    return { index: 0, routes: [{ name: 'Dashboard' }] };
+  }
+
+  return {
+    index: 1,
+    routes: [{ name: 'Dashboard' }, redirect],
+  };
+};
+
+export default {
+  setAuthenticated,
+  isAuthenticated,
+  setPendingRedirect,
+  consumePendingRedirect,
+  getPostLoginState,
+};
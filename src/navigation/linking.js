@@ -0,0 +1,79 @@
+/**
+ * Deep Linking Configuration
+ * Maps ridergps:// URLs to screens. Every screen except Login needs a
+ * logged in rider; links opened while logged out go to Login and are
+ * opened after a successful login.
+ */
+
+import { getStateFromPath as getDefaultStateFromPath } from '@react-navigation/native';
+import { isAuthenticated, setPendingRedirect } from './authRedirect';
+
+// URL prefixes handled by the app
+export const LINKING_PREFIXES = ['ridergps://'];
+
+// Screens that can be opened without logging in
+const PUBLIC_ROUTES = ['Login'];
+
+/**
+ * Screen path configuration
+ * ridergps://tracking  - Active trip (opened from the tracking notification);
+ *                        the Dashboard when no trip is active
+ * ridergps://history   - Trip history
+ * ridergps://trip/<id> - Trip details
+ * ridergps://login     - Login
+ */
+const config = {
+  // Linked screens open on top of the Dashboard so back navigation works
+  initialRouteName: 'Dashboard',
+  screens: {
+    Login: 'login',
+    Dashboard: 'dashboard',
+    TripTracking: 'tracking',
+    TripHistory: 'history',
+    TripDetail: {
+      path: 'trip/:id',
+      parse: {
+        id: String,
+      },
+    },
+  },
+};
+
+/**
+ * Resolve a deep link path to navigation state, guarding protected screens
+ * @param {string} path - Path without the prefix (e.g., "trip/42")
+ * @param {Object} options - Linking config
+ * @returns {Object|undefined} Navigation state
+ */
+const getStateFromPath = (path, options) => {
+  const state = getDefaultStateFromPath(path, options);
+
+  if (!state) {
+    return state;
+  }
+
+  const target = state.routes[state.routes.length - 1];
+
+  if (PUBLIC_ROUTES.includes(target.name)) {
+    return { routes: [{ name: target.name }] };
+  }
+
+  if (!isAuthenticated()) {
+    // Open the link once the rider has logged in
+    setPendingRedirect(target);
+    return { routes: [{ name: 'Login' }] };
+  }
+
+  return state;
+};
+
+/**
+ * Linking configuration for NavigationContainer
+ */
+const linking = {
+  prefixes: LINKING_PREFIXES,
+  config,
+  getStateFromPath,
+};
+
+export default linking;
@@ -16,7 +16,16 @@ import {
 import { useFocusEffect } from '@react-navigation/native';
 import { logout } from '../services/api';
 import { getRiderId, getRiderName, getTripData, clearAllData } from '../services/storage';
+import { setAuthenticated } from '../navigation/authRedirect';
+import {
+  checkTripReadiness,
+  openAppSettings,
+  openLocationSettings,
+  PERMISSION_STATUS,
+} from '../services/permissions';
+import { canSwitchEnvironment } from '../services/environment';
 import Button from '../components/Button';
+import DeveloperMenu from '../components/DeveloperMenu';
 import colors from '../constants/colors';
 
 /**
@@ -66,6 +75,7 @@ const DashboardScreen = ({ navigation }) => {
   const [activeTripData, setActiveTripData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [showDeveloperMenu, setShowDeveloperMenu] = useState(false);
 
   /**
    * Load rider data and check for active trip
@@ -153,10 +163,45 @@ const DashboardScreen = ({ navigation }) => {
       );
     } else {
       // Start new trip
-      navigation.navigate('TripTracking');
+      startNewTrip();
     }
   };
 
+  /**
+   * Check the device is ready before starting a new trip
+   * Permissions that can still be requested are asked for on the tracking
+   * screen; only problems the rider must fix in Settings stop the trip here.
+   */
+  const startNewTrip = async () => {
+    const readiness = await checkTripReadiness();
+
+    if (!readiness.servicesEnabled) {
+      Alert.alert(
+        'Location Is Off',
+        'Turn on device location to start a trip.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: openLocationSettings },
+        ]
+      );
+      return;
+    }
+
+    if (readiness.status === PERMISSION_STATUS.BLOCKED) {
+      Alert.alert(
+        'Permission Required',
+        'Location permission is blocked. Enable it in Settings to start a trip.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: openAppSettings },
+        ]
+      );
+      return;
+    }
+
+    navigation.navigate('TripTracking', { startNew: true });
+  };
+
   /**
    * Navigate to Trip History Screen
    */
@@ -186,6 +231,7 @@ const DashboardScreen = ({ navigation }) => {
               
               // Clear all local storage
               await clearAllData();
+              setAuthenticated(false);
               
               // Navigate to Login screen
               navigation.replace('Login');
@@ -216,7 +262,17 @@ const DashboardScreen = ({ navigation }) => {
           {/* Header Section */}
           <View style={styles.header}>
             <View style={styles.greetingContainer}>
-              <Text style={styles.greeting}>{getGreeting()},</Text>
+              {/* Long-press the greeting for the developer menu (debug builds) */}
+              <Text
+                style={styles.greeting}
+                onLongPress={
+                  canSwitchEnvironment()
+                    ? () => setShowDeveloperMenu(true)
+                    : undefined
+                }
+              >
+                {getGreeting()},
+              </Text>
               <Text style={styles.riderName}>{riderName}</Text>
             </View>
             <Text style={styles.date}>{currentDate}</Text>
@@ -296,6 +352,13 @@ const DashboardScreen = ({ navigation }) => {
           </View>
         </View>
       </ScrollView>
+
+      {canSwitchEnvironment() ? (
+        <DeveloperMenu
+          visible={showDeveloperMenu}
+          onClose={() => setShowDeveloperMenu(false)}
+        />
+      ) : null}
     </SafeAreaView>
   );
 };
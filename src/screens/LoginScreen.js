@@ -16,27 +16,41 @@ import {
   Alert,
   TouchableOpacity,
 } from 'react-native';
-import { login } from '../services/api';
-import { saveRiderId, saveRiderName } from '../services/storage';
+import { login, logout } from '../services/api';
+import { getTripData, saveRiderId, saveRiderName } from '../services/storage';
+import {
+  setAuthenticated,
+  getPostLoginState,
+} from '../navigation/authRedirect';
+import { canSwitchEnvironment, getEnvironment } from '../services/environment';
+import { ENVIRONMENTS } from '../constants/environments';
 import Button from '../components/Button';
+import DeveloperMenu from '../components/DeveloperMenu';
 import colors from '../constants/colors';
 
 /**
  * LoginScreen Component
  * @param {Object} props - Component props
  * @param {Object} props.navigation - React Navigation object
+ * @param {Object} props.route - React Navigation route (params.sessionExpired,
+ * params.returnToTrip when opened over a trip that is being tracked)
  */
-const LoginScreen = ({ navigation }) => {
+const LoginScreen = ({ navigation, route }) => {
   // State management
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
+  const [showDeveloperMenu, setShowDeveloperMenu] = useState(false);
+  const sessionExpired = Boolean(route?.params?.sessionExpired);
+  const returnToTrip = Boolean(route?.params?.returnToTrip);
+  const environment = getEnvironment();
 
   // Refs
   const usernameInputRef = useRef(null);
   const passwordInputRef = useRef(null);
+  const signedInRef = useRef(false);
 
   /**
    * Auto-focus on username field when screen loads
@@ -50,6 +64,23 @@ const LoginScreen = ({ navigation }) => {
     return () => clearTimeout(timer);
   }, []);
 
+  /**
+   * Keep Login open over an active trip until the rider signs in
+   * Blocks the Android back button and any other way of closing the modal,
+   * so the trip screen is never shown without a valid session.
+   */
+  useEffect(() => {
+    if (!returnToTrip) {
+      return undefined;
+    }
+
+    return navigation.addListener('beforeRemove', (e) => {
+      if (!signedInRef.current) {
+        e.preventDefault();
+      }
+    });
+  }, [navigation, returnToTrip]);
+
   /**
    * Clear error message when user starts typing
    */
@@ -104,22 +135,33 @@ const LoginScreen = ({ navigation }) => {
       const response = await login(username.trim(), password);
 
       if (response.success) {
-        // Extract rider ID from response
-        const riderId = response.data?.data?.rider_id || response.data?.rider_id || response.data?.id;
+        const rider = response.data;
 
-        if (riderId) {
-          // Save rider ID to storage
-          await saveRiderId(riderId);
+        // Only the rider who started the trip may carry on tracking it
+        if (returnToTrip) {
+          const tripData = await getTripData();
+          if (
+            tripData?.rider_id != null &&
+            String(tripData.rider_id) !== String(rider.id)
+          ) {
+            await logout();
+            setError(
+              'This trip was started by another rider. Sign in with their account to continue.'
+            );
+            return;
+          }
         }
 
-        // Extract rider name from response
-        const riderName = response.data?.data?.name || response.data?.name;
+        // Save rider details to storage
+        await saveRiderId(rider.id);
 
-        if (riderName) {
-          // Save rider ID to storage
-          await saveRiderName(riderName);
+        if (rider.name) {
+          await saveRiderName(rider.name);
         }
 
+        setAuthenticated(true);
+        signedInRef.current = true;
+
         // Show success message
         Alert.alert(
           'Login Successful',
@@ -128,8 +170,14 @@ const LoginScreen = ({ navigation }) => {
             {
               text: 'OK',
               onPress: () => {
-                // Navigate to Dashboard
-                navigation.replace('Dashboard');
+                if (returnToTrip) {
+                  // Close Login and go back to the trip still being tracked
+                  navigation.goBack();
+                  return;
+                }
+
+                // Navigate to Dashboard, or the deep link that led to login
+                navigation.reset(getPostLoginState());
               },
             },
           ],
@@ -170,12 +218,36 @@ const LoginScreen = ({ navigation }) => {
           <View style={styles.container}>
             {/* Header */}
             <View style={styles.header}>
-              <Text style={styles.title}>Express Asia</Text>
+              {/* Long-press the title for the developer menu (debug builds) */}
+              <Text
+                style={styles.title}
+                onLongPress={
+                  canSwitchEnvironment()
+                    ? () => setShowDeveloperMenu(true)
+                    : undefined
+                }
+              >
+                Express Asia
+              </Text>
               <Text style={styles.subtitle}>Rider Management</Text>
+              {environment.name !== ENVIRONMENTS.PRODUCTION ? (
+                <Text style={styles.environment}>
+                  {environment.label} · {environment.apiBaseUrl}
+                </Text>
+              ) : null}
             </View>
 
             {/* Login Form */}
             <View style={styles.form}>
+              {/* Session Expired Notice */}
+              {sessionExpired && !error ? (
+                <View style={styles.noticeContainer}>
+                  <Text style={styles.noticeText}>
+                    Your session has expired. Please login again.
+                  </Text>
+                </View>
+              ) : null}
+
               {/* Error Message */}
               {error ? (
                 <View style={styles.errorContainer}>
@@ -252,6 +324,13 @@ const LoginScreen = ({ navigation }) => {
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
+
+      {canSwitchEnvironment() ? (
+        <DeveloperMenu
+          visible={showDeveloperMenu}
+          onClose={() => setShowDeveloperMenu(false)}
+        />
+      ) : null}
     </SafeAreaView>
   );
 };
@@ -290,9 +369,28 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: '500',
   },
+  environment: {
+    fontSize: 12,
+    color: colors.warning,
+    fontWeight: '600',
+    marginTop: 8,
+  },
   form: {
     width: '100%',
   },
+  noticeContainer: {
+    backgroundColor: `${colors.warning}15`,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.warning,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 24,
+  },
+  noticeText: {
+    color: colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
   errorContainer: {
     backgroundColor: `${colors.danger}15`,
     borderLeftWidth: 4,
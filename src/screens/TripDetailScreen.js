@@ -0,0 +1,480 @@
+/**
+ * Trip Detail Screen
+ * Route, statistics and timeline for a single trip
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert,
+  useWindowDimensions,
+} from 'react-native';
+import RoutePolyline from '../components/RoutePolyline';
+import TimelineScrubber from '../components/TimelineScrubber';
+import colors from '../constants/colors';
+import {
+  formatDate,
+  formatTime,
+  formatDuration,
+  formatDurationWithSeconds,
+} from '../utils/dateFormatter';
+import { formatDistance } from '../utils/distanceFormatter';
+import { getTripStats } from '../utils/tripStats';
+import { getTripHistory } from '../services/api';
+import { getRiderId } from '../services/storage';
+import {
+  EXPORT_FORMATS,
+  getFormatLabel,
+  shareTrip,
+} from '../services/tripExport';
+
+// Fallback when the screen is opened without a trip
+const EMPTY_TRIP = {};
+
+// Most history pages searched for a linked trip
+const MAX_LOOKUP_PAGES = 10;
+
+/**
+ * Find a trip by ID in the rider's trip history, one page at a time
+ * @param {string|number} riderId - Rider ID
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} Trip summary
+ * @throws {Error} If the history cannot be loaded or has no such trip
+ */
+const findTrip = async (riderId, tripId) => {
+  let query = { page: 1 };
+
+  for (let count = 0; count < MAX_LOOKUP_PAGES; count++) {
+    const response = await getTripHistory(riderId, query);
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to load trip');
+    }
+
+    const page = response.data;
+    const match = page.trips.find((item) => String(item.id) === tripId);
+
+    if (match) {
+      return match;
+    }
+    if (!page.hasMore) {
+      break;
+    }
+
+    query = { page: page.nextPage, cursor: page.nextCursor };
+  }
+
+  throw new Error('Trip not found.');
+};
+
+/**
+ * Stat Item Component
+ * @param {Object} props - Component props
+ * @param {string} props.label - Stat label
+ * @param {string} props.value - Stat value
+ */
+const StatItem = ({ label, value }) => (
+  <View style={styles.statItem}>
+    <Text style={styles.statLabel}>{label}</Text>
+    <Text style={styles.statValue}>{value}</Text>
+  </View>
+);
+
+/**
+ * TripDetailScreen Component
+ * @param {Object} props - Component props
+ * @param {Object} props.route - React Navigation route with params.trip, or
+ * params.id when opened from a ridergps://trip/<id> link
+ */
+const TripDetailScreen = ({ route }) => {
+  const passedTrip = route.params?.trip;
+  const tripId = route.params?.id;
+
+  const [loadedTrip, setLoadedTrip] = useState(null);
+  const [loading, setLoading] = useState(!passedTrip && Boolean(tripId));
+  const [error, setError] = useState(null);
+
+  const trip = passedTrip ?? loadedTrip ?? EMPTY_TRIP;
+  const { width } = useWindowDimensions();
+
+  /**
+   * Load the trip from history when only its ID was given
+   */
+  useEffect(() => {
+    if (passedTrip || !tripId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadTrip = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const riderId = await getRiderId();
+        const match = await findTrip(riderId, String(tripId));
+
+        if (!cancelled) {
+          setLoadedTrip(match);
+        }
+      } catch (err) {
+        console.error('Load trip error:', err);
+        if (!cancelled) {
+          setError(err.message || 'Failed to load trip');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadTrip();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [passedTrip, tripId]);
+
+  const coordinates = useMemo(
+    () =>
+      (Array.isArray(trip.coordinates) ? trip.coordinates : []).filter(
+        (coord) =>
+          typeof coord?.latitude === 'number' &&
+          typeof coord?.longitude === 'number'
+      ),
+    [trip.coordinates]
+  );
+  const stats = useMemo(
+    () => getTripStats({ ...trip, coordinates }),
+    [trip, coordinates]
+  );
+
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const selectedPoint = coordinates[selectedIndex];
+
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  /**
+   * Export the route and open the share sheet
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = async (format) => {
+    if (exportingFormat) {
+      return;
+    }
+
+    setExportingFormat(format);
+    const result = await shareTrip({ ...trip, coordinates }, format);
+    setExportingFormat(null);
+
+    if (!result.success) {
+      Alert.alert('Export Failed', result.message);
+    }
+  };
+
+  // Route card fills the screen width minus padding
+  const routeWidth = width - 40 - 32;
+  const routeHeight = Math.round(routeWidth * 0.75);
+
+  if (loading || error) {
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <View style={styles.centered}>
+          {loading ? (
+            <ActivityIndicator size="large" color={colors.primary} />
+          ) : (
+            <Text style={styles.emptyText}>{error}</Text>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{formatDate(trip.date)}</Text>
+          <Text style={styles.headerSubtitle}>Trip #{trip.id ?? '--'}</Text>
+        </View>
+
+        {/* Stats */}
+        <View style={styles.card}>
+          <View style={styles.statRow}>
+            <StatItem label="Start Time" value={formatTime(trip.startTime)} />
+            <StatItem
+              label="End Time"
+              value={trip.endTime ? formatTime(trip.endTime) : '--:--'}
+            />
+          </View>
+          <View style={styles.statRow}>
+            <StatItem
+              label="Duration"
+              value={
+                trip.endTime
+                  ? formatDuration(stats.movingSeconds)
+                  : 'In Progress'
+              }
+            />
+            <StatItem label="Distance" value={formatDistance(stats.distance)} />
+          </View>
+          <View style={styles.statRow}>
+            <StatItem
+              label="Avg Speed"
+              value={`${stats.averageSpeed.toFixed(1)} km/h`}
+            />
+            <StatItem
+              label="Max Speed"
+              value={`${stats.maxSpeed.toFixed(1)} km/h`}
+            />
+          </View>
+          <View style={styles.statRow}>
+            <StatItem label="GPS Points" value={String(stats.pointCount)} />
+          </View>
+        </View>
+
+        {/* Route */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Route</Text>
+          {coordinates.length > 0 ? (
+            <>
+              <RoutePolyline
+                coordinates={coordinates}
+                width={routeWidth}
+                height={routeHeight}
+                highlightIndex={selectedIndex}
+              />
+              <View style={styles.legend}>
+                <View style={styles.legendItem}>
+                  <View
+                    style={[
+                      styles.legendDot,
+                      { backgroundColor: colors.secondary },
+                    ]}
+                  />
+                  <Text style={styles.legendText}>Start</Text>
+                </View>
+                <View style={styles.legendItem}>
+                  <View
+                    style={[
+                      styles.legendDot,
+                      { backgroundColor: colors.danger },
+                    ]}
+                  />
+                  <Text style={styles.legendText}>End</Text>
+                </View>
+              </View>
+            </>
+          ) : (
+            <Text style={styles.emptyText}>
+              No route was recorded for this trip.
+            </Text>
+          )}
+        </View>
+
+        {/* Timeline */}
+        {coordinates.length > 1 && selectedPoint && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Timeline</Text>
+            <TimelineScrubber
+              count={coordinates.length}
+              value={selectedIndex}
+              onChange={setSelectedIndex}
+            />
+            <View style={styles.statRow}>
+              <StatItem
+                label="Time"
+                value={formatTime(selectedPoint.timestamp, 'hh:mm:ss a')}
+              />
+              <StatItem
+                label="Elapsed"
+                value={formatDurationWithSeconds(
+                  Math.max(
+                    Math.floor(
+                      (selectedPoint.timestamp - coordinates[0].timestamp) /
+                        1000
+                    ),
+                    0
+                  )
+                )}
+              />
+            </View>
+            <View style={styles.statRow}>
+              <StatItem
+                label="Speed"
+                value={`${((selectedPoint.speed || 0) * 3.6).toFixed(1)} km/h`}
+              />
+              <StatItem
+                label="Accuracy"
+                value={
+                  typeof selectedPoint.accuracy === 'number'
+                    ? `±${Math.round(selectedPoint.accuracy)} m`
+                    : '--'
+                }
+              />
+            </View>
+            <Text style={styles.pointText}>
+              Point {selectedIndex + 1} of {coordinates.length}
+            </Text>
+          </View>
+        )}
+
+        {/* Export */}
+        {coordinates.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Export Route</Text>
+            <View style={styles.exportRow}>
+              {Object.values(EXPORT_FORMATS).map((format) => (
+                <TouchableOpacity
+                  key={format}
+                  style={styles.exportButton}
+                  onPress={() => handleExport(format)}
+                  disabled={Boolean(exportingFormat)}
+                >
+                  {exportingFormat === format ? (
+                    <ActivityIndicator size="small" color={colors.primary} />
+                  ) : (
+                    <Text style={styles.exportButtonText}>
+                      {getFormatLabel(format)}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * Styles
+ */
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 24,
+  },
+  header: {
+    marginBottom: 16,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: colors.textPrimary,
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.textPrimary,
+    marginBottom: 12,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  statItem: {
+    flex: 1,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginBottom: 4,
+    fontWeight: '500',
+  },
+  statValue: {
+    fontSize: 16,
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
+  legend: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 16,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  pointText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  exportRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  exportButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 40,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  exportButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+});
+
+export default TripDetailScreen;
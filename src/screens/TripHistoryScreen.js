@@ -3,7 +3,7 @@
  * Display list of past trips for the rider
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -16,10 +16,38 @@ import {
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { getTripHistory } from '../services/api';
-import { getRiderId } from '../services/storage';
+import {
+  getRiderId,
+  getTripHistoryCache,
+  saveTripHistoryCache,
+} from '../services/storage';
+import { getPendingTrips } from '../services/outbox';
+import { emitAuthEvent, AUTH_EVENTS } from '../services/authEvents';
+import {
+  getRecentDateRange,
+  isTripInRange,
+  mergeTripPages,
+} from '../utils/tripList';
+import { formatDateTime } from '../utils/dateFormatter';
 import TripCard from '../components/TripCard';
 import colors from '../constants/colors';
 
+// Date filters shown above the list (days includes today)
+const HISTORY_FILTERS = [
+  { key: 'all', label: 'All', days: null },
+  { key: 'today', label: 'Today', days: 1 },
+  { key: 'week', label: 'Last 7 Days', days: 7 },
+  { key: 'month', label: 'Last 30 Days', days: 30 },
+];
+
+// Paging state before the first page is loaded
+const NO_MORE_PAGES = {
+  hasMore: false,
+  nextPage: null,
+  nextCursor: null,
+  range: { from: null, to: null },
+};
+
 /**
  * TripHistoryScreen Component
  * @param {Object} props - Component props
@@ -32,12 +60,26 @@ const TripHistoryScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
   const [riderId, setRiderId] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [pageInfo, setPageInfo] = useState(NO_MORE_PAGES);
+  const [activeFilter, setActiveFilter] = useState('all');
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [revalidating, setRevalidating] = useState(false);
+
+  // Refs
+  const filterRef = useRef('all');
+  const requestRef = useRef(0); // Bumped on each first-page load to drop stale pages
 
   /**
-   * Fetch trip history from API
+   * Fetch the first page of trip history from API
+   * Cached history and trips still waiting to upload are shown first, so the
+   * list is usable offline; the API response then replaces them.
    * @param {boolean} isRefreshing - Whether this is a refresh action
    */
   const fetchTripHistory = async (isRefreshing = false) => {
+    const requestId = ++requestRef.current;
+
     try {
       if (isRefreshing) {
         setRefreshing(true);
@@ -45,77 +87,173 @@ const TripHistoryScreen = ({ navigation }) => {
         setLoading(true);
       }
       setError(null);
+      setLoadMoreError(null);
 
       // Get rider ID from storage
       const storedRiderId = await getRiderId();
 
+      // Without a rider ID the session is unusable - log in again
       if (!storedRiderId) {
-        throw new Error('Rider ID not found. Please login again.');
+        emitAuthEvent(AUTH_EVENTS.SESSION_EXPIRED);
+        return;
       }
 
       setRiderId(storedRiderId);
 
+      const filter = HISTORY_FILTERS.find(
+        (item) => item.key === filterRef.current
+      );
+      const range = getRecentDateRange(filter.days);
+      const useCache = filter.key === 'all';
+
+      // Trips completed offline are listed until their upload goes through
+      const pendingTrips = (await getPendingTrips(storedRiderId)).filter(
+        (trip) => isTripInRange(trip, range)
+      );
+      const cache = useCache ? await getTripHistoryCache(storedRiderId) : null;
+
+      if (requestId !== requestRef.current) {
+        return;
+      }
+
+      // Show saved trips while the history is revalidated
+      const localTrips = mergeTripPages(pendingTrips, cache?.trips || []).trips;
+      if (localTrips.length > 0) {
+        setTrips((current) => (current.length > 0 ? current : localTrips));
+        setLastUpdated((current) => current ?? cache?.updated_at ?? null);
+        setLoading(false);
+        setRevalidating(true);
+      }
+
       // Fetch trip history from API
-      const response = await getTripHistory(storedRiderId);
+      const response = await getTripHistory(storedRiderId, {
+        page: 1,
+        ...range,
+      });
+
+      // A newer load (refresh or filter change) has started
+      if (requestId !== requestRef.current) {
+        return;
+      }
 
       if (response.success) {
-        // Process and format trip data
-        const formattedTrips = formatTripData(response.data);
-        setTrips(formattedTrips);
+        const page = response.data;
+        const pageTrips = page.trips.filter((trip) =>
+          isTripInRange(trip, range)
+        );
+
+        setTrips(mergeTripPages(pendingTrips, pageTrips).trips);
+        setPageInfo({
+          hasMore: page.hasMore,
+          nextPage: page.nextPage,
+          nextCursor: page.nextCursor,
+          range,
+        });
+        setLastUpdated(new Date().toISOString());
+
+        if (useCache) {
+          await saveTripHistoryCache(storedRiderId, pageTrips);
+        }
       } else {
         throw new Error(response.message || 'Failed to fetch trip history');
       }
     } catch (err) {
       console.error('Fetch trip history error:', err);
-      setError(err.message || 'Failed to load trip history');
-      
-      // If rider ID issue, redirect to login
-      if (err.message.includes('login')) {
-        setTimeout(() => {
-          navigation.replace('Login');
-        }, 2000);
+      if (requestId === requestRef.current) {
+        setError(err.message || 'Failed to load trip history');
       }
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      if (requestId === requestRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+        setRevalidating(false);
+      }
     }
   };
 
   /**
-   * Format trip data for display
-   * @param {Array|Object} data - Raw trip data from API
-   * @returns {Array} Formatted trip array
+   * Fetch the next page of trip history
    */
-  const formatTripData = (data) => {
+  const fetchMoreTrips = async () => {
+    if (!pageInfo.hasMore || !riderId || loading || refreshing || loadingMore) {
+      return;
+    }
+
+    const requestId = requestRef.current;
+
     try {
-      // Handle different API response formats
-      let tripArray = [];
-
-      if (Array.isArray(data)) {
-        tripArray = data;
-      } else if (data.trips && Array.isArray(data.trips)) {
-        tripArray = data.trips;
-      } else if (data.data && Array.isArray(data.data)) {
-        tripArray = data.data;
-      } else {
-        return [];
+      setLoadingMore(true);
+      setLoadMoreError(null);
+
+      const response = await getTripHistory(riderId, {
+        page: pageInfo.nextPage,
+        cursor: pageInfo.nextCursor,
+        ...pageInfo.range,
+      });
+
+      // The list was reloaded while this page was loading
+      if (requestId !== requestRef.current) {
+        return;
+      }
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to fetch more trips');
       }
 
-      // Format each trip
-      return tripArray.map((trip) => ({
-        id: trip.id || trip.trip_id,
-        date: trip.date || trip.start_time || trip.created_at,
-        startTime: trip.start_time,
-        endTime: trip.end_time,
-        distance: parseFloat(trip.total_distance || trip.distance || 0),
-        status: trip.status || 'completed',
-        // Additional data for potential detail view
-        coordinates: trip.coordinates || [],
-        riderId: trip.rider_id,
-      }));
+      const page = response.data;
+      const pageTrips = page.trips.filter((trip) =>
+        isTripInRange(trip, pageInfo.range)
+      );
+      const merged = mergeTripPages(trips, pageTrips);
+
+      setTrips(merged.trips);
+
+      // A page with nothing new means the server is not paging - stop here
+      setPageInfo(
+        merged.added > 0
+          ? {
+              ...pageInfo,
+              hasMore: page.hasMore,
+              nextPage: page.nextPage,
+              nextCursor: page.nextCursor,
+            }
+          : { ...pageInfo, hasMore: false }
+      );
     } catch (err) {
-      console.error('Error formatting trip data:', err);
-      return [];
+      console.error('Fetch more trips error:', err);
+      if (requestId === requestRef.current) {
+        setLoadMoreError(err.message || 'Failed to load more trips');
+      }
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Handle date filter chip press
+   * @param {string} key - Filter key
+   */
+  const handleFilterPress = (key) => {
+    if (key === filterRef.current) {
+      return;
+    }
+
+    filterRef.current = key;
+    setActiveFilter(key);
+    setTrips([]);
+    setPageInfo(NO_MORE_PAGES);
+    setLastUpdated(null);
+    fetchTripHistory(true);
+  };
+
+  /**
+   * Load the next page when the list nears its end
+   * After a failed page the rider retries from the footer instead, so a
+   * failing request is not repeated on every scroll.
+   */
+  const handleEndReached = () => {
+    if (!loadMoreError) {
+      fetchMoreTrips();
     }
   };
 
@@ -131,12 +269,7 @@ const TripHistoryScreen = ({ navigation }) => {
    * @param {Object} trip - Trip data
    */
   const handleTripPress = (trip) => {
-    // Navigate to trip detail screen (optional feature)
-    // For now, we can show an alert or do nothing
-    console.log('Trip pressed:', trip);
-    
-    // Example: Navigate to detail screen
-    // navigation.navigate('TripDetail', { trip });
+    navigation.navigate('TripDetail', { trip });
   };
 
   /**
@@ -180,8 +313,46 @@ const TripHistoryScreen = ({ navigation }) => {
     <View style={styles.listHeader}>
       <Text style={styles.headerTitle}>Trip History</Text>
       <Text style={styles.headerSubtitle}>
-        {trips.length} {trips.length === 1 ? 'trip' : 'trips'} recorded
+        {trips.length}
+        {pageInfo.hasMore ? '+' : ''} {trips.length === 1 ? 'trip' : 'trips'}
+        {' recorded'}
       </Text>
+
+      {/* Freshness */}
+      {lastUpdated ? (
+        <Text style={styles.updatedText}>
+          Last updated {formatDateTime(lastUpdated)}
+          {revalidating ? ' • Updating...' : ''}
+        </Text>
+      ) : null}
+      {error && trips.length > 0 ? (
+        <Text style={styles.staleText}>
+          Couldn't refresh trip history. Showing saved trips.
+        </Text>
+      ) : null}
+
+      {/* Date Filters */}
+      <View style={styles.filterRow}>
+        {HISTORY_FILTERS.map((filter) => {
+          const active = filter.key === activeFilter;
+          return (
+            <TouchableOpacity
+              key={filter.key}
+              style={[styles.filterChip, active && styles.filterChipActive]}
+              onPress={() => handleFilterPress(filter.key)}
+            >
+              <Text
+                style={[
+                  styles.filterChipText,
+                  active && styles.filterChipTextActive,
+                ]}
+              >
+                {filter.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
     </View>
   );
 
@@ -190,10 +361,22 @@ const TripHistoryScreen = ({ navigation }) => {
    * @returns {JSX.Element} Empty state component
    */
   const renderEmptyState = () => {
-    if (loading) {
+    if (loading || refreshing) {
       return null;
     }
 
+    if (activeFilter !== 'all') {
+      return (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyIcon}>📅</Text>
+          <Text style={styles.emptyTitle}>No Trips Found</Text>
+          <Text style={styles.emptyText}>
+            There are no trips in this period.
+          </Text>
+        </View>
+      );
+    }
+
     return (
       <View style={styles.emptyContainer}>
         <Text style={styles.emptyIcon}>📦</Text>
@@ -243,7 +426,20 @@ const TripHistoryScreen = ({ navigation }) => {
    * @returns {JSX.Element|null} Footer component
    */
   const renderListFooter = () => {
-    if (!refreshing || trips.length === 0) {
+    if (loadMoreError) {
+      return (
+        <TouchableOpacity
+          style={styles.footerLoading}
+          onPress={fetchMoreTrips}
+        >
+          <Text style={styles.footerErrorText}>
+            Couldn't load more trips. Tap to retry.
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    if (!loadingMore) {
       return null;
     }
 
@@ -305,6 +501,8 @@ const TripHistoryScreen = ({ navigation }) => {
           ListEmptyComponent={renderEmptyState}
           ListFooterComponent={renderListFooter}
           ItemSeparatorComponent={ItemSeparator}
+          onEndReached={handleEndReached}
+          onEndReachedThreshold={0.5}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -366,6 +564,17 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: '500',
   },
+  updatedText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 4,
+  },
+  staleText: {
+    fontSize: 12,
+    color: colors.warning,
+    fontWeight: '500',
+    marginTop: 4,
+  },
   separator: {
     height: 0,
   },
@@ -454,6 +663,38 @@ const styles = StyleSheet.create({
     paddingVertical: 20,
     alignItems: 'center',
   },
+  footerErrorText: {
+    fontSize: 14,
+    color: colors.danger,
+    fontWeight: '500',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.cardBackground,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  filterChipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  filterChipTextActive: {
+    color: '#ffffff',
+  },
 });
 
 export default TripHistoryScreen;
\ No newline at end of file
@@ -10,126 +10,184 @@ import {
   StyleSheet,
   SafeAreaView,
   Alert,
-  Platform,
-  PermissionsAndroid,
   AppState,
+  TouchableOpacity,
+  ActivityIndicator,
 } from 'react-native';
 import gpsService from '../services/gpsService';
-import Geolocation from 'react-native-geolocation-service';
-import { startTrip, endTrip } from '../services/api';
+import {
+  requestLocationPermission,
+  isLocationServicesEnabled,
+  openAppSettings,
+  openLocationSettings,
+  PERMISSION_STATUS,
+} from '../services/permissions';
+import { startTrip } from '../services/api';
+import { ResponseFormatError } from '../services/normalizers';
 import {
   saveTripData,
   getTripData,
+  updateTripData,
   clearTripData,
-  saveCoordinates,
-  getCoordinates,
-  clearCoordinates,
+  getTripLogId,
+  appendCoordinates,
+  getTripCoordinates,
+  migrateLegacyCoordinates,
   getRiderId,
 } from '../services/storage';
+import { syncPendingCoordinates } from '../services/tripSync';
+import {
+  EXPORT_FORMATS,
+  getActiveTripForExport,
+  getFormatLabel,
+  shareTrip,
+} from '../services/tripExport';
+import { emitAuthEvent, AUTH_EVENTS } from '../services/authEvents';
+import {
+  enqueue,
+  processOutbox,
+  getOutboxEntry,
+  createProvisionalTripId,
+  isProvisionalTripId,
+  isRetryableError,
+  OUTBOX_ACTIONS,
+} from '../services/outbox';
 import Button from '../components/Button';
 import colors from '../constants/colors';
-
-/**
- * Format seconds to HH:MM:SS
- * @param {number} seconds - Total seconds
- * @returns {string} Formatted time string
- */
-const formatDuration = (seconds) => {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = seconds % 60;
-
-  return `${hours.toString().padStart(2, '0')}:${minutes
-    .toString()
-    .padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-};
-
-/**
- * Request location permissions
- * @returns {Promise<boolean>} Permission granted status
- */
-const requestLocationPermission = async () => {
-  if (Platform.OS === 'ios') {
-    const auth = await Geolocation.requestAuthorization('always');
-    return auth === 'granted' || auth === 'whenInUse';
-  }
-
-  try {
-    const granted = await PermissionsAndroid.requestMultiple([
-      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
-    ]);
-
-    const fineLocation =
-      granted['android.permission.ACCESS_FINE_LOCATION'] ===
-      PermissionsAndroid.RESULTS.GRANTED;
-
-    const coarseLocation =
-      granted['android.permission.ACCESS_COARSE_LOCATION'] ===
-      PermissionsAndroid.RESULTS.GRANTED;
-
-    // Request background location for Android 10+
-    if (Platform.Version >= 29) {
-      const bgGranted = await PermissionsAndroid.request(
-        PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION
-      );
-      
-      if (bgGranted !== PermissionsAndroid.RESULTS.GRANTED) {
-        Alert.alert(
-          'Background Location',
-          'For best results, please enable "Allow all the time" location access in Settings.'
-        );
-      }
-    }
-
-    return fineLocation || coarseLocation;
-  } catch (err) {
-    console.error('Permission request error:', err);
-    return false;
-  }
-};
+import { formatKilometers } from '../utils/distanceFormatter';
+import {
+  getDuration,
+  getPausedDuration,
+  formatDurationWithSeconds,
+} from '../utils/dateFormatter';
 
 /**
  * TripTrackingScreen Component
  * @param {Object} props - Component props
  * @param {Object} props.navigation - React Navigation object
+ * @param {Object} props.route - React Navigation route; params.startNew is
+ * set by the Dashboard, the only place a new trip is started from
  */
-const TripTrackingScreen = ({ navigation }) => {
+const TripTrackingScreen = ({ navigation, route }) => {
   // State management
   const [tripId, setTripId] = useState(null);
   const [riderId, setRiderId] = useState(null);
   const [distance, setDistance] = useState(0);
-  const [duration, setDuration] = useState(0);
+  const [now, setNow] = useState(() => new Date());
   const [speed, setSpeed] = useState(0);
   const [coordinates, setCoordinates] = useState([]);
   const [isTracking, setIsTracking] = useState(false);
   const [gpsStatus, setGpsStatus] = useState('Initializing...');
   const [startTime, setStartTime] = useState(null);
   const [isEnding, setIsEnding] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
 
   // Refs
   const durationIntervalRef = useRef(null);
+  const pausesRef = useRef([]);
   const appStateRef = useRef(AppState.currentState);
+  const coordinateLogIdRef = useRef(null);
+  const coordinatesRef = useRef([]);
+
+  /**
+   * Trip duration excluding pauses, derived from the persisted start time
+   * so it survives resumes and throttled background timers
+   * @param {Date} at - Point in time to measure up to
+   * @returns {number} Duration in seconds
+   */
+  const getTripDuration = (at) => {
+    if (!startTime) {
+      return 0;
+    }
+    return Math.max(
+      getDuration(startTime, at) - getPausedDuration(pausesRef.current, at),
+      0
+    );
+  };
+
+  const duration = getTripDuration(now);
+
+  /**
+   * Show the trip's coordinates and the distance they cover
+   * The ref holds the same list for handlers that run between renders.
+   * @param {Array} coords - All coordinates recorded for the trip
+   */
+  const showCoordinates = (coords) => {
+    coordinatesRef.current = coords;
+    setCoordinates(coords);
+    setDistance(gpsService.calculateTripDistance(coords, pausesRef.current));
+  };
 
   /**
    * Initialize trip and GPS tracking
    */
   const initializeTrip = async () => {
     try {
+      // Check for existing active trip
+      const existingTrip = await getTripData();
+      const hasActiveTrip = existingTrip && existingTrip.status === 'active';
+
+      // Links and the tracking notification only resume a trip
+      if (!hasActiveTrip && !route.params?.startNew) {
+        navigation.popTo('Dashboard');
+        return;
+      }
+
       setGpsStatus('Requesting permissions...');
 
       // Request location permissions
-      const hasPermission = await requestLocationPermission();
+      const { status } = await requestLocationPermission();
+
+      if (
+        status !== PERMISSION_STATUS.GRANTED &&
+        status !== PERMISSION_STATUS.WHEN_IN_USE
+      ) {
+        const buttons = [
+          {
+            text: 'OK',
+            onPress: () => navigation.goBack(),
+          },
+        ];
+
+        // A blocked permission can only be changed in Settings
+        if (status === PERMISSION_STATUS.BLOCKED) {
+          buttons.push({
+            text: 'Open Settings',
+            onPress: () => {
+              openAppSettings();
+              navigation.goBack();
+            },
+          });
+        }
 
-      if (!hasPermission) {
         Alert.alert(
           'Permission Required',
           'Location permission is required to track your trip.',
+          buttons
+        );
+        return;
+      }
+
+      // Device location must be switched on
+      const servicesEnabled = await isLocationServicesEnabled();
+
+      if (!servicesEnabled) {
+        Alert.alert(
+          'Location Is Off',
+          'Turn on device location to track your trip.',
           [
             {
               text: 'OK',
               onPress: () => navigation.goBack(),
             },
+            {
+              text: 'Open Settings',
+              onPress: () => {
+                openLocationSettings();
+                navigation.goBack();
+              },
+            },
           ]
         );
         return;
@@ -138,57 +196,88 @@ const TripTrackingScreen = ({ navigation }) => {
       // Get rider ID
       const storedRiderId = await getRiderId();
       if (!storedRiderId) {
-        Alert.alert('Error', 'Rider ID not found. Please login again.');
-        navigation.replace('Login');
+        // Without a rider ID the session is unusable - log in again
+        emitAuthEvent(AUTH_EVENTS.SESSION_EXPIRED);
         return;
       }
       setRiderId(storedRiderId);
 
-      // Check for existing active trip
-      const existingTrip = await getTripData();
-
-      if (existingTrip && existingTrip.status === 'active') {
+      if (hasActiveTrip) {
         // Resume existing trip
         setTripId(existingTrip.trip_id);
         setStartTime(new Date(existingTrip.start_time));
+        pausesRef.current = existingTrip.pauses || [];
         
         // Load existing coordinates
-        const savedCoords = await getCoordinates();
-        setCoordinates(savedCoords);
-        
-        // Calculate distance from saved coordinates
-        if (savedCoords.length > 0) {
-          const totalDist = gpsService.calculateTripDistance(savedCoords);
-          setDistance(totalDist);
-        }
+        coordinateLogIdRef.current = getTripLogId(existingTrip);
+        await migrateLegacyCoordinates(coordinateLogIdRef.current);
+        const savedCoords = await getTripCoordinates(coordinateLogIdRef.current);
+        showCoordinates(savedCoords);
 
         setGpsStatus('Resuming trip...');
       } else {
         // Start new trip
         setGpsStatus('Starting new trip...');
 
-        const response = await startTrip(storedRiderId);
+        const tripStartTime = new Date();
+        const localId = createProvisionalTripId();
+        const response = await startTrip(
+          storedRiderId,
+          tripStartTime.toISOString()
+        );
 
-        if (!response.success) {
-          throw new Error(response.message || 'Failed to start trip');
+        // The server may have started a trip whose ID could not be read;
+        // sending the start again would leave that trip open, so stop here
+        if (response.error instanceof ResponseFormatError) {
+          console.warn('Start trip reply unreadable:', response.error.body);
+          setGpsStatus('GPS Error');
+          Alert.alert(
+            'Trip Not Started',
+            'The server sent a reply the app could not read, so tracking was not started. Please try again.',
+            [
+              {
+                text: 'OK',
+                onPress: () => navigation.goBack(),
+              },
+            ]
+          );
+          return;
         }
 
-        const newTripId = response.data?.data?.trip_id || response.data?.trip_id || response.data?.data?.id;
-        const tripStartTime = new Date();
+        let newTripId;
+
+        if (response.success) {
+          newTripId = response.data.id;
+        } else if (isRetryableError(response.error)) {
+          // Offline - track under the provisional ID and start on the server later
+          newTripId = localId;
+          await enqueue(OUTBOX_ACTIONS.START_TRIP, {
+            local_id: localId,
+            rider_id: storedRiderId,
+            start_time: tripStartTime.toISOString(),
+          });
+        } else {
+          throw new Error(response.message || 'Failed to start trip');
+        }
 
         setTripId(newTripId);
         setStartTime(tripStartTime);
 
         // Save trip data
-        await saveTripData({
+        const newTrip = {
           trip_id: newTripId,
+          local_id: localId,
           rider_id: storedRiderId,
           start_time: tripStartTime.toISOString(),
           status: 'active',
-        });
-
-        // Clear any old coordinates
-        await clearCoordinates();
+          synced_count: 0,
+          queued_count: 0,
+          pauses: [],
+        };
+        await saveTripData(newTrip);
+
+        // Coordinates are logged under the local ID, which never changes
+        coordinateLogIdRef.current = getTripLogId(newTrip);
       }
 
       // Initialize GPS service
@@ -199,6 +288,16 @@ const TripTrackingScreen = ({ navigation }) => {
       await gpsService.startTracking(handleLocationUpdate);
 
       setIsTracking(true);
+
+      // A trip left paused stays paused until the rider resumes it
+      const lastPause = pausesRef.current[pausesRef.current.length - 1];
+      if (lastPause && !lastPause.end) {
+        gpsService.pauseTracking();
+        setIsPaused(true);
+        setGpsStatus('Paused');
+        return;
+      }
+
       setGpsStatus('GPS Active');
 
       // Start duration timer
@@ -235,6 +334,7 @@ const TripTrackingScreen = ({ navigation }) => {
         altitude: location.altitude || null,
         speed: location.speed || 0,
         timestamp: Math.floor(location.timestamp || Date.now()),
+        source: location.source || null,
       };
 
       // Update speed (convert m/s to km/h)
@@ -243,21 +343,14 @@ const TripTrackingScreen = ({ navigation }) => {
         setSpeed(parseFloat(speedKmh));
       }
 
-      // Add to coordinates array
-      setCoordinates((prevCoords) => {
-        const updatedCoords = [...prevCoords, coord];
+      // Append to the trip's coordinate log once per fix
+      appendCoordinates(coordinateLogIdRef.current, [coord]);
 
-        // Calculate new distance
-        if (updatedCoords.length > 1) {
-          const totalDist = gpsService.calculateTripDistance(updatedCoords);
-          setDistance(totalDist);
-        }
+      const updatedCoords = [...coordinatesRef.current, coord];
+      showCoordinates(updatedCoords);
 
-        // Save to storage
-        saveCoordinates(updatedCoords);
-
-        return updatedCoords;
-      });
+      // Upload full batches while the trip is running
+      syncPendingCoordinates(updatedCoords);
 
       setGpsStatus('GPS Active');
     } catch (error) {
@@ -267,10 +360,13 @@ const TripTrackingScreen = ({ navigation }) => {
 
   /**
    * Start duration timer
+   * The timer only re-renders - the duration itself comes from start_time.
    */
   const startDurationTimer = () => {
+    stopDurationTimer();
+    setNow(new Date());
     durationIntervalRef.current = setInterval(() => {
-      setDuration((prevDuration) => prevDuration + 1);
+      setNow(new Date());
     }, 1000);
   };
 
@@ -284,15 +380,70 @@ const TripTrackingScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Pause or resume the trip
+   * Pause intervals are stored with the trip data so paused time can be
+   * reported separately when the trip ends.
+   */
+  const handlePauseToggle = async () => {
+    try {
+      const timestamp = new Date().toISOString();
+
+      if (isPaused) {
+        pausesRef.current = pausesRef.current.map((pause) =>
+          pause.end ? pause : { ...pause, end: timestamp }
+        );
+        await updateTripData({ pauses: pausesRef.current });
+
+        gpsService.resumeTracking();
+        setIsPaused(false);
+        setGpsStatus('GPS Active');
+        startDurationTimer();
+      } else {
+        pausesRef.current = [...pausesRef.current, { start: timestamp, end: null }];
+        await updateTripData({ pauses: pausesRef.current });
+
+        gpsService.pauseTracking();
+        setIsPaused(true);
+        setGpsStatus('Paused');
+        stopDurationTimer();
+        setNow(new Date());
+      }
+    } catch (error) {
+      console.error('Pause toggle error:', error);
+    }
+  };
+
+  /**
+   * Export the route recorded so far and open the share sheet
+   * The full log is read from storage since the screen only holds the
+   * points received while it was mounted.
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = async (format) => {
+    if (exportingFormat) {
+      return;
+    }
+
+    setExportingFormat(format);
+    const trip = await getActiveTripForExport();
+    const result = trip
+      ? await shareTrip(trip, format)
+      : { success: false, message: 'No active trip to export.' };
+    setExportingFormat(null);
+
+    if (!result.success) {
+      Alert.alert('Export Failed', result.message);
+    }
+  };
+
   /**
    * Handle end trip
    */
   const handleEndTrip = () => {
     Alert.alert(
       'End Trip',
-      `Are you sure you want to end this trip?\n\nDistance: ${distance.toFixed(
-        2
-      )} km\nDuration: ${formatDuration(duration)}`,
+      `Are you sure you want to end this trip?\n\nDistance: ${formatKilometers(distance)} km\nDuration: ${formatDurationWithSeconds(getTripDuration(new Date()))}`,
       [
         {
           text: 'Cancel',
@@ -316,6 +467,7 @@ const TripTrackingScreen = ({ navigation }) => {
       setGpsStatus('Ending trip...');
 
       // Stop GPS tracking
+      const rejectedFixes = gpsService.getRejectedFixCounts();
       await gpsService.stopTracking();
       setIsTracking(false);
 
@@ -324,49 +476,86 @@ const TripTrackingScreen = ({ navigation }) => {
 
       const endTime = new Date();
 
-      const formattedCoordinates = coordinates.map(coord => ({
+      // A pause still open when the trip ends counts up to the end time
+      const pausedTime = getPausedDuration(pausesRef.current, endTime);
+      const movingTime = getTripDuration(endTime);
+      setNow(endTime);
+
+      // Read after stopping: held fixes, such as the final position, arrive on stop
+      const recordedCoordinates = coordinatesRef.current;
+      const totalDistance = gpsService.calculateTripDistance(
+        recordedCoordinates,
+        pausesRef.current
+      );
+
+      const formattedCoordinates = recordedCoordinates.map(coord => ({
         latitude: coord.latitude,
         longitude: coord.longitude,
         accuracy: coord.accuracy || null,
         altitude: coord.altitude || null,
         speed: coord.speed || 0,
         timestamp: Math.floor(coord.timestamp || Date.now()),
+        source: coord.source || null,
       }));
 
+      // Smoothed distance is reported alongside the raw one for comparison
+      const { smoothed } = gpsService.calculateTripDistances(
+        formattedCoordinates,
+        pausesRef.current
+      );
+
+      // Only send what the in-trip sync has not queued yet
+      const syncedCount = await syncPendingCoordinates(formattedCoordinates);
+
       // Prepare trip data
       const tripData = {
         trip_id: tripId,
         rider_id: riderId,
         start_time: startTime.toISOString(),
         end_time: endTime.toISOString(),
-        total_distance: distance,
-        coordinates: formattedCoordinates,
+        total_distance: totalDistance,
+        smoothed_distance: smoothed,
+        coordinates: formattedCoordinates.slice(syncedCount),
+        synced_count: syncedCount,
+        rejected_fixes: rejectedFixes,
+        moving_time: movingTime,
+        paused_time: pausedTime,
+        // Route shown in the history until the upload goes through
+        log_id: coordinateLogIdRef.current,
       };
 
-      // Call end trip API
-      const response = await endTrip(tripData);
+      // Queue the end trip call so it survives being offline or an app restart
+      const entry = await enqueue(OUTBOX_ACTIONS.END_TRIP, tripData);
 
-      if (response.success) {
-        // Clear trip data from storage
-        await clearTripData();
-        await clearCoordinates();
+      if (!entry) {
+        throw new Error('Failed to save trip for upload');
+      }
 
-        // Show success message
-        Alert.alert(
-          'Trip Completed',
-          `Your trip has been saved successfully!\n\nDistance: ${distance.toFixed(
-            2
-          )} km\nDuration: ${formatDuration(duration)}`,
-          [
-            {
-              text: 'OK',
-              onPress: () => navigation.replace('Dashboard'),
-            },
-          ]
-        );
-      } else {
-        throw new Error(response.message || 'Failed to end trip');
+      // The outbox now owns the trip, so the local active trip can be cleared.
+      // Its coordinate log is cleared by the outbox once the trip is delivered.
+      await clearTripData();
+
+      await processOutbox({ force: true });
+      const pendingEntry = await getOutboxEntry(entry.id);
+
+      let message = 'Your trip has been saved successfully!';
+      if (pendingEntry?.status === 'failed') {
+        message = `Your trip was saved on this device but the server rejected it: ${pendingEntry.last_error}. Please contact support.`;
+      } else if (pendingEntry) {
+        message = 'Your trip has been saved and will be uploaded when you are back online.';
       }
+
+      // Show success message
+      Alert.alert(
+        'Trip Completed',
+        `${message}\n\nDistance: ${formatKilometers(totalDistance)} km\nDuration: ${formatDurationWithSeconds(movingTime)}`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.replace('Dashboard'),
+          },
+        ]
+      );
     } catch (error) {
       console.error('End trip error:', error);
       setIsEnding(false);
@@ -404,10 +593,20 @@ const TripTrackingScreen = ({ navigation }) => {
    */
   const loadTripState = async () => {
     try {
-      const savedCoords = await getCoordinates();
+      // Trip ID may have been remapped from a provisional ID while away
+      const savedTrip = await getTripData();
+      if (savedTrip?.trip_id) {
+        setTripId(savedTrip.trip_id);
+      }
+
+      const savedCoords = await getTripCoordinates(getTripLogId(savedTrip));
       if (savedCoords.length > 0) {
+        coordinatesRef.current = savedCoords;
         setCoordinates(savedCoords);
-        const totalDist = gpsService.calculateTripDistance(savedCoords);
+        const totalDist = gpsService.calculateTripDistance(
+          savedCoords,
+          pausesRef.current
+        );
         setDistance(totalDist);
       }
     } catch (error) {
@@ -497,7 +696,7 @@ const TripTrackingScreen = ({ navigation }) => {
           <View style={styles.mainStat}>
             <Text style={styles.mainStatLabel}>Distance</Text>
             <Text style={styles.mainStatValue}>
-              {distance.toFixed(2)}
+              {formatKilometers(distance)}
               <Text style={styles.mainStatUnit}> km</Text>
             </Text>
           </View>
@@ -508,7 +707,7 @@ const TripTrackingScreen = ({ navigation }) => {
             <View style={styles.secondaryStat}>
               <Text style={styles.secondaryStatLabel}>Duration</Text>
               <Text style={styles.secondaryStatValue}>
-                {formatDuration(duration)}
+                {formatDurationWithSeconds(duration)}
               </Text>
             </View>
 
@@ -533,7 +732,11 @@ const TripTrackingScreen = ({ navigation }) => {
         <View style={styles.infoCard}>
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Trip ID:</Text>
-            <Text style={styles.infoValue}>#{tripId || '--'}</Text>
+            <Text style={styles.infoValue}>
+              {isProvisionalTripId(tripId)
+                ? 'Pending sync'
+                : `#${tripId || '--'}`}
+            </Text>
           </View>
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Started:</Text>
@@ -549,6 +752,16 @@ const TripTrackingScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Pause / Resume Button */}
+        <View style={styles.pauseContainer}>
+          <Button
+            title={isPaused ? 'Resume Trip' : 'Pause Trip'}
+            onPress={handlePauseToggle}
+            variant={isPaused ? 'secondary' : 'primary'}
+            disabled={isEnding || !isTracking}
+          />
+        </View>
+
         {/* End Trip Button */}
         <View style={styles.endTripContainer}>
           <Button
@@ -560,10 +773,34 @@ const TripTrackingScreen = ({ navigation }) => {
           />
         </View>
 
+        {/* Export */}
+        {coordinates.length > 0 && (
+          <View style={styles.exportRow}>
+            {Object.values(EXPORT_FORMATS).map((format) => (
+              <TouchableOpacity
+                key={format}
+                style={styles.exportButton}
+                onPress={() => handleExport(format)}
+                disabled={Boolean(exportingFormat) || isEnding}
+              >
+                {exportingFormat === format ? (
+                  <ActivityIndicator size="small" color={colors.primary} />
+                ) : (
+                  <Text style={styles.exportButtonText}>
+                    {getFormatLabel(format)}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Info Text */}
         <View style={styles.infoTextContainer}>
           <Text style={styles.infoText}>
-            🔒 GPS tracking continues in the background
+            {isPaused
+              ? '⏸ Location is not recorded while the trip is paused'
+              : '🔒 GPS tracking continues in the background'}
           </Text>
         </View>
       </View>
@@ -701,9 +938,31 @@ const styles = StyleSheet.create({
     color: colors.textPrimary,
     fontWeight: '600',
   },
+  pauseContainer: {
+    marginBottom: 12,
+  },
   endTripContainer: {
     marginBottom: 16,
   },
+  exportRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  exportButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 40,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  exportButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+  },
   infoTextContainer: {
     alignItems: 'center',
     marginBottom: 16,
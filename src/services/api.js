@@ -4,21 +4,167 @@
  */
 
 import axios from 'axios';
-import { API_BASE_URL } from '../constants/config';
-import { getAuthToken, saveAuthToken } from './storage';
+import { CONFIG } from '../constants/config';
+import {
+  getAuthToken,
+  saveAuthToken,
+  removeAuthToken,
+  getRefreshToken,
+  saveRefreshToken,
+  removeRefreshToken,
+} from './storage';
+import { emitAuthEvent, AUTH_EVENTS } from './authEvents';
+import {
+  ResponseFormatError,
+  normalizeTokens,
+  normalizeSession,
+  normalizeTrip,
+  normalizeEndedTrip,
+  normalizeSyncResult,
+  normalizeTripPage,
+} from './normalizers';
 
 /**
  * Create axios instance with base configuration
  */
 const apiClient = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000, // 30 seconds
+  baseURL: CONFIG.api.baseUrl,
+  timeout: CONFIG.api.timeout,
   headers: {
     'Content-Type': 'application/json',
     'Accept': 'application/json',
   },
 });
 
+/**
+ * Point the API client at the current environment
+ * Called after CONFIG changes (see services/environment.js).
+ */
+export const configureApiClient = () => {
+  apiClient.defaults.baseURL = CONFIG.api.baseUrl;
+  apiClient.defaults.timeout = CONFIG.api.timeout;
+};
+
+// Token refresh currently in flight (shared by every request that hits a 401)
+let refreshPromise = null;
+
+/**
+ * Check if a request is one of the auth endpoints, which are never refreshed
+ * @param {Object} config - Axios request config
+ * @returns {boolean} True for login and refresh requests
+ */
+const isAuthRequest = (config) => {
+  const url = config?.url || '';
+  return url.includes('/auth/login') || url.includes('/auth/refresh');
+};
+
+/**
+ * Exchange the stored refresh token for a new auth token
+ * Uses a bare axios call so the response interceptor cannot recurse.
+ * @returns {Promise<string|null>} New auth token, or null if the refresh was rejected
+ * @throws On network errors, so a dropped connection does not log the rider out
+ */
+const requestTokenRefresh = async () => {
+  const refreshToken = await getRefreshToken();
+  if (!refreshToken) {
+    return null;
+  }
+
+  try {
+    const response = await axios.post(
+      `${CONFIG.api.baseUrl}/auth/refresh`,
+      { refresh_token: refreshToken },
+      { timeout: CONFIG.api.timeout }
+    );
+
+    const { token, refreshToken: nextRefreshToken } = normalizeTokens(
+      response.data
+    );
+    if (!token) {
+      return null;
+    }
+
+    await saveAuthToken(token);
+
+    // Servers that rotate refresh tokens send a new one with each refresh
+    if (nextRefreshToken) {
+      await saveRefreshToken(nextRefreshToken);
+    }
+
+    return token;
+  } catch (error) {
+    if (!error.response) {
+      throw error;
+    }
+    console.warn('Token refresh rejected:', error.response.status);
+    return null;
+  }
+};
+
+/**
+ * Refresh the auth token, sharing one refresh between concurrent callers
+ * @returns {Promise<string|null>} New auth token or null
+ */
+const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * End the session after a failed refresh
+ * Trip data and the outbox are kept so nothing recorded is lost.
+ */
+const expireSession = async () => {
+  console.warn('Unauthorized request - clearing auth token');
+  await removeAuthToken();
+  await removeRefreshToken();
+  emitAuthEvent(AUTH_EVENTS.SESSION_EXPIRED);
+};
+
+/**
+ * Get the token to retry a request that failed with 401
+ * A request whose token was already replaced by another refresh is retried
+ * with the current token; otherwise the token is refreshed once.
+ * @param {Object} config - Axios request config of the failed request
+ * @returns {Promise<string|null>} Token to retry with, or null if the session has expired
+ */
+const getRetryToken = async (config) => {
+  const currentToken = await getAuthToken();
+
+  if (
+    currentToken &&
+    config.headers?.Authorization !== `Bearer ${currentToken}`
+  ) {
+    return currentToken;
+  }
+
+  return refreshAuthToken();
+};
+
+/**
+ * Normalize a successful response body
+ * A body of the wrong shape is reported with the HTTP status, so the
+ * outbox does not retry a call the server has already taken.
+ * @param {Object} response - Axios response
+ * @param {Function} normalize - Normalizer for the response body
+ * @returns {*} Normalized data
+ * @throws {ResponseFormatError} If the body does not match
+ */
+const parseResponse = (response, normalize) => {
+  try {
+    return normalize(response.data);
+  } catch (error) {
+    if (error instanceof ResponseFormatError) {
+      error.status = response.status;
+    }
+    throw error;
+  }
+};
+
 /**
  * Request Interceptor
  * Automatically adds auth token to all requests
@@ -26,6 +172,11 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   async (config) => {
     try {
+      // Requests made while a refresh is in flight wait for the new token
+      if (refreshPromise && !isAuthRequest(config)) {
+        await refreshPromise.catch(() => null);
+      }
+
       // Get auth token from storage
       const token = await getAuthToken();
       
@@ -68,8 +219,31 @@ apiClient.interceptors.response.use(
 
     switch (status) {
       case 401:
-        // Unauthorized - clear token
-        console.warn('Unauthorized request - clearing auth token');
+        // A 401 from login itself means wrong credentials, not an expired session
+        if (!isAuthRequest(error.config)) {
+          if (!error.config._retried) {
+            let token;
+            try {
+              token = await getRetryToken(error.config);
+            } catch (refreshError) {
+              // Refresh could not reach the server - keep the session
+              return Promise.reject({
+                message:
+                  'Network error. Please check your internet connection.',
+                error: refreshError.message,
+              });
+            }
+
+            // Retry once with the new token
+            if (token) {
+              error.config._retried = true;
+              error.config.headers.Authorization = `Bearer ${token}`;
+              return apiClient(error.config);
+            }
+          }
+
+          await expireSession();
+        }
         return Promise.reject({
           message: 'Session expired. Please login again.',
           status: 401,
@@ -115,7 +289,7 @@ apiClient.interceptors.response.use(
  * Login user
  * @param {string} username - User's username
  * @param {string} password - User's password
- * @returns {Promise<Object>} Login response with token and user data
+ * @returns {Promise<Object>} Login response, data is the Rider
  */
 export const login = async (username, password) => {
   try {
@@ -124,15 +298,24 @@ export const login = async (username, password) => {
       password,
     });
 
+    const { rider, token, refreshToken } = parseResponse(
+      response,
+      normalizeSession
+    );
+
     // Save auth token if provided in response
-    const token = response.data?.data?.token || response.data?.token;
     if (token) {
       await saveAuthToken(token);
     }
 
+    // Save refresh token if the backend issues one
+    if (refreshToken) {
+      await saveRefreshToken(refreshToken);
+    }
+
     return {
       success: true,
-      data: response.data,
+      data: rider,
     };
   } catch (error) {
     console.error('Login error:', error);
@@ -151,17 +334,19 @@ export const login = async (username, password) => {
 /**
  * Start a new trip
  * @param {string|number} riderId - Rider's ID
- * @returns {Promise<Object>} Trip start response with trip ID
+ * @param {string} startTime - Optional trip start time (ISO format), used when replaying an offline start
+ * @returns {Promise<Object>} Trip start response, data is the Trip
  */
-export const startTrip = async (riderId) => {
+export const startTrip = async (riderId, startTime) => {
   try {
     const response = await apiClient.post('/trips/start', {
       rider_id: riderId,
+      ...(startTime && { start_time: startTime }),
     });
 
     return {
       success: true,
-      data: response.data,
+      data: parseResponse(response, normalizeTrip),
     };
   } catch (error) {
     console.error('Start trip error:', error);
@@ -181,8 +366,13 @@ export const startTrip = async (riderId) => {
  * @param {string} tripData.start_time - Trip start time (ISO format)
  * @param {string} tripData.end_time - Trip end time (ISO format)
  * @param {number} tripData.total_distance - Total distance in kilometers
- * @param {Array} tripData.coordinates - Array of GPS coordinates
- * @returns {Promise<Object>} Trip end response
+ * @param {number} tripData.smoothed_distance - Distance of the Kalman-smoothed track in kilometers
+ * @param {Array} tripData.coordinates - GPS coordinates not yet sent via syncCoordinates
+ * @param {number} tripData.synced_count - Number of coordinates already synced
+ * @param {Object} tripData.rejected_fixes - Counts of GPS fixes dropped by the fix filter
+ * @param {number} tripData.moving_time - Trip time excluding pauses, in seconds
+ * @param {number} tripData.paused_time - Total time spent paused, in seconds
+ * @returns {Promise<Object>} Trip end response, data is a TripSummary
  */
 export const endTrip = async (tripData) => {
   try {
@@ -192,12 +382,17 @@ export const endTrip = async (tripData) => {
       start_time: tripData.start_time,
       end_time: tripData.end_time,
       total_distance: tripData.total_distance,
+      smoothed_distance: tripData.smoothed_distance,
       coordinates: tripData.coordinates,
+      synced_count: tripData.synced_count || 0,
+      rejected_fixes: tripData.rejected_fixes,
+      moving_time: tripData.moving_time,
+      paused_time: tripData.paused_time || 0,
     });
 
     return {
       success: true,
-      data: response.data,
+      data: parseResponse(response, normalizeEndedTrip),
     };
   } catch (error) {
     console.error('End trip error:', error);
@@ -210,17 +405,43 @@ export const endTrip = async (tripData) => {
 };
 
 /**
- * Get trip history for a rider
+ * Get a page of trip history for a rider
+ * Pass the `nextCursor` of the previous page when the server paginates by
+ * cursor, otherwise the `nextPage` number.
  * @param {string|number} riderId - Rider's ID
- * @returns {Promise<Object>} Trip history response
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.perPage - Trips per page
+ * @param {string} options.cursor - Cursor returned with the previous page
+ * @param {string} options.from - Only trips starting at or after this time (ISO format)
+ * @param {string} options.to - Only trips starting before this time (ISO format)
+ * @returns {Promise<Object>} Trip history response, data is a TripPage
  */
-export const getTripHistory = async (riderId) => {
+export const getTripHistory = async (
+  riderId,
+  {
+    page = 1,
+    perPage = CONFIG.history.pageSize,
+    cursor = null,
+    from = null,
+    to = null,
+  } = {}
+) => {
   try {
-    const response = await apiClient.get(`/trips/history/${riderId}`);
+    const response = await apiClient.get(`/trips/history/${riderId}`, {
+      params: {
+        per_page: perPage,
+        ...(cursor ? { cursor } : { page }),
+        ...(from && { from }),
+        ...(to && { to }),
+      },
+    });
 
     return {
       success: true,
-      data: response.data,
+      data: parseResponse(response, (body) =>
+        normalizeTripPage(body, { page, perPage })
+      ),
     };
   } catch (error) {
     console.error('Get trip history error:', error);
@@ -236,7 +457,7 @@ export const getTripHistory = async (riderId) => {
  * Sync coordinates during active trip
  * @param {string|number} tripId - Trip ID
  * @param {Array} coordinates - Array of GPS coordinates to sync
- * @returns {Promise<Object>} Sync response
+ * @returns {Promise<Object>} Sync response, data is a SyncResult
  */
 export const syncCoordinates = async (tripId, coordinates) => {
   try {
@@ -247,7 +468,7 @@ export const syncCoordinates = async (tripId, coordinates) => {
 
     return {
       success: true,
-      data: response.data,
+      data: parseResponse(response, normalizeSyncResult),
     };
   } catch (error) {
     console.error('Sync coordinates error:', error);
@@ -278,13 +499,13 @@ export const isAuthenticated = async () => {
 };
 
 /**
- * Logout user (clear token)
+ * Logout user (clear tokens)
  * @returns {Promise<boolean>} Success status
  */
 export const logout = async () => {
   try {
-    const { removeAuthToken } = require('./storage');
     await removeAuthToken();
+    await removeRefreshToken();
     return true;
   } catch (error) {
     console.error('Logout error:', error);
@@ -328,6 +549,7 @@ export default {
   
   // Utility
   testConnection,
+  configureApiClient,
   
   // Axios instance for custom requests
   apiClient,
@@ -0,0 +1,58 @@
+/**
+ * Auth Events
+ * Central channel for authentication events raised outside of React
+ * (e.g. by the API client) and handled by the navigator
+ */
+
+// Auth event names
+export const AUTH_EVENTS = {
+  SESSION_EXPIRED: 'sessionExpired',
+};
+
+// Listeners keyed by event name
+const listeners = {};
+
+/**
+ * Subscribe to an auth event
+ * @param {string} event - One of AUTH_EVENTS
+ * @param {Function} listener - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export const addAuthListener = (event, listener) => {
+  if (!listeners[event]) {
+    listeners[event] = new Set();
+  }
+  listeners[event].add(listener);
+
+  return () => {
+    listeners[event].delete(listener);
+  };
+};
+
+/**
+ * Emit an auth event to all subscribers
+ * @param {string} event - One of AUTH_EVENTS
+ * @param {Object} payload - Optional event data
+ */
+export const emitAuthEvent = (event, payload = {}) => {
+  const subscribers = listeners[event];
+
+  if (!subscribers || subscribers.size === 0) {
+    console.warn(`No listeners for auth event: ${event}`);
+    return;
+  }
+
+  subscribers.forEach((listener) => {
+    try {
+      listener(payload);
+    } catch (error) {
+      console.error(`Auth event listener error (${event}):`, error);
+    }
+  });
+};
+
+export default {
+  AUTH_EVENTS,
+  addAuthListener,
+  emitAuthEvent,
+};
@@ -0,0 +1,131 @@
+/**
+ * Environment Service
+ * Applies the environment profile the app runs against. Release builds always
+ * use the profile chosen at build time; debug builds can switch to another
+ * profile from the developer menu, and the choice is kept across restarts.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CONFIG, resolveConfig } from '../constants/config';
+import {
+  BUILD_ENVIRONMENT,
+  ENVIRONMENT_PROFILES,
+  getEnvironmentProfile,
+  isEnvironment,
+} from '../constants/environments';
+import { configureApiClient } from './api';
+import { getTripData } from './storage';
+
+// Developer override, shared by all environments so it is not namespaced
+const ENVIRONMENT_OVERRIDE_KEY = '@express_rider:environment_override';
+
+/**
+ * Check if the environment can be switched at runtime
+ * @returns {boolean} True in debug builds
+ */
+export const canSwitchEnvironment = () =>
+  typeof __DEV__ !== 'undefined' && __DEV__;
+
+/**
+ * Apply an environment to CONFIG and the API client
+ * CONFIG sections are updated in place so modules holding a reference to
+ * them see the new values.
+ * @param {string} name - Environment name
+ */
+const applyEnvironment = (name) => {
+  const next = resolveConfig(name);
+
+  Object.keys(next).forEach((section) => {
+    CONFIG[section] = Object.assign(CONFIG[section] || {}, next[section]);
+  });
+  configureApiClient();
+};
+
+/**
+ * Get the current environment profile
+ * @returns {Object} Profile (see environments.js)
+ */
+export const getEnvironment = () =>
+  getEnvironmentProfile(CONFIG.environment.name);
+
+/**
+ * List the environments the app can switch to
+ * @returns {Array<Object>} Profiles
+ */
+export const getEnvironments = () => Object.values(ENVIRONMENT_PROFILES);
+
+/**
+ * Apply the developer override saved by setEnvironment, if any
+ * Call before anything reads CONFIG or storage. Ignored in release builds.
+ * @returns {Promise<Object>} Current profile
+ */
+export const initializeEnvironment = async () => {
+  if (!canSwitchEnvironment()) {
+    return getEnvironment();
+  }
+
+  try {
+    const override = await AsyncStorage.getItem(ENVIRONMENT_OVERRIDE_KEY);
+    if (isEnvironment(override) && override !== CONFIG.environment.name) {
+      applyEnvironment(override);
+      console.log(`[Environment] Using ${override} (developer override)`);
+    }
+  } catch (error) {
+    console.error('Error loading environment override:', error);
+  }
+
+  return getEnvironment();
+};
+
+/**
+ * Switch to another environment (debug builds only)
+ * The choice is saved so it survives a reload. Refused while a trip is
+ * active, since the trip belongs to the current environment's backend.
+ * @param {string} name - Environment name
+ * @returns {Promise<Object>} Result {success, message}
+ */
+export const setEnvironment = async (name) => {
+  if (!canSwitchEnvironment()) {
+    return {
+      success: false,
+      message: 'Environments can only be switched in debug builds.',
+    };
+  }
+
+  if (!isEnvironment(name)) {
+    return { success: false, message: `Unknown environment: ${name}` };
+  }
+
+  try {
+    const tripData = await getTripData();
+    if (tripData && tripData.status === 'active') {
+      return {
+        success: false,
+        message: 'End the active trip before switching environments.',
+      };
+    }
+
+    if (name === BUILD_ENVIRONMENT) {
+      await AsyncStorage.removeItem(ENVIRONMENT_OVERRIDE_KEY);
+    } else {
+      await AsyncStorage.setItem(ENVIRONMENT_OVERRIDE_KEY, name);
+    }
+
+    applyEnvironment(name);
+    return { success: true };
+  } catch (error) {
+    console.error('Error switching environment:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to switch environment.',
+    };
+  }
+};
+
+export default {
+  canSwitchEnvironment,
+  getEnvironment,
+  getEnvironments,
+  initializeEnvironment,
+  setEnvironment,
+};
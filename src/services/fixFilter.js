@@ -0,0 +1,71 @@
+/**
+ * Fix Filter
+ * Quality checks applied to GPS fixes before they are added to a trip
+ */
+
+import { CONFIG } from '../constants/config';
+import { calculateDistanceMeters } from './haversine';
+
+// Rejection reasons (also the keys of the per-trip rejection counts)
+export const REJECTION_REASONS = {
+  ACCURACY: 'accuracy',
+  SPEED: 'speed',
+};
+
+/**
+ * Create empty rejection counts for a trip
+ * @returns {Object} Counts keyed by rejection reason
+ */
+export const createRejectionCounts = () => ({
+  [REJECTION_REASONS.ACCURACY]: 0,
+  [REJECTION_REASONS.SPEED]: 0,
+});
+
+/**
+ * Evaluate a GPS fix against the accuracy threshold and the previous
+ * accepted fix
+ * @param {Object} fix - Fix {latitude, longitude, accuracy, timestamp}
+ * @param {Object|null} previousFix - Last accepted fix of the trip
+ * @param {Object} options - Optional overrides
+ * @param {number} options.accuracyThreshold - Max accepted accuracy radius in meters
+ * @param {number} options.maxSpeed - Max plausible speed in meters per second
+ * @returns {{accepted: boolean, reason: string|null}} Evaluation result
+ */
+export const evaluateFix = (fix, previousFix, options = {}) => {
+  const {
+    accuracyThreshold = CONFIG.tracking.accuracyThreshold,
+    maxSpeed = CONFIG.tracking.maxSpeed,
+  } = options;
+
+  // Drop fixes whose accuracy radius is worse than the threshold
+  if (typeof fix.accuracy === 'number' && fix.accuracy > accuracyThreshold) {
+    return { accepted: false, reason: REJECTION_REASONS.ACCURACY };
+  }
+
+  if (!previousFix) {
+    return { accepted: true, reason: null };
+  }
+
+  const elapsedSeconds = (fix.timestamp - previousFix.timestamp) / 1000;
+  const distance = calculateDistanceMeters(previousFix, fix);
+
+  if (elapsedSeconds <= 0 || distance === null) {
+    return { accepted: true, reason: null };
+  }
+
+  // Allow for the uncertainty of both fixes before judging the implied speed
+  const uncertainty = (fix.accuracy || 0) + (previousFix.accuracy || 0);
+  const adjustedDistance = Math.max(distance - uncertainty, 0);
+
+  if (adjustedDistance / elapsedSeconds > maxSpeed) {
+    return { accepted: false, reason: REJECTION_REASONS.SPEED };
+  }
+
+  return { accepted: true, reason: null };
+};
+
+export default {
+  REJECTION_REASONS,
+  createRejectionCounts,
+  evaluateFix,
+};
@@ -5,10 +5,54 @@
  */
 
 import BackgroundFetch from 'react-native-background-fetch';
-import Geolocation from 'react-native-geolocation-service';
 import BackgroundService from 'react-native-background-actions';
 import { CONFIG } from '../constants/config';
-import { calculateTotalDistance } from './haversine';
+import {
+  calculateDistanceMeters,
+  calculateTotalDistanceMeters,
+  calculateTrackDistances,
+} from './haversine';
+import {
+  evaluateFix,
+  createRejectionCounts,
+  REJECTION_REASONS,
+} from './fixFilter';
+import {
+  getTripData,
+  updateTripData,
+  getTripLogId,
+  getTripCoordinates,
+} from './storage';
+import {
+  checkLocationPermission,
+  isLocationServicesEnabled,
+  PERMISSION_STATUS,
+} from './permissions';
+import {
+  getDuration,
+  getPausedDuration,
+  formatDuration,
+} from '../utils/dateFormatter';
+import { formatDistance } from '../utils/distanceFormatter';
+import { getDefaultLocationProvider } from './locationProviders';
+
+// Location sources feeding the merge stage
+export const LOCATION_SOURCES = {
+  WATCH: 'watch',
+  FETCH: 'fetch',
+  SERVICE: 'service',
+  HEADLESS: 'headless',
+};
+
+// GPS signal states shown in the tracking notification
+export const GPS_STATES = {
+  GOOD: 'good',
+  WEAK: 'weak',
+  LOST: 'lost',
+};
+
+// Number of emitted fixes kept for duplicate detection
+const RECENT_FIX_LIMIT = 10;
 
 /**
  * GPSService Class
@@ -21,8 +65,258 @@ class GPSService {
     this.locationCallback = null;
     this.foregroundServiceRunning = false;
     this.watchId = null;
+    this.isPaused = false;
+    this.lastAcceptedFix = null;
+    this.rejectedFixes = createRejectionCounts();
+    this.consecutiveSpeedRejections = 0;
+    this.pendingFixes = [];
+    this.recentFixes = [];
+    this.mergeTimer = null;
+    this.tripDistance = 0;
+    this.distanceAnchor = null;
+    this.lastFixReceived = null;
+    this.locationProvider = getDefaultLocationProvider();
   }
 
+  /**
+   * Replace the source of location fixes (see locationProviders.js)
+   * A running watch is moved over to the new provider.
+   * @param {Object} provider - Location provider
+   */
+  setLocationProvider = (provider) => {
+    const watching = this.watchId !== null;
+
+    if (watching) {
+      this.stopWatch();
+    }
+
+    this.locationProvider = provider;
+    console.log(`[GPS] Using ${provider.name} location provider`);
+
+    if (watching) {
+      this.startWatch();
+    }
+  };
+
+  /**
+   * Get the current location provider
+   * @returns {Object} Location provider
+   */
+  getLocationProvider = () => {
+    return this.locationProvider;
+  };
+
+  /**
+   * Merge stage - collect a fix from any location source
+   * Fixes are held briefly so the sources can be ordered by timestamp.
+   * @param {Object} location - Location data
+   * @param {string} source - One of LOCATION_SOURCES
+   */
+  ingestFix = (location, source) => {
+    // A fix requested just before the trip was paused is dropped
+    if (this.isPaused) {
+      return;
+    }
+
+    this.lastFixReceived = {
+      receivedAt: Date.now(),
+      accuracy: location.accuracy,
+    };
+    this.pendingFixes.push({ ...location, source });
+
+    if (!this.mergeTimer) {
+      this.mergeTimer = setTimeout(
+        this.flushPendingFixes,
+        CONFIG.tracking.mergeDelay
+      );
+    }
+  };
+
+  /**
+   * Emit held fixes in timestamp order, dropping duplicates
+   */
+  flushPendingFixes = () => {
+    if (this.mergeTimer) {
+      clearTimeout(this.mergeTimer);
+      this.mergeTimer = null;
+    }
+
+    const fixes = this.pendingFixes.sort((a, b) => a.timestamp - b.timestamp);
+    this.pendingFixes = [];
+
+    fixes.forEach(this.mergeFix);
+  };
+
+  /**
+   * Check if a fix duplicates one already accepted from another source
+   * @param {Object} fix - Location data
+   * @returns {boolean} True if within the duplicate time and distance window
+   */
+  isDuplicateFix = (fix) => {
+    const { duplicateTimeWindow, duplicateDistance } = CONFIG.tracking;
+
+    return this.recentFixes.some((recent) => {
+      if (Math.abs(recent.timestamp - fix.timestamp) > duplicateTimeWindow) {
+        return false;
+      }
+      const distance = calculateDistanceMeters(recent, fix);
+      return distance !== null && distance <= duplicateDistance;
+    });
+  };
+
+  /**
+   * Pass a merged fix on to filtering unless it is a duplicate or stale
+   * @param {Object} fix - Location data labelled with its source
+   * @returns {boolean} Whether the fix was accepted
+   */
+  mergeFix = (fix) => {
+    if (this.isDuplicateFix(fix)) {
+      return false;
+    }
+
+    // Keep the merged stream ordered - a fix older than the last one is stale
+    const lastFix = this.recentFixes[this.recentFixes.length - 1];
+    if (lastFix && fix.timestamp < lastFix.timestamp) {
+      console.log(`[GPS] Stale ${fix.source} fix dropped`);
+      return false;
+    }
+
+    if (!this.handleFix(fix)) {
+      return false;
+    }
+
+    // Only accepted fixes count, so a rejected fix cannot hide a good one
+    this.recentFixes = [...this.recentFixes, fix].slice(-RECENT_FIX_LIMIT);
+    return true;
+  };
+
+  /**
+   * Reset the merge stage
+   */
+  resetMerge = () => {
+    if (this.mergeTimer) {
+      clearTimeout(this.mergeTimer);
+      this.mergeTimer = null;
+    }
+    this.pendingFixes = [];
+    this.recentFixes = [];
+  };
+
+  /**
+   * Filter a fix and pass it to the location callback if accepted
+   * Rejection counts are persisted with the trip data for auditing.
+   * @param {Object} location - Location data
+   * @returns {boolean} Whether the fix was accepted
+   */
+  handleFix = (location) => {
+    const { accepted, reason } = evaluateFix(location, this.lastAcceptedFix);
+
+    // A run of speed rejections means the previous fix was the outlier
+    const reanchor =
+      reason === REJECTION_REASONS.SPEED &&
+      this.consecutiveSpeedRejections + 1 >=
+        CONFIG.tracking.maxConsecutiveSpeedRejections;
+
+    if (!accepted && !reanchor) {
+      this.rejectedFixes[reason] += 1;
+      if (reason === REJECTION_REASONS.SPEED) {
+        this.consecutiveSpeedRejections += 1;
+      }
+      console.log(`[GPS] Fix rejected (${reason}):`, location);
+      updateTripData({ rejected_fixes: { ...this.rejectedFixes } });
+      return false;
+    }
+
+    this.consecutiveSpeedRejections = 0;
+    this.lastAcceptedFix = location;
+
+    // Running distance for the notification, measured like the trip screen
+    if (this.distanceAnchor) {
+      const distance = calculateDistanceMeters(this.distanceAnchor, location);
+      if (distance !== null) {
+        this.tripDistance += distance;
+      }
+    }
+    this.distanceAnchor = location;
+
+    if (this.locationCallback) {
+      this.locationCallback(location);
+    }
+
+    this.updateNotification();
+    return true;
+  };
+
+  /**
+   * Get the GPS signal state from the most recent fix received
+   * @returns {string} One of GPS_STATES
+   */
+  getGpsState = () => {
+    const { weakAccuracy, lostTimeout } = CONFIG.tracking;
+
+    if (
+      !this.lastFixReceived ||
+      Date.now() - this.lastFixReceived.receivedAt > lostTimeout
+    ) {
+      return GPS_STATES.LOST;
+    }
+
+    if (
+      typeof this.lastFixReceived.accuracy === 'number' &&
+      this.lastFixReceived.accuracy > weakAccuracy
+    ) {
+      return GPS_STATES.WEAK;
+    }
+
+    return GPS_STATES.GOOD;
+  };
+
+  /**
+   * Update the foreground service notification with trip progress
+   * Shows distance, elapsed time (excluding pauses) and GPS state so the
+   * rider can check the trip without unlocking the phone.
+   */
+  updateNotification = async () => {
+    if (!this.foregroundServiceRunning || !BackgroundService.isRunning()) {
+      return;
+    }
+
+    try {
+      const tripData = await getTripData();
+      const now = new Date();
+      const elapsed = tripData?.start_time
+        ? Math.max(
+            getDuration(tripData.start_time, now) -
+              getPausedDuration(tripData.pauses, now),
+            0
+          )
+        : 0;
+
+      const progress = `${formatDistance(
+        this.tripDistance / 1000
+      )} • ${formatDuration(elapsed)}`;
+
+      await BackgroundService.updateNotification({
+        taskTitle: this.isPaused
+          ? 'Delivery Trip Paused'
+          : 'Delivery Trip Active',
+        taskDesc: this.isPaused
+          ? progress
+          : `${progress} • GPS ${this.getGpsState()}`,
+      });
+    } catch (error) {
+      console.error('Error updating tracking notification:', error);
+    }
+  };
+
+  /**
+   * Get rejected fix counts for the current trip
+   * @returns {Object} Counts keyed by rejection reason
+   */
+  getRejectedFixCounts = () => {
+    return { ...this.rejectedFixes };
+  };
+
   /**
    * Initialize GPS service with BackgroundFetch
    */
@@ -51,9 +345,11 @@ class GPSService {
         async (taskId) => {
           console.log('[BackgroundFetch] Task executing:', taskId);
           
-          // Get location when background fetch fires
+          // Get location when background fetch fires (none while paused)
           try {
-            await this.getBackgroundLocation();
+            if (!this.isPaused) {
+              await this.getBackgroundLocation(LOCATION_SOURCES.FETCH);
+            }
           } catch (error) {
             console.error('[BackgroundFetch] Location error:', error);
           }
@@ -77,11 +373,12 @@ class GPSService {
   };
 
   /**
-   * Get location in background (called by BackgroundFetch)
+   * Get location in background (called by BackgroundFetch and the foreground service)
+   * @param {string} source - One of LOCATION_SOURCES
    */
-  getBackgroundLocation = async () => {
+  getBackgroundLocation = async (source = LOCATION_SOURCES.FETCH) => {
     return new Promise((resolve) => {
-      Geolocation.getCurrentPosition(
+      this.locationProvider.getCurrentPosition(
         (position) => {
           console.log('[BackgroundFetch] Got location:', position.coords);
           
@@ -94,10 +391,8 @@ class GPSService {
             timestamp: position.timestamp,
           };
 
-          // Call the location callback
-          if (this.locationCallback) {
-            this.locationCallback(location);
-          }
+          // Merge with the other sources before filtering
+          this.ingestFix(location, source);
           
           resolve(location);
         },
@@ -125,12 +420,17 @@ class GPSService {
     await new Promise(async (resolve) => {
       while (BackgroundService.isRunning()) {
         try {
-          // Get location
-          const location = await this.getBackgroundLocation();
+          // Get location, unless the trip is paused
+          const location = this.isPaused
+            ? null
+            : await this.getBackgroundLocation(LOCATION_SOURCES.SERVICE);
           
           if (location) {
             console.log('[ForegroundService] Location updated');
           }
+
+          // Keep elapsed time and GPS state current even without a new fix
+          await this.updateNotification();
           
           // Wait before next update
           await new Promise(r => setTimeout(r, delay));
@@ -143,6 +443,52 @@ class GPSService {
     });
   };
 
+  /**
+   * Start the foreground location watch
+   */
+  startWatch = () => {
+    if (this.watchId !== null) {
+      return;
+    }
+
+    console.log('Starting foreground location watch...');
+    this.watchId = this.locationProvider.watchPosition(
+      (position) => {
+        const location = {
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          altitude: position.coords.altitude,
+          speed: position.coords.speed,
+          timestamp: position.timestamp,
+        };
+
+        this.ingestFix(location, LOCATION_SOURCES.WATCH);
+      },
+      (error) => {
+        console.error('Foreground location error:', error);
+      },
+      {
+        enableHighAccuracy: true,
+        distanceFilter: CONFIG.tracking.minDistance,
+        interval: CONFIG.tracking.interval,
+        fastestInterval: 30000,
+        forceRequestLocation: true,
+        showLocationDialog: true,
+      }
+    );
+  };
+
+  /**
+   * Stop the foreground location watch
+   */
+  stopWatch = () => {
+    if (this.watchId !== null) {
+      this.locationProvider.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+  };
+
   /**
    * Start GPS tracking (both foreground and background)
    */
@@ -159,39 +505,34 @@ class GPSService {
 
       this.locationCallback = onLocationUpdate;
 
+      // Continue the rejection counts of a resumed trip
+      const tripData = await getTripData();
+      this.rejectedFixes = {
+        ...createRejectionCounts(),
+        ...tripData?.rejected_fixes,
+      };
+      this.lastAcceptedFix = null;
+      this.consecutiveSpeedRejections = 0;
+      this.isPaused = false;
+      this.resetMerge();
+
+      // Continue the running distance of a resumed trip
+      const coordinates = tripData
+        ? await getTripCoordinates(getTripLogId(tripData))
+        : [];
+      this.tripDistance = calculateTotalDistanceMeters(
+        coordinates,
+        tripData?.pauses
+      );
+      this.distanceAnchor = coordinates[coordinates.length - 1] || null;
+      this.lastFixReceived = null;
+
       // Start BackgroundFetch for background updates
       console.log('Starting BackgroundFetch...');
       await BackgroundFetch.start();
       
       // Start foreground location watching
-      console.log('Starting foreground location watch...');
-      this.watchId = Geolocation.watchPosition(
-        (position) => {
-          const location = {
-            latitude: position.coords.latitude,
-            longitude: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-            altitude: position.coords.altitude,
-            speed: position.coords.speed,
-            timestamp: position.timestamp,
-          };
-
-          if (this.locationCallback) {
-            this.locationCallback(location);
-          }
-        },
-        (error) => {
-          console.error('Foreground location error:', error);
-        },
-        {
-          enableHighAccuracy: true,
-          distanceFilter: CONFIG.tracking.minDistance,
-          interval: CONFIG.tracking.interval,
-          fastestInterval: 30000,
-          forceRequestLocation: true,
-          showLocationDialog: true,
-        }
-      );
+      this.startWatch();
 
       // Start foreground service to keep app alive
       console.log('Starting foreground service...');
@@ -238,10 +579,7 @@ class GPSService {
       await BackgroundFetch.stop();
 
       // Stop foreground watching
-      if (this.watchId !== null) {
-        Geolocation.clearWatch(this.watchId);
-        this.watchId = null;
-      }
+      this.stopWatch();
 
       // Stop foreground service
       if (this.foregroundServiceRunning && BackgroundService.isRunning()) {
@@ -249,8 +587,13 @@ class GPSService {
         this.foregroundServiceRunning = false;
       }
 
+      // Deliver fixes still held by the merge stage, such as the final position
+      this.flushPendingFixes();
+      this.resetMerge();
+
       this.locationCallback = null;
       this.isTracking = false;
+      this.isPaused = false;
 
       console.log('GPS tracking stopped successfully');
       return true;
@@ -260,12 +603,61 @@ class GPSService {
     }
   };
 
+  /**
+   * Pause location collection without ending the trip
+   * The foreground service keeps running so the trip survives in the
+   * background, but it and BackgroundFetch request no fixes until resumed.
+   * @returns {boolean} Success status
+   */
+  pauseTracking = () => {
+    if (!this.isTracking) {
+      console.warn('GPS tracking not active');
+      return false;
+    }
+
+    if (this.isPaused) {
+      return true;
+    }
+
+    this.stopWatch();
+    this.resetMerge();
+    this.isPaused = true;
+    this.updateNotification();
+
+    console.log('GPS tracking paused');
+    return true;
+  };
+
+  /**
+   * Resume location collection after a pause
+   * @returns {boolean} Success status
+   */
+  resumeTracking = () => {
+    if (!this.isTracking) {
+      console.warn('GPS tracking not active');
+      return false;
+    }
+
+    if (!this.isPaused) {
+      return true;
+    }
+
+    // Movement while paused is not part of the trip
+    this.distanceAnchor = null;
+    this.isPaused = false;
+    this.startWatch();
+    this.updateNotification();
+
+    console.log('GPS tracking resumed');
+    return true;
+  };
+
   /**
    * Get current location (single point)
    */
   getCurrentLocation = () => {
     return new Promise((resolve, reject) => {
-      Geolocation.getCurrentPosition(
+      this.locationProvider.getCurrentPosition(
         (position) => {
           const location = {
             latitude: position.coords.latitude,
@@ -293,34 +685,65 @@ class GPSService {
 
   /**
    * Calculate total trip distance from coordinates array
+   * @param {Array} coordinates - Coordinates array
+   * @param {Array} pauses - Trip pause intervals, left out of the distance
+   * @returns {number} Full-precision distance in kilometers
    */
-  calculateTripDistance = (coordinates) => {
+  calculateTripDistance = (coordinates, pauses = []) => {
     try {
       if (!Array.isArray(coordinates) || coordinates.length < 2) {
         return 0;
       }
-      return calculateTotalDistance(coordinates);
+      return calculateTotalDistanceMeters(coordinates, pauses) / 1000;
     } catch (error) {
       console.error('Error calculating trip distance:', error);
       return 0;
     }
   };
 
+  /**
+   * Calculate trip distance on both the raw and the smoothed track
+   * @param {Array} coordinates - Coordinates array
+   * @param {Array} pauses - Trip pause intervals, left out of the distances
+   * @returns {{raw: number, smoothed: number}} Distances in kilometers
+   */
+  calculateTripDistances = (coordinates, pauses = []) => {
+    try {
+      if (!Array.isArray(coordinates) || coordinates.length < 2) {
+        return { raw: 0, smoothed: 0 };
+      }
+      return calculateTrackDistances(coordinates, { pauses });
+    } catch (error) {
+      console.error('Error calculating trip distances:', error);
+      return { raw: 0, smoothed: 0 };
+    }
+  };
+
   /**
    * Check location services status
+   * @returns {Promise<Object>} Status {isRunning, hasPermissions, permissionStatus, backgroundPermission, locationServicesEnabled}
    */
   checkLocationServices = async () => {
     try {
+      const permission = await checkLocationPermission();
+      const locationServicesEnabled = await isLocationServicesEnabled();
+
       return {
         isRunning: this.isTracking,
-        hasPermissions: true,
-        locationServicesEnabled: true,
+        hasPermissions:
+          permission.status === PERMISSION_STATUS.GRANTED ||
+          permission.status === PERMISSION_STATUS.WHEN_IN_USE,
+        permissionStatus: permission.status,
+        backgroundPermission: permission.background,
+        locationServicesEnabled,
       };
     } catch (error) {
       console.error('Error checking location services:', error);
       return {
         isRunning: false,
         hasPermissions: false,
+        permissionStatus: PERMISSION_STATUS.DENIED,
+        backgroundPermission: false,
         locationServicesEnabled: false,
       };
     }
@@ -332,6 +755,13 @@ class GPSService {
   getTrackingStatus = () => {
     return this.isTracking;
   };
+
+  /**
+   * Get paused status
+   */
+  getPausedStatus = () => {
+    return this.isPaused;
+  };
 }
 
 // Export singleton instance
@@ -6,6 +6,14 @@
 // Earth's radius in kilometers
 const EARTH_RADIUS_KM = 6371;
 
+// Meters per degree of latitude on the same sphere
+export const METERS_PER_DEGREE = (EARTH_RADIUS_KM * 1000 * Math.PI) / 180;
+
+// Kalman smoothing defaults
+const DEFAULT_ACCURACY_METERS = 10; // used when a point has no accuracy
+const DEFAULT_PROCESS_NOISE = 2; // acceleration std dev in m/s^2
+const INITIAL_VELOCITY_VARIANCE = 100; // (m/s)^2, i.e. unknown start speed
+
 /**
  * Convert degrees to radians
  * @param {number} degrees - Angle in degrees
@@ -16,12 +24,12 @@ const toRadians = (degrees) => {
 };
 
 /**
- * Calculate distance between two coordinates using Haversine formula
+ * Calculate full-precision distance between two coordinates using Haversine formula
  * @param {Object} coord1 - First coordinate {latitude, longitude}
  * @param {Object} coord2 - Second coordinate {latitude, longitude}
- * @returns {number|null} Distance in kilometers rounded to 2 decimal places, or null if invalid input
+ * @returns {number|null} Distance in meters (unrounded), or null if invalid input
  */
-export const calculateDistance = (coord1, coord2) => {
+export const calculateDistanceMeters = (coord1, coord2) => {
   // Handle null or undefined values
   if (!coord1 || !coord2) {
     return null;
@@ -61,15 +69,32 @@ export const calculateDistance = (coord1, coord2) => {
 
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 
-  // Calculate distance
-  const distance = EARTH_RADIUS_KM * c;
+  return EARTH_RADIUS_KM * 1000 * c;
+};
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * Kept for backward compatibility - the per-call rounding loses distance
+ * when summed over dense tracks, use calculateDistanceMeters instead.
+ * @param {Object} coord1 - First coordinate {latitude, longitude}
+ * @param {Object} coord2 - Second coordinate {latitude, longitude}
+ * @returns {number|null} Distance in kilometers rounded to 2 decimal places, or null if invalid input
+ */
+export const calculateDistance = (coord1, coord2) => {
+  const meters = calculateDistanceMeters(coord1, coord2);
+
+  if (meters === null) {
+    return null;
+  }
 
   // Return distance rounded to 2 decimal places
-  return Math.round(distance * 100) / 100;
+  return Math.round(meters / 10) / 100;
 };
 
 /**
  * Calculate total distance from an array of coordinates
+ * Kept for backward compatibility - each segment is rounded to 0.01 km
+ * before summing, use calculateTotalDistanceMeters for trip distances.
  * @param {Array} coordinates - Array of coordinate objects [{latitude, longitude}, ...]
  * @returns {number} Total distance in kilometers rounded to 2 decimal places
  */
@@ -95,6 +120,233 @@ export const calculateTotalDistance = (coordinates) => {
   return Math.round(totalDistance * 100) / 100;
 };
 
+/**
+ * Check if a trip was paused between two fixes
+ * Nothing is recorded while paused, so such a segment is not ridden distance.
+ * @param {Object} from - Earlier coordinate {timestamp}
+ * @param {Object} to - Later coordinate {timestamp}
+ * @param {Array} pauses - Pause intervals [{start, end}]
+ * @returns {boolean} True if a pause started between the two fixes
+ */
+const isPausedBetween = (from, to, pauses) => {
+  return pauses.some((pause) => {
+    const pauseStart = new Date(pause.start).getTime();
+    return pauseStart >= from.timestamp && pauseStart < to.timestamp;
+  });
+};
+
+/**
+ * Calculate full-precision total distance from an array of coordinates
+ * Segments are accumulated unrounded; round only when displaying.
+ * @param {Array} coordinates - Array of coordinate objects [{latitude, longitude}, ...]
+ * @param {Array} pauses - Optional pause intervals [{start, end}]; segments spanning a pause are skipped
+ * @returns {number} Total distance in meters
+ */
+export const calculateTotalDistanceMeters = (coordinates, pauses = []) => {
+  // Handle invalid input
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    return 0;
+  }
+
+  const pauseList = Array.isArray(pauses) ? pauses : [];
+  let totalMeters = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    if (isPausedBetween(coordinates[i], coordinates[i + 1], pauseList)) {
+      continue;
+    }
+
+    const meters = calculateDistanceMeters(coordinates[i], coordinates[i + 1]);
+
+    // Only add valid distances
+    if (meters !== null) {
+      totalMeters += meters;
+    }
+  }
+
+  return totalMeters;
+};
+
+/**
+ * Kalman Filter Smoothing
+ */
+
+/**
+ * Check if a coordinate has numeric latitude and longitude
+ * @param {Object} coord - Coordinate object
+ * @returns {boolean} True if usable for distance calculations
+ */
+const isValidCoordinate = (coord) => {
+  return (
+    !!coord &&
+    typeof coord.latitude === 'number' &&
+    typeof coord.longitude === 'number'
+  );
+};
+
+/**
+ * Create a constant-velocity filter for one axis of the local plane
+ * @param {number} position - Initial position in meters
+ * @param {number} variance - Initial position variance in square meters
+ * @returns {Object} Axis filter state {position, velocity, covariance}
+ */
+const createAxisFilter = (position, variance) => ({
+  position,
+  velocity: 0,
+  covariance: [
+    [variance, 0],
+    [0, INITIAL_VELOCITY_VARIANCE],
+  ],
+});
+
+/**
+ * Advance an axis filter by dt seconds
+ * @param {Object} filter - Axis filter state (mutated)
+ * @param {number} dt - Elapsed time in seconds
+ * @param {number} q - Acceleration variance in (m/s^2)^2
+ */
+const predictAxis = (filter, dt, q) => {
+  const [[p00, p01], [p10, p11]] = filter.covariance;
+
+  filter.position += filter.velocity * dt;
+  filter.covariance = [
+    [
+      p00 + dt * (p01 + p10) + dt * dt * p11 + (q * dt ** 4) / 4,
+      p01 + dt * p11 + (q * dt ** 3) / 2,
+    ],
+    [p10 + dt * p11 + (q * dt ** 3) / 2, p11 + q * dt * dt],
+  ];
+};
+
+/**
+ * Correct an axis filter with a position measurement
+ * @param {Object} filter - Axis filter state (mutated)
+ * @param {number} measurement - Measured position in meters
+ * @param {number} r - Measurement variance in square meters
+ */
+const updateAxis = (filter, measurement, r) => {
+  const [[p00, p01], [p10, p11]] = filter.covariance;
+  const innovation = measurement - filter.position;
+  const k0 = p00 / (p00 + r);
+  const k1 = p10 / (p00 + r);
+
+  filter.position += k0 * innovation;
+  filter.velocity += k1 * innovation;
+  filter.covariance = [
+    [(1 - k0) * p00, (1 - k0) * p01],
+    [p10 - k1 * p00, p11 - k1 * p01],
+  ];
+};
+
+/**
+ * Smooth a GPS track with a constant-velocity Kalman filter
+ * Each point's `accuracy` (meters) sets its measurement noise and its
+ * `timestamp` (milliseconds) the time step. Points without valid
+ * latitude/longitude are dropped.
+ * @param {Array} coordinates - Array of coordinate objects [{latitude, longitude, accuracy, timestamp}, ...]
+ * @param {Object} options - Optional settings
+ * @param {number} options.processNoise - Acceleration std dev in m/s^2 (default 2)
+ * @returns {Array} New array of coordinates with smoothed latitude/longitude
+ */
+export const smoothTrack = (coordinates, options = {}) => {
+  if (!Array.isArray(coordinates)) {
+    return [];
+  }
+
+  const points = coordinates.filter(isValidCoordinate);
+  if (points.length < 3) {
+    return points.map((point) => ({ ...point }));
+  }
+
+  const q = (options.processNoise ?? DEFAULT_PROCESS_NOISE) ** 2;
+
+  // Project onto a local plane (meters) around the first point
+  const origin = points[0];
+  const metersPerDegreeLon =
+    METERS_PER_DEGREE * Math.cos(toRadians(origin.latitude));
+
+  const toPlane = (point) => ({
+    x: (point.longitude - origin.longitude) * metersPerDegreeLon,
+    y: (point.latitude - origin.latitude) * METERS_PER_DEGREE,
+  });
+
+  const getVariance = (point) => {
+    const accuracy =
+      typeof point.accuracy === 'number' && point.accuracy > 0
+        ? point.accuracy
+        : DEFAULT_ACCURACY_METERS;
+    return accuracy * accuracy;
+  };
+
+  const start = toPlane(origin);
+  const filterX = createAxisFilter(start.x, getVariance(origin));
+  const filterY = createAxisFilter(start.y, getVariance(origin));
+  let lastTimestamp = origin.timestamp;
+
+  return points.map((point, index) => {
+    if (index > 0) {
+      const dt =
+        typeof point.timestamp === 'number' && typeof lastTimestamp === 'number'
+          ? Math.max((point.timestamp - lastTimestamp) / 1000, 0)
+          : 0;
+      const measured = toPlane(point);
+      const variance = getVariance(point);
+
+      predictAxis(filterX, dt, q);
+      predictAxis(filterY, dt, q);
+      updateAxis(filterX, measured.x, variance);
+      updateAxis(filterY, measured.y, variance);
+
+      lastTimestamp = point.timestamp ?? lastTimestamp;
+    }
+
+    return {
+      ...point,
+      latitude: origin.latitude + filterY.position / METERS_PER_DEGREE,
+      longitude: origin.longitude + filterX.position / metersPerDegreeLon,
+    };
+  });
+};
+
+/**
+ * Drop points that stay within their accuracy radius of the last kept point
+ * The filter lets a standing rider's track drift a little; without this the
+ * drift would still add up to distance.
+ * @param {Array} points - Smoothed coordinate objects
+ * @returns {Array} Points that moved away from the previous kept point
+ */
+const dropStationaryPoints = (points) => {
+  return points.reduce((kept, point) => {
+    const anchor = kept[kept.length - 1];
+    const radius =
+      typeof point.accuracy === 'number' && point.accuracy > 0
+        ? point.accuracy
+        : DEFAULT_ACCURACY_METERS;
+
+    if (!anchor || calculateDistanceMeters(anchor, point) > radius) {
+      kept.push(point);
+    }
+    return kept;
+  }, []);
+};
+
+/**
+ * Calculate trip distance on both the raw and the Kalman-smoothed track
+ * @param {Array} coordinates - Array of coordinate objects
+ * @param {Object} options - Smoothing options (see smoothTrack)
+ * @param {Array} options.pauses - Pause intervals to leave out of both distances
+ * @returns {{raw: number, smoothed: number}} Full-precision distances in kilometers
+ */
+export const calculateTrackDistances = (coordinates, options = {}) => {
+  const { pauses, ...smoothing } = options;
+  const smoothed = dropStationaryPoints(smoothTrack(coordinates, smoothing));
+
+  return {
+    raw: calculateTotalDistanceMeters(coordinates, pauses) / 1000,
+    smoothed: calculateTotalDistanceMeters(smoothed, pauses) / 1000,
+  };
+};
+
 /**
  * Convert kilometers to meters
  * @param {number} kilometers - Distance in kilometers
@@ -115,8 +367,13 @@ export const metersToKilometers = (meters) => {
 };
 
 export default {
+  METERS_PER_DEGREE,
+  calculateDistanceMeters,
+  calculateTotalDistanceMeters,
   calculateDistance,
   calculateTotalDistance,
+  smoothTrack,
+  calculateTrackDistances,
   kilometersToMeters,
   metersToKilometers,
 };
\ No newline at end of file
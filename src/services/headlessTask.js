@@ -0,0 +1,188 @@
+/**
+ * Headless Background Task
+ * Records the active trip from BackgroundFetch events after Android has
+ * terminated the app. Runs without any React component mounted, so all
+ * trip state is read from and written to storage.
+ */
+
+import BackgroundFetch from 'react-native-background-fetch';
+import Geolocation from 'react-native-geolocation-service';
+import { CONFIG } from '../constants/config';
+import { evaluateFix, createRejectionCounts } from './fixFilter';
+import { LOCATION_SOURCES } from './gpsService';
+import { getQueuedCount, syncPendingCoordinates } from './tripSync';
+import { processOutbox } from './outbox';
+import { initializeEnvironment } from './environment';
+import {
+  getTripData,
+  updateTripData,
+  getTripLogId,
+  appendCoordinates,
+  getCoordinateCount,
+  getCoordinateRange,
+} from './storage';
+
+// Android stops a headless task after about 30 seconds
+const TASK_TIME_LIMIT = 25000; // milliseconds
+
+/**
+ * Check if the trip's last pause is still open
+ * @param {Object} tripData - Stored trip data
+ * @returns {boolean} True if the trip is paused
+ */
+const isTripPaused = (tripData) => {
+  const pauses = tripData.pauses || [];
+  const lastPause = pauses[pauses.length - 1];
+  return Boolean(lastPause && !lastPause.end);
+};
+
+/**
+ * Get a single location fix
+ * @returns {Promise<Object|null>} Coordinate object or null on error
+ */
+const getHeadlessFix = () => {
+  return new Promise((resolve) => {
+    Geolocation.getCurrentPosition(
+      (position) => {
+        resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy || null,
+          altitude: position.coords.altitude || null,
+          speed: position.coords.speed || 0,
+          timestamp: Math.floor(position.timestamp || Date.now()),
+          source: LOCATION_SOURCES.HEADLESS,
+        });
+      },
+      (error) => {
+        console.error('[Headless] Location error:', error);
+        resolve(null);
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 0,
+        forceRequestLocation: true,
+      }
+    );
+  });
+};
+
+/**
+ * Record one fix for the active trip
+ * The fix is checked against the last logged coordinate with the same
+ * filter the foreground tracker uses before it is appended.
+ * @returns {Promise<boolean>} True if a coordinate was recorded
+ */
+export const recordHeadlessFix = async () => {
+  const tripData = await getTripData();
+
+  if (!tripData || tripData.status !== 'active') {
+    console.log('[Headless] No active trip');
+    return false;
+  }
+
+  if (isTripPaused(tripData)) {
+    console.log('[Headless] Trip is paused');
+    return false;
+  }
+
+  const fix = await getHeadlessFix();
+  if (!fix) {
+    return false;
+  }
+
+  const logId = getTripLogId(tripData);
+  const count = await getCoordinateCount(logId);
+  const [lastCoord] =
+    count > 0 ? await getCoordinateRange(logId, count - 1, count) : [];
+
+  // A fix at or before the last logged one adds nothing to the track
+  if (lastCoord && fix.timestamp <= lastCoord.timestamp) {
+    return false;
+  }
+
+  const { accepted, reason } = evaluateFix(fix, lastCoord || null);
+  if (!accepted) {
+    await updateTripData((trip) => {
+      const rejectedFixes = {
+        ...createRejectionCounts(),
+        ...trip.rejected_fixes,
+      };
+      rejectedFixes[reason] += 1;
+      return { rejected_fixes: rejectedFixes };
+    });
+    console.log(`[Headless] Fix rejected (${reason}):`, fix);
+    return false;
+  }
+
+  const appended = await appendCoordinates(logId, [fix]);
+  if (!appended) {
+    return false;
+  }
+
+  if (CONFIG.tracking.headlessSync) {
+    // Only the points not yet handed to the outbox are read back
+    const queuedCount = getQueuedCount(tripData);
+    const pending = await getCoordinateRange(logId, queuedCount);
+    await syncPendingCoordinates(pending, { offset: queuedCount });
+  }
+
+  return true;
+};
+
+/**
+ * Deliver queued uploads before the task finishes
+ * The OS may freeze the process as soon as the task finishes, so the outbox
+ * drain is awaited for whatever is left of the task's time.
+ * @param {number} timeLimit - Time left in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitForUploads = async (timeLimit) => {
+  if (timeLimit <= 0) {
+    return;
+  }
+
+  let timer = null;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeLimit);
+  });
+
+  try {
+    await Promise.race([processOutbox(), expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * BackgroundFetch headless task
+ * Registered in index.js with BackgroundFetch.registerHeadlessTask
+ * @param {Object} event - Headless event {taskId, timeout}
+ */
+const headlessTask = async (event) => {
+  const { taskId, timeout } = event;
+
+  // The OS is about to stop the task - finish immediately
+  if (timeout) {
+    console.log('[Headless] Task timeout:', taskId);
+    BackgroundFetch.finish(taskId);
+    return;
+  }
+
+  console.log('[Headless] Task executing:', taskId);
+  const startedAt = Date.now();
+
+  try {
+    // The headless JS context starts fresh, so the environment is applied here too
+    await initializeEnvironment();
+    await recordHeadlessFix();
+    await waitForUploads(TASK_TIME_LIMIT - (Date.now() - startedAt));
+  } catch (error) {
+    console.error('[Headless] Task error:', error);
+  }
+
+  BackgroundFetch.finish(taskId);
+};
+
+export default headlessTask;
@@ -0,0 +1,494 @@
+/**
+ * Location Providers
+ * Sources of location fixes for gpsService. Every provider has the same
+ * API as react-native-geolocation-service (watchPosition, clearWatch,
+ * getCurrentPosition), so the device GPS can be swapped for a recorded
+ * track or a generated route in development and in tests.
+ */
+
+import Geolocation from 'react-native-geolocation-service';
+import { CONFIG } from '../constants/config';
+import { METERS_PER_DEGREE } from './haversine';
+import sampleTrack from '../assets/tracks/sampleTrack.json';
+
+// Provider names accepted by createLocationProvider
+export const LOCATION_PROVIDERS = {
+  GEOLOCATION: 'geolocation',
+  REPLAY: 'replay',
+  SYNTHETIC: 'synthetic',
+};
+
+// Time between points of a track that has no timestamps
+const DEFAULT_FIX_INTERVAL = 1000; // milliseconds
+
+/**
+ * Device GPS provider
+ */
+export const geolocationProvider = {
+  name: LOCATION_PROVIDERS.GEOLOCATION,
+  watchPosition: (onPosition, onError, options) =>
+    Geolocation.watchPosition(onPosition, onError, options),
+  clearWatch: (watchId) => Geolocation.clearWatch(watchId),
+  getCurrentPosition: (onPosition, onError, options) =>
+    Geolocation.getCurrentPosition(onPosition, onError, options),
+};
+
+/**
+ * Track Parsing
+ */
+
+/**
+ * Read a number from text
+ * @param {*} value - Value to parse
+ * @returns {number|null} Number, or null if missing or invalid
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read a time value as milliseconds since epoch
+ * @param {*} value - ISO date string or milliseconds
+ * @returns {number|null} Milliseconds, or null if missing or invalid
+ */
+const toTime = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Give every point a time relative to the start of the track
+ * Tracks without a timestamp on every point are spaced evenly.
+ * @param {Array} points - Parsed points with an absolute `time` or null
+ * @param {number} interval - Spacing for tracks without timestamps
+ * @returns {Array} Points with `offset` in milliseconds from the first point
+ */
+const withOffsets = (points, interval = DEFAULT_FIX_INTERVAL) => {
+  const timed = points.every((point) => point.time !== null);
+  const startTime = timed && points.length > 0 ? points[0].time : 0;
+
+  return points.map(({ time, ...point }, index) => ({
+    ...point,
+    offset: timed ? Math.max(time - startTime, 0) : index * interval,
+  }));
+};
+
+/**
+ * Read the contents of a GPX element
+ * Matches the element with or without a namespace prefix.
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name
+ * @returns {string|null} Element text or null
+ */
+const readElement = (xml, tag) => {
+  const match = xml.match(
+    new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`)
+  );
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Read an attribute from an element's attribute string
+ * @param {string} attributes - Attribute string
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null
+ */
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}=["']([^"']*)["']`));
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse the track points of a GPX document
+ * Elevation, time and the accuracy/speed extensions written by the trip
+ * export are read when present.
+ * @param {string} gpx - GPX document
+ * @returns {Array} Track points {latitude, longitude, altitude, accuracy, speed, offset}
+ * @throws {Error} If the document has no track points
+ */
+export const parseGPX = (gpx) => {
+  const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  const points = [];
+  let match;
+
+  while ((match = pattern.exec(gpx)) !== null) {
+    const [, attributes, body = ''] = match;
+    const latitude = toNumber(readAttribute(attributes, 'lat'));
+    const longitude = toNumber(readAttribute(attributes, 'lon'));
+
+    if (latitude === null || longitude === null) {
+      continue;
+    }
+
+    points.push({
+      latitude,
+      longitude,
+      altitude: toNumber(readElement(body, 'ele')),
+      accuracy: toNumber(readElement(body, 'accuracy')),
+      speed: toNumber(readElement(body, 'speed')),
+      time: toTime(readElement(body, 'time')),
+    });
+  }
+
+  if (points.length === 0) {
+    throw new Error('GPX track has no track points');
+  }
+
+  return withOffsets(points);
+};
+
+/**
+ * Find the first LineString in a GeoJSON object
+ * @param {Object} geojson - GeoJSON object
+ * @returns {Object|null} Feature-like object {geometry, properties} or null
+ */
+const findLineString = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') {
+    return null;
+  }
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).map(findLineString).find(Boolean) || null;
+    case 'Feature':
+      return geojson.geometry?.type === 'LineString'
+        ? { geometry: geojson.geometry, properties: geojson.properties || {} }
+        : null;
+    case 'LineString':
+      return { geometry: geojson, properties: {} };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse the route of a GeoJSON LineString
+ * Per-point times, accuracy and speed are read from
+ * `properties.coordinateProperties` (as written by the trip export) or
+ * `properties.coordTimes`.
+ * @param {Object|string} geojson - GeoJSON object or text
+ * @returns {Array} Track points {latitude, longitude, altitude, accuracy, speed, offset}
+ * @throws {Error} If there is no LineString with coordinates
+ */
+export const parseGeoJSON = (geojson) => {
+  const data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const line = findLineString(data);
+  const positions = line?.geometry.coordinates || [];
+
+  if (positions.length === 0) {
+    throw new Error('GeoJSON has no LineString coordinates');
+  }
+
+  const pointProperties = line.properties.coordinateProperties || {};
+  const times = pointProperties.times || line.properties.coordTimes || [];
+  const accuracy = pointProperties.accuracy || [];
+  const speed = pointProperties.speed || [];
+
+  const points = positions.map(([longitude, latitude, altitude], index) => ({
+    latitude,
+    longitude,
+    altitude: toNumber(altitude),
+    accuracy: toNumber(accuracy[index]),
+    speed: toNumber(speed[index]),
+    time: toTime(times[index]),
+  }));
+
+  return withOffsets(points);
+};
+
+/**
+ * Parse a GPX or GeoJSON track
+ * @param {string|Object} track - GPX text, GeoJSON text or GeoJSON object
+ * @returns {Array} Track points
+ */
+export const parseTrack = (track) => {
+  if (typeof track === 'string' && track.trim().startsWith('<')) {
+    return parseGPX(track);
+  }
+  return parseGeoJSON(track);
+};
+
+/**
+ * Synthetic Routes
+ */
+
+/**
+ * Generate a route driven at constant speed
+ * The heading turns by `turnRate` each point, so the default route is a
+ * long gentle curve.
+ * @param {Object} options - Route options
+ * @param {Object} options.start - Start point {latitude, longitude}
+ * @param {number} options.pointCount - Number of points
+ * @param {number} options.interval - Time between points in milliseconds
+ * @param {number} options.speed - Speed in meters per second
+ * @param {number} options.heading - Initial heading in degrees from north
+ * @param {number} options.turnRate - Heading change per point in degrees
+ * @param {number} options.accuracy - Reported accuracy in meters
+ * @param {number} options.noise - Random position error in meters
+ * @returns {Array} Track points {latitude, longitude, altitude, accuracy, speed, offset}
+ */
+export const generateSyntheticTrack = ({
+  start = { latitude: 6.9271, longitude: 79.8612 },
+  pointCount = 300,
+  interval = DEFAULT_FIX_INTERVAL,
+  speed = 8,
+  heading = 0,
+  turnRate = 1,
+  accuracy = 5,
+  noise = 0,
+} = {}) => {
+  const step = (speed * interval) / 1000;
+  const points = [];
+  let { latitude, longitude } = start;
+  let bearing = heading;
+
+  for (let index = 0; index < pointCount; index++) {
+    const jitter = () => (Math.random() * 2 - 1) * noise;
+    const metersPerLonDegree =
+      METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180);
+
+    points.push({
+      latitude: latitude + jitter() / METERS_PER_DEGREE,
+      longitude: longitude + jitter() / metersPerLonDegree,
+      altitude: null,
+      accuracy,
+      speed,
+      offset: index * interval,
+    });
+
+    const radians = (bearing * Math.PI) / 180;
+    latitude += (step * Math.cos(radians)) / METERS_PER_DEGREE;
+    longitude += (step * Math.sin(radians)) / metersPerLonDegree;
+    bearing += turnRate;
+  }
+
+  return points;
+};
+
+/**
+ * Replay
+ */
+
+/**
+ * Create a provider that plays back a track
+ * Fixes are emitted at the track's own pace divided by `speed`. Their
+ * timestamps follow the track rather than the wall clock, so the fix filter
+ * sees real speeds even when the replay is accelerated. Stopping every watch
+ * pauses the replay; the next watch continues where it stopped.
+ * @param {Array} points - Track points from parseTrack or generateSyntheticTrack
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Playback speed multiplier (1 = real time)
+ * @param {boolean} options.loop - Start over after the last point
+ * @param {string} options.name - Provider name
+ * @returns {Object} Location provider with an extra reset() method
+ */
+export const createReplayProvider = (
+  points,
+  { speed = 1, loop = false, name = LOCATION_PROVIDERS.REPLAY } = {}
+) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('Replay track has no points');
+  }
+
+  const lastOffset = points[points.length - 1].offset;
+  const loopDuration = lastOffset + DEFAULT_FIX_INTERVAL;
+
+  const watchers = new Map();
+  let nextWatchId = 1;
+  let timer = null;
+  let index = 0;
+  let loopCount = 0;
+  let anchor = null; // Timestamp of the first point
+  let lastPosition = null;
+
+  /**
+   * Time of a point from the start of the replay, across loops
+   * @param {number} pointIndex - Point index
+   * @returns {number} Milliseconds
+   */
+  const trackTime = (pointIndex) =>
+    loopCount * loopDuration + points[pointIndex].offset;
+
+  /**
+   * Build a Geolocation position for a point
+   * @param {Object} point - Track point
+   * @param {number} timestamp - Fix timestamp
+   * @returns {Object} Position {coords, timestamp}
+   */
+  const toPosition = (point, timestamp) => ({
+    coords: {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      accuracy: point.accuracy ?? 5,
+      altitude: point.altitude,
+      speed: point.speed,
+      heading: null,
+    },
+    timestamp,
+  });
+
+  /**
+   * Schedule the next point
+   * @param {boolean} immediate - Emit without waiting (start or resume)
+   */
+  const scheduleNext = (immediate = false) => {
+    if (timer || watchers.size === 0) {
+      return;
+    }
+
+    const delay =
+      immediate || !lastPosition
+        ? 0
+        : Math.max(anchor + trackTime(index) - lastPosition.timestamp, 0) /
+          speed;
+
+    timer = setTimeout(emitNext, delay);
+  };
+
+  const emitNext = () => {
+    timer = null;
+
+    lastPosition = toPosition(points[index], anchor + trackTime(index));
+    watchers.forEach(({ onPosition }) => onPosition(lastPosition));
+
+    index += 1;
+    if (index >= points.length) {
+      if (!loop) {
+        return;
+      }
+      index = 0;
+      loopCount += 1;
+    }
+
+    scheduleNext();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    name,
+
+    watchPosition: (onPosition, onError) => {
+      const watchId = nextWatchId++;
+      const starting = watchers.size === 0;
+
+      if (starting && index < points.length) {
+        // Continue from now, but never behind a fix already emitted
+        anchor = Math.max(Date.now() - trackTime(index), anchor ?? -Infinity);
+      }
+
+      watchers.set(watchId, { onPosition, onError });
+      scheduleNext(starting);
+      return watchId;
+    },
+
+    clearWatch: (watchId) => {
+      watchers.delete(watchId);
+      if (watchers.size === 0) {
+        stop();
+      }
+    },
+
+    getCurrentPosition: (onPosition) => {
+      const position =
+        lastPosition || toPosition(points[0], anchor ?? Date.now());
+      setTimeout(() => onPosition(position), 0);
+    },
+
+    reset: () => {
+      stop();
+      index = 0;
+      loopCount = 0;
+      anchor = null;
+      lastPosition = null;
+      if (watchers.size > 0) {
+        anchor = Date.now();
+        scheduleNext(true);
+      }
+    },
+  };
+};
+
+/**
+ * Create a provider that drives a generated route
+ * @param {Object} options - Route options (see generateSyntheticTrack) plus
+ * replay options (speed as `playbackSpeed`, loop)
+ * @returns {Object} Location provider
+ */
+export const createSyntheticProvider = ({
+  playbackSpeed = 1,
+  loop = false,
+  ...routeOptions
+} = {}) => {
+  return createReplayProvider(generateSyntheticTrack(routeOptions), {
+    speed: playbackSpeed,
+    loop,
+    name: LOCATION_PROVIDERS.SYNTHETIC,
+  });
+};
+
+/**
+ * Create a provider by name
+ * The replay provider plays the bundled sample track.
+ * @param {string} name - One of LOCATION_PROVIDERS
+ * @returns {Object} Location provider
+ */
+export const createLocationProvider = (name) => {
+  const { devReplaySpeed } = CONFIG.tracking;
+
+  switch (name) {
+    case LOCATION_PROVIDERS.REPLAY:
+      return createReplayProvider(parseTrack(sampleTrack), {
+        speed: devReplaySpeed,
+        loop: true,
+      });
+    case LOCATION_PROVIDERS.SYNTHETIC:
+      return createSyntheticProvider({
+        playbackSpeed: devReplaySpeed,
+        loop: true,
+        noise: 3,
+      });
+    default:
+      return geolocationProvider;
+  }
+};
+
+/**
+ * Get the provider gpsService starts with
+ * Development builds can replace the device GPS through
+ * CONFIG.tracking.devLocationProvider; release builds always use it.
+ * @returns {Object} Location provider
+ */
+export const getDefaultLocationProvider = () => {
+  const { devLocationProvider } = CONFIG.tracking;
+
+  if (typeof __DEV__ !== 'undefined' && __DEV__ && devLocationProvider) {
+    return createLocationProvider(devLocationProvider);
+  }
+  return geolocationProvider;
+};
+
+export default {
+  LOCATION_PROVIDERS,
+  geolocationProvider,
+  parseGPX,
+  parseGeoJSON,
+  parseTrack,
+  generateSyntheticTrack,
+  createReplayProvider,
+  createSyntheticProvider,
+  createLocationProvider,
+  getDefaultLocationProvider,
+};
@@ -0,0 +1,381 @@
+/**
+ * Response Normalizers
+ * Convert API response bodies into the domain objects used by the app
+ * (Rider, Trip, TripSummary). The backend wraps payloads in different
+ * envelopes, so unwrapping happens here and screens never see raw bodies.
+ */
+
+/**
+ * @typedef {Object} Rider
+ * @property {string|number} id - Rider ID
+ * @property {string|null} name - Display name
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {Rider} rider - Logged in rider
+ * @property {string|null} token - Auth token
+ * @property {string|null} refreshToken - Refresh token, if the backend issues one
+ */
+
+/**
+ * @typedef {Object} Trip
+ * @property {string|number} id - Server trip ID
+ * @property {string|number|null} riderId - Rider ID
+ * @property {string|null} startTime - Start time (ISO format)
+ */
+
+/**
+ * @typedef {Object} TripSummary
+ * @property {string|number} id - Trip ID
+ * @property {string} date - Trip date (ISO format)
+ * @property {string|null} startTime - Start time (ISO format)
+ * @property {string|null} endTime - End time (ISO format)
+ * @property {number} distance - Distance in kilometers
+ * @property {number|null} movingTime - Trip time excluding pauses in seconds, if recorded
+ * @property {string} status - Trip status
+ * @property {Array} coordinates - Recorded GPS coordinates
+ * @property {string|number|null} riderId - Rider ID
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {string|number|null} tripId - Trip the coordinates were added to
+ * @property {number|null} received - Coordinates accepted from this batch
+ * @property {number|null} total - Coordinates the server now has for the trip
+ */
+
+/**
+ * @typedef {Object} TripPage
+ * @property {TripSummary[]} trips - Trips on this page
+ * @property {boolean} hasMore - Whether another page can be requested
+ * @property {number|null} nextPage - Page number to request next
+ * @property {string|null} nextCursor - Cursor to request next, for cursor-paginated responses
+ */
+
+/**
+ * Error thrown when a response body does not match the expected shape
+ */
+export class ResponseFormatError extends Error {
+  /**
+   * @param {string} message - What was wrong with the response
+   * @param {*} body - The response body that failed validation
+   */
+  constructor(message, body) {
+    super(`Unexpected server response: ${message}`);
+    this.name = 'ResponseFormatError';
+    this.body = body;
+  }
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+const isObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Check if a value can be used as an ID
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-empty strings and finite numbers
+ */
+const isId = (value) => {
+  return (
+    (typeof value === 'string' && value.trim() !== '') ||
+    (typeof value === 'number' && Number.isFinite(value))
+  );
+};
+
+/**
+ * Check if a value is a count
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-negative integers
+ */
+const isCount = (value) => {
+  return Number.isInteger(value) && value >= 0;
+};
+
+/**
+ * Check if a value is a parseable date string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid date
+ */
+const isDate = (value) => {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Unwrap a `{ data: {...} }` envelope
+ * @param {*} body - Response body
+ * @returns {Object} The payload object
+ * @throws {ResponseFormatError} If the body is not an object
+ */
+const unwrap = (body) => {
+  const payload = isObject(body) && isObject(body.data) ? body.data : body;
+
+  if (!isObject(payload)) {
+    throw new ResponseFormatError('expected an object', body);
+  }
+
+  return payload;
+};
+
+/**
+ * Read auth tokens from a login or refresh response
+ * Tokens are optional; callers decide what a missing token means.
+ * @param {*} body - Response body
+ * @returns {{token: string|null, refreshToken: string|null}} Tokens
+ */
+export const normalizeTokens = (body) => {
+  const payload = isObject(body) && isObject(body.data) ? body.data : body;
+  const token = isObject(payload) ? payload.token : null;
+  const refreshToken = isObject(payload) ? payload.refresh_token : null;
+
+  return {
+    token: typeof token === 'string' && token ? token : null,
+    refreshToken:
+      typeof refreshToken === 'string' && refreshToken ? refreshToken : null,
+  };
+};
+
+/**
+ * Normalize a rider object
+ * @param {*} data - Raw rider data
+ * @returns {Rider} Rider
+ * @throws {ResponseFormatError} If the rider ID is missing
+ */
+export const normalizeRider = (data) => {
+  const payload = unwrap(data);
+  const id = payload.rider_id ?? payload.id;
+
+  if (!isId(id)) {
+    throw new ResponseFormatError('rider ID is missing', data);
+  }
+
+  return {
+    id,
+    name:
+      typeof payload.name === 'string' && payload.name ? payload.name : null,
+  };
+};
+
+/**
+ * Normalize a login response
+ * @param {*} body - Response body of POST /auth/login
+ * @returns {Session} Session
+ * @throws {ResponseFormatError} If the rider is missing
+ */
+export const normalizeSession = (body) => {
+  return {
+    rider: normalizeRider(body),
+    ...normalizeTokens(body),
+  };
+};
+
+/**
+ * Normalize a trip start response
+ * @param {*} body - Response body of POST /trips/start
+ * @returns {Trip} Trip
+ * @throws {ResponseFormatError} If the trip ID is missing
+ */
+export const normalizeTrip = (body) => {
+  const payload = unwrap(body);
+  const id = payload.trip_id ?? payload.id;
+
+  if (!isId(id)) {
+    throw new ResponseFormatError('trip ID is missing', body);
+  }
+
+  return {
+    id,
+    riderId: isId(payload.rider_id) ? payload.rider_id : null,
+    startTime: isDate(payload.start_time) ? payload.start_time : null,
+  };
+};
+
+/**
+ * Normalize a trip history item
+ * @param {*} data - Raw trip data
+ * @returns {TripSummary} Trip summary
+ * @throws {ResponseFormatError} If the ID, date or distance is invalid
+ */
+export const normalizeTripSummary = (data) => {
+  if (!isObject(data)) {
+    throw new ResponseFormatError('trip is not an object', data);
+  }
+
+  const id = data.id ?? data.trip_id;
+  if (!isId(id)) {
+    throw new ResponseFormatError('trip ID is missing', data);
+  }
+
+  const date = [data.date, data.start_time, data.created_at].find(isDate);
+  if (!date) {
+    throw new ResponseFormatError(`trip ${id} has no valid date`, data);
+  }
+
+  const distance = parseFloat(data.total_distance ?? data.distance ?? 0);
+  if (!Number.isFinite(distance) || distance < 0) {
+    throw new ResponseFormatError(`trip ${id} has an invalid distance`, data);
+  }
+
+  return {
+    id,
+    date,
+    startTime: isDate(data.start_time) ? data.start_time : null,
+    endTime: isDate(data.end_time) ? data.end_time : null,
+    distance,
+    movingTime:
+      Number.isFinite(data.moving_time) && data.moving_time >= 0
+        ? data.moving_time
+        : null,
+    status:
+      typeof data.status === 'string' && data.status
+        ? data.status
+        : 'completed',
+    coordinates: Array.isArray(data.coordinates) ? data.coordinates : [],
+    riderId: isId(data.rider_id) ? data.rider_id : null,
+  };
+};
+
+/**
+ * Normalize a trip end response
+ * @param {*} body - Response body of POST /trips/end
+ * @returns {TripSummary} The ended trip
+ * @throws {ResponseFormatError} If the body holds no valid trip
+ */
+export const normalizeEndedTrip = (body) => {
+  return normalizeTripSummary(unwrap(body));
+};
+
+/**
+ * Normalize a coordinate sync response
+ * The counts are informational, so missing ones are reported as null.
+ * @param {*} body - Response body of POST /trips/sync-coordinates
+ * @returns {SyncResult} Sync result
+ * @throws {ResponseFormatError} If the body is not an object
+ */
+export const normalizeSyncResult = (body) => {
+  const payload = unwrap(body);
+
+  return {
+    tripId: isId(payload.trip_id) ? payload.trip_id : null,
+    received: isCount(payload.received) ? payload.received : null,
+    total: isCount(payload.total) ? payload.total : null,
+  };
+};
+
+/**
+ * Find the trip array in a history response
+ * Accepts a bare array, `{ trips }`, `{ data }` or `{ data: { trips } }`.
+ * @param {*} body - Response body
+ * @returns {Array|null} Trip array, or null if there is none
+ */
+const findTripArray = (body) => {
+  const candidates = [body, body?.trips, body?.data, body?.data?.trips];
+  return candidates.find(Array.isArray) || null;
+};
+
+/**
+ * Normalize the trips in a history response
+ * A malformed trip is skipped (and logged) so one bad record does not hide
+ * the rest of the history.
+ * @param {*} body - Response body of GET /trips/history/:riderId
+ * @returns {TripSummary[]} Trip summaries
+ * @throws {ResponseFormatError} If the body contains no trip list
+ */
+export const normalizeTripList = (body) => {
+  const tripArray = findTripArray(body);
+
+  if (!tripArray) {
+    throw new ResponseFormatError('trip history is not a list', body);
+  }
+
+  return tripArray.reduce((trips, item) => {
+    try {
+      trips.push(normalizeTripSummary(item));
+    } catch (error) {
+      console.warn('Skipping trip:', error.message);
+    }
+    return trips;
+  }, []);
+};
+
+/**
+ * Find pagination metadata in a history response
+ * Accepts `{ meta }`, `{ pagination }` or fields next to the trip list.
+ * @param {*} body - Response body
+ * @returns {Object} Metadata object (empty if there is none)
+ */
+const findPageMeta = (body) => {
+  if (!isObject(body)) {
+    return {};
+  }
+  if (isObject(body.meta)) {
+    return body.meta;
+  }
+  if (isObject(body.pagination)) {
+    return body.pagination;
+  }
+  return isObject(body.data) ? body.data : body;
+};
+
+/**
+ * Normalize a page of trip history
+ * Servers that ignore paging return everything at once; when the body has
+ * no paging metadata, a short page is taken to be the last one.
+ * @param {*} body - Response body of GET /trips/history/:riderId
+ * @param {Object} request - The page that was requested
+ * @param {number} request.page - Requested page number
+ * @param {number} request.perPage - Requested page size
+ * @returns {TripPage} Trip page
+ * @throws {ResponseFormatError} If the body contains no trip list
+ */
+export const normalizeTripPage = (body, { page = 1, perPage } = {}) => {
+  const trips = normalizeTripList(body);
+  const receivedCount = findTripArray(body).length;
+  const meta = findPageMeta(body);
+
+  const nextCursor =
+    typeof meta.next_cursor === 'string' && meta.next_cursor
+      ? meta.next_cursor
+      : null;
+  const currentPage = Number(meta.current_page);
+  const lastPage = Number(meta.last_page);
+
+  let hasMore;
+  if (typeof meta.has_more === 'boolean') {
+    hasMore = meta.has_more;
+  } else if (nextCursor) {
+    hasMore = true;
+  } else if (Number.isFinite(currentPage) && Number.isFinite(lastPage)) {
+    hasMore = currentPage < lastPage;
+  } else if ('next_page_url' in meta) {
+    hasMore = Boolean(meta.next_page_url);
+  } else {
+    hasMore = Boolean(perPage) && receivedCount >= perPage;
+  }
+
+  return {
+    trips,
+    hasMore,
+    nextPage: hasMore ? (currentPage || page) + 1 : null,
+    nextCursor: hasMore ? nextCursor : null,
+  };
+};
+
+export default {
+  ResponseFormatError,
+  normalizeTokens,
+  normalizeRider,
+  normalizeSession,
+  normalizeTrip,
+  normalizeTripSummary,
+  normalizeEndedTrip,
+  normalizeSyncResult,
+  normalizeTripList,
+  normalizeTripPage,
+};
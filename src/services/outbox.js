@@ -0,0 +1,586 @@
+/**
+ * Outbox Service
+ * Durable queue for trip API calls (start, coordinate sync, end) that
+ * must reach the server even when the device is offline
+ */
+
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import { startTrip, syncCoordinates, endTrip } from './api';
+import {
+  getOutbox,
+  saveOutbox,
+  getTripIdMap,
+  saveTripIdMap,
+  getTripData,
+  updateTripData,
+  getTripCoordinates,
+  clearCoordinateLog,
+} from './storage';
+import { ResponseFormatError } from './normalizers';
+import { CONFIG } from '../constants/config';
+
+// Queued API call types
+export const OUTBOX_ACTIONS = {
+  START_TRIP: 'startTrip',
+  SYNC_COORDINATES: 'syncCoordinates',
+  END_TRIP: 'endTrip',
+};
+
+// Prefix of trip IDs generated on the device before the server assigns one
+const PROVISIONAL_ID_PREFIX = 'local-';
+
+// Module state
+let mutationQueue = Promise.resolve();
+let activeProcess = null;
+let retryTimer = null;
+let appStateSubscription = null;
+let unsubscribeNetInfo = null;
+let isConnected = null;
+
+/**
+ * Provisional Trip IDs
+ */
+
+/**
+ * Create a provisional trip ID for a trip started offline
+ * @returns {string} Local trip ID
+ */
+export const createProvisionalTripId = () => {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${PROVISIONAL_ID_PREFIX}${Date.now()}-${random}`;
+};
+
+/**
+ * Check if a trip ID is a provisional local ID
+ * @param {string|number} tripId - Trip ID
+ * @returns {boolean} True if the ID was generated on the device
+ */
+export const isProvisionalTripId = (tripId) => {
+  return typeof tripId === 'string' && tripId.startsWith(PROVISIONAL_ID_PREFIX);
+};
+
+/**
+ * Resolve a provisional trip ID to its server ID if known
+ * @param {string|number} tripId - Trip ID (local or server)
+ * @returns {Promise<string|number>} Server trip ID, or the input if not yet mapped
+ */
+export const resolveTripId = async (tripId) => {
+  if (!isProvisionalTripId(tripId)) {
+    return tripId;
+  }
+  const idMap = await getTripIdMap();
+  return idMap[tripId] ?? tripId;
+};
+
+/**
+ * Check if a failed API call should be retried later
+ * @param {Object} error - Rejected error from the API service
+ * @returns {boolean} True for network, timeout, auth and server errors
+ */
+export const isRetryableError = (error) => {
+  const status = error?.status;
+
+  if (!status) {
+    return true;
+  }
+
+  return status >= 500 || status === 401 || status === 408 || status === 429;
+};
+
+/**
+ * Get retry delay for a given attempt using exponential backoff
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const { retryBaseDelay, retryMaxDelay } = CONFIG.outbox;
+  return Math.min(retryBaseDelay * 2 ** Math.max(attempts - 1, 0), retryMaxDelay);
+};
+
+/**
+ * Run an outbox read-modify-write step after any pending ones
+ * @param {Function} mutate - Receives the entries and returns the new entries
+ * @returns {Promise<Array>} Updated entries
+ */
+const mutateOutbox = (mutate) => {
+  const step = mutationQueue.then(async () => {
+    const entries = await getOutbox();
+    const updated = await mutate(entries);
+    await saveOutbox(updated);
+    return updated;
+  });
+
+  // Keep the chain alive even if a step fails
+  mutationQueue = step.catch(() => {});
+  return step;
+};
+
+/**
+ * Queue Management
+ */
+
+/**
+ * Add an API call to the outbox
+ * @param {string} action - One of OUTBOX_ACTIONS
+ * @param {Object} payload - Request payload
+ * @returns {Promise<Object|null>} Queued entry or null on failure
+ */
+export const enqueue = async (action, payload) => {
+  try {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      action,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: 0,
+      created_at: new Date().toISOString(),
+      last_error: null,
+    };
+
+    await mutateOutbox((entries) => [...entries, entry]);
+
+    return entry;
+  } catch (error) {
+    console.error('Error queueing outbox entry:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a single outbox entry
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object|null>} Entry, or null once it has been delivered
+ */
+export const getOutboxEntry = async (entryId) => {
+  const entries = await getOutbox();
+  return entries.find((entry) => entry.id === entryId) || null;
+};
+
+/**
+ * Get pending (not permanently failed) outbox entries
+ * @param {string} action - Optional action type filter
+ * @returns {Promise<Array>} Pending entries in queue order
+ */
+export const getPendingEntries = async (action) => {
+  const entries = await getOutbox();
+  return entries.filter(
+    (entry) =>
+      entry.status === 'pending' && (!action || entry.action === action)
+  );
+};
+
+/**
+ * Get trips completed on this device that have not reached the server
+ * Shaped like trip history entries so they can be listed alongside them.
+ * The route is read from the trip's coordinate log, which is kept until the
+ * upload goes through; the end call itself only carries the unsynced tail.
+ * @param {string|number} riderId - Rider ID
+ * @returns {Promise<Array>} Trip summaries with status 'pending', or 'failed'
+ * if the server rejected the upload, newest first
+ */
+export const getPendingTrips = async (riderId) => {
+  const entries = await getOutbox();
+  const riderEntries = entries.filter(
+    (entry) =>
+      entry.action === OUTBOX_ACTIONS.END_TRIP &&
+      String(entry.payload.rider_id) === String(riderId)
+  );
+
+  const trips = await Promise.all(
+    riderEntries.map(async ({ payload, status, last_error: lastError }) => {
+      const route = payload.log_id
+        ? await getTripCoordinates(payload.log_id)
+        : [];
+
+      return {
+        id: await resolveTripId(payload.trip_id),
+        date: payload.start_time,
+        startTime: payload.start_time,
+        endTime: payload.end_time,
+        distance: payload.total_distance || 0,
+        movingTime: payload.moving_time ?? null,
+        status: status === 'failed' ? 'failed' : 'pending',
+        error: lastError || null,
+        coordinates: route.length > 0 ? route : payload.coordinates || [],
+        riderId: payload.rider_id,
+      };
+    })
+  );
+
+  return trips.reverse();
+};
+
+/**
+ * Get why a trip's queued start was rejected
+ * @param {string} localId - Provisional trip ID
+ * @returns {Promise<string|null>} Rejection message, or null if not rejected
+ */
+const getStartFailure = async (localId) => {
+  const entries = await getOutbox();
+  const start = entries.find(
+    (item) =>
+      item.action === OUTBOX_ACTIONS.START_TRIP &&
+      item.status === 'failed' &&
+      item.payload.local_id === localId
+  );
+  return start ? start.last_error : null;
+};
+
+/**
+ * Move a trip's rejected coordinate batches into its end call
+ * END_TRIP only carries the points after synced_count, so without this the
+ * points of a permanently rejected batch would never reach the server. The
+ * folded batches are removed from the queue.
+ * @param {Object} endEntry - Queued END_TRIP entry
+ * @param {string|number} tripId - Resolved trip ID
+ * @returns {Promise<Object>} END_TRIP entry, with the rejected points added
+ */
+const foldRejectedBatches = async (endEntry, tripId) => {
+  const entries = await getOutbox();
+  const batchIds = new Set();
+
+  for (const item of entries) {
+    if (
+      item.action === OUTBOX_ACTIONS.SYNC_COORDINATES &&
+      item.status === 'failed' &&
+      (await resolveTripId(item.payload.trip_id)) === tripId
+    ) {
+      batchIds.add(item.id);
+    }
+  }
+
+  if (batchIds.size === 0) {
+    return endEntry;
+  }
+
+  let folded = endEntry;
+  await mutateOutbox((current) => {
+    const rejected = current
+      .filter((item) => batchIds.has(item.id))
+      .flatMap((item) => item.payload.coordinates || []);
+    const { payload } = endEntry;
+
+    folded = {
+      ...endEntry,
+      payload: {
+        ...payload,
+        coordinates: [...rejected, ...(payload.coordinates || [])].sort(
+          (a, b) => a.timestamp - b.timestamp
+        ),
+        synced_count: Math.max((payload.synced_count || 0) - rejected.length, 0),
+      },
+    };
+
+    return current
+      .filter((item) => !batchIds.has(item.id))
+      .map((item) => (item.id === endEntry.id ? folded : item));
+  });
+
+  console.warn(`[Outbox] Sending ${batchIds.size} rejected batch(es) with the trip end`);
+  return folded;
+};
+
+/**
+ * Replay
+ */
+
+/**
+ * Send a queued API call
+ * @param {Object} entry - Outbox entry
+ * @param {string|number} tripId - Resolved server trip ID
+ * @returns {Promise<Object>} API service response
+ */
+const sendEntry = (entry, tripId) => {
+  const { payload } = entry;
+
+  switch (entry.action) {
+    case OUTBOX_ACTIONS.START_TRIP:
+      return startTrip(payload.rider_id, payload.start_time);
+
+    case OUTBOX_ACTIONS.SYNC_COORDINATES:
+      return syncCoordinates(tripId, payload.coordinates);
+
+    case OUTBOX_ACTIONS.END_TRIP:
+      return endTrip({ ...payload, trip_id: tripId });
+
+    default:
+      return Promise.resolve({
+        success: false,
+        message: `Unknown outbox action: ${entry.action}`,
+        error: { status: 400 },
+      });
+  }
+};
+
+/**
+ * Apply side effects of a delivered entry
+ * @param {Object} entry - Delivered outbox entry
+ * @param {Object} response - API service response
+ * @param {string|number} tripId - Resolved server trip ID
+ */
+const handleDelivered = async (entry, response, tripId) => {
+  const activeTrip = await getTripData();
+
+  if (entry.action === OUTBOX_ACTIONS.START_TRIP) {
+    const serverTripId = response.data.id;
+    const localId = entry.payload.local_id;
+
+    // Remember the mapping so later entries and screens use the server ID
+    const idMap = await getTripIdMap();
+    await saveTripIdMap({ ...idMap, [localId]: serverTripId });
+
+    if (activeTrip?.trip_id === localId) {
+      await updateTripData((trip) =>
+        trip.trip_id === localId ? { trip_id: serverTripId } : {}
+      );
+    }
+    return;
+  }
+
+  if (entry.action === OUTBOX_ACTIONS.END_TRIP) {
+    // The server has the whole route now, so the local copy can go
+    if (entry.payload.log_id) {
+      await clearCoordinateLog(entry.payload.log_id);
+    }
+
+    // The trip is complete, so nothing queued needs its ID mapping any more
+    const idMap = await getTripIdMap();
+    const remaining = Object.fromEntries(
+      Object.entries(idMap).filter(([, serverTripId]) => serverTripId !== tripId)
+    );
+    if (Object.keys(remaining).length !== Object.keys(idMap).length) {
+      await saveTripIdMap(remaining);
+    }
+    return;
+  }
+
+  if (
+    entry.action === OUTBOX_ACTIONS.SYNC_COORDINATES &&
+    activeTrip &&
+    (await resolveTripId(activeTrip.trip_id)) === tripId
+  ) {
+    await updateTripData((trip) => ({
+      synced_count: Math.max(
+        trip.synced_count || 0,
+        entry.payload.synced_count || 0
+      ),
+    }));
+  }
+};
+
+/**
+ * Schedule the next replay attempt
+ * @param {number} delay - Delay in milliseconds
+ */
+const scheduleRetry = (delay) => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+  }
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processOutbox();
+  }, Math.max(delay, 0));
+};
+
+/**
+ * Deliver queued entries in order until one has to wait
+ * @param {boolean} force - Send entries that are still waiting out their backoff delay
+ * @returns {Promise<number>} Number of entries still pending
+ */
+const drainOutbox = async (force) => {
+  for (;;) {
+    const pending = await getPendingEntries();
+    const next = pending[0];
+
+    if (!next) {
+      return 0;
+    }
+
+    const now = Date.now();
+    if (!force && next.next_attempt_at > now) {
+      scheduleRetry(next.next_attempt_at - now);
+      return pending.length;
+    }
+
+    const tripId = await resolveTripId(next.payload.trip_id);
+    const entry =
+      next.action === OUTBOX_ACTIONS.END_TRIP
+        ? await foldRejectedBatches(next, tripId)
+        : next;
+
+    // A trip ID that is still provisional means its start never reached the server
+    if (entry.action !== OUTBOX_ACTIONS.START_TRIP && isProvisionalTripId(tripId)) {
+      const reason = await getStartFailure(tripId);
+      await mutateOutbox((entries) =>
+        entries.map((item) =>
+          item.id === entry.id
+            ? {
+                ...item,
+                status: 'failed',
+                last_error: reason
+                  ? `Trip was never started on the server (${reason})`
+                  : 'Trip was never started on the server',
+              }
+            : item
+        )
+      );
+      continue;
+    }
+
+    const response = await sendEntry(entry, tripId);
+
+    // The server took a sync or end call even when its reply cannot be read;
+    // only a start reply carries something the queue needs (the trip ID)
+    const unreadable =
+      entry.action !== OUTBOX_ACTIONS.START_TRIP &&
+      response.error instanceof ResponseFormatError;
+    if (unreadable) {
+      console.warn(
+        `[Outbox] ${entry.action} reply unreadable:`,
+        response.message
+      );
+    }
+
+    if (response.success || unreadable) {
+      await handleDelivered(entry, response, tripId);
+      await mutateOutbox((entries) =>
+        entries.filter((item) => item.id !== entry.id)
+      );
+      continue;
+    }
+
+    const attempts = entry.attempts + 1;
+
+    if (isRetryableError(response.error)) {
+      const delay = getRetryDelay(attempts);
+      console.warn(`[Outbox] ${entry.action} failed, retrying in ${delay}ms`);
+
+      await mutateOutbox((entries) =>
+        entries.map((item) =>
+          item.id === entry.id
+            ? {
+                ...item,
+                attempts,
+                next_attempt_at: Date.now() + delay,
+                last_error: response.message || null,
+              }
+            : item
+        )
+      );
+      scheduleRetry(delay);
+      return pending.length;
+    }
+
+    // Permanent failure - keep the entry for auditing but stop replaying it
+    console.error(`[Outbox] ${entry.action} rejected:`, response.message);
+    await mutateOutbox((entries) =>
+      entries.map((item) =>
+        item.id === entry.id
+          ? {
+              ...item,
+              attempts,
+              status: 'failed',
+              last_error: response.message || null,
+            }
+          : item
+      )
+    );
+  }
+};
+
+/**
+ * Replay queued entries now
+ * Concurrent calls share the run in progress unless it may stop on a backoff
+ * delay this call ignores; a forced call then runs again once it finishes.
+ * @param {Object} options - Replay options
+ * @param {boolean} options.force - Retry immediately instead of waiting for the backoff
+ * @returns {Promise<number>} Number of entries still pending
+ */
+export const processOutbox = async ({ force = false } = {}) => {
+  try {
+    if (activeProcess && (activeProcess.force || !force)) {
+      return await activeProcess.run;
+    }
+
+    const previous = activeProcess
+      ? activeProcess.run.catch(() => {})
+      : Promise.resolve();
+    const replay = { force };
+    replay.run = previous
+      .then(() => drainOutbox(force))
+      .finally(() => {
+        if (activeProcess === replay) {
+          activeProcess = null;
+        }
+      });
+    activeProcess = replay;
+
+    return await replay.run;
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+    scheduleRetry(CONFIG.outbox.retryBaseDelay);
+    return -1;
+  }
+};
+
+/**
+ * Start replaying the outbox on launch, whenever the app returns to the
+ * foreground and whenever the device comes back online
+ */
+export const startOutbox = () => {
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        processOutbox({ force: true });
+      }
+    });
+  }
+
+  if (!unsubscribeNetInfo) {
+    unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const connected = state.isConnected !== false;
+      if (connected && isConnected === false) {
+        processOutbox({ force: true });
+      }
+      isConnected = connected;
+    });
+  }
+
+  processOutbox();
+};
+
+/**
+ * Stop background replay (pending entries stay persisted)
+ */
+export const stopOutbox = () => {
+  if (appStateSubscription) {
+    appStateSubscription.remove();
+    appStateSubscription = null;
+  }
+  if (unsubscribeNetInfo) {
+    unsubscribeNetInfo();
+    unsubscribeNetInfo = null;
+    isConnected = null;
+  }
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+};
+
+export default {
+  OUTBOX_ACTIONS,
+  createProvisionalTripId,
+  isProvisionalTripId,
+  resolveTripId,
+  isRetryableError,
+  enqueue,
+  getOutboxEntry,
+  getPendingEntries,
+  getPendingTrips,
+  processOutbox,
+  startOutbox,
+  stopOutbox,
+};
@@ -0,0 +1,326 @@
+/**
+ * Permissions Service
+ * Location permission and device location checks shared by the app
+ */
+
+import { Platform, PermissionsAndroid, Alert, Linking } from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+import { check, request, PERMISSIONS, RESULTS } from 'react-native-permissions';
+import {
+  getLocationPermissionState,
+  saveLocationPermissionState,
+} from './storage';
+
+// Overall location permission status
+export const PERMISSION_STATUS = {
+  GRANTED: 'granted', // Precise location, including in the background
+  WHEN_IN_USE: 'whenInUse', // Only while the app is open
+  DENIED: 'denied', // Not granted, can be asked again
+  BLOCKED: 'blocked', // Not granted, can only be changed in Settings
+};
+
+// Android 10 (API 29) added a separate background location permission
+const BACKGROUND_PERMISSION_API_LEVEL = 29;
+
+// Geolocation error codes that mean device location is switched off
+const POSITION_UNAVAILABLE = 2;
+const SETTINGS_NOT_SATISFIED = 5;
+
+/**
+ * Check if the platform asks for background location separately
+ * @returns {boolean} True on Android 10 and above
+ */
+const hasBackgroundPermission = () => {
+  return (
+    Platform.OS === 'android' &&
+    Platform.Version >= BACKGROUND_PERMISSION_API_LEVEL
+  );
+};
+
+/**
+ * Combine individual permission results into a status
+ * @param {Object} state - Permission flags {fine, coarse, background, blocked}
+ * @returns {string} One of PERMISSION_STATUS
+ */
+const toStatus = ({ fine, coarse, background, blocked }) => {
+  if (fine || coarse) {
+    return background
+      ? PERMISSION_STATUS.GRANTED
+      : PERMISSION_STATUS.WHEN_IN_USE;
+  }
+  return blocked ? PERMISSION_STATUS.BLOCKED : PERMISSION_STATUS.DENIED;
+};
+
+/**
+ * Read the iOS location authorization without prompting
+ * iOS only prompts once, so a denial can only be undone in Settings. A
+ * restricted device (parental controls) reports 'unavailable' and is treated
+ * the same way.
+ * @returns {Promise<Object>} Permission state {status, fine, coarse, background}
+ */
+const checkIOSPermission = async () => {
+  const whenInUse = await check(PERMISSIONS.IOS.LOCATION_WHEN_IN_USE);
+  const always = await check(PERMISSIONS.IOS.LOCATION_ALWAYS);
+
+  const granted = whenInUse === RESULTS.GRANTED || always === RESULTS.GRANTED;
+  const state = {
+    fine: granted,
+    coarse: granted,
+    background: always === RESULTS.GRANTED,
+    blocked:
+      !granted &&
+      (whenInUse === RESULTS.BLOCKED || whenInUse === RESULTS.UNAVAILABLE),
+  };
+  return { ...state, status: toStatus(state) };
+};
+
+/**
+ * Check the current location permission state without prompting
+ * Android cannot tell a blocked permission from one that was never asked
+ * for, so the "never ask again" answer of the last request is remembered.
+ * @returns {Promise<Object>} Permission state {status, fine, coarse, background}
+ */
+export const checkLocationPermission = async () => {
+  try {
+    if (Platform.OS === 'ios') {
+      return await checkIOSPermission();
+    }
+
+    const previous = await getLocationPermissionState();
+
+    const fine = await PermissionsAndroid.check(
+      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION
+    );
+    const coarse = await PermissionsAndroid.check(
+      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION
+    );
+    const background = hasBackgroundPermission()
+      ? await PermissionsAndroid.check(
+          PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION
+        )
+      : fine || coarse;
+
+    // Granting in Settings lifts the block, and revoking there allows asking again
+    if (previous.blocked && (fine || coarse)) {
+      await saveLocationPermissionState({ ...previous, blocked: false });
+    }
+
+    const state = {
+      fine,
+      coarse,
+      background,
+      blocked: previous.blocked && !fine && !coarse,
+    };
+    return { ...state, status: toStatus(state) };
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return {
+      status: PERMISSION_STATUS.DENIED,
+      fine: false,
+      coarse: false,
+      background: false,
+    };
+  }
+};
+
+/**
+ * Check if a location error means device location is switched off
+ * iOS reports every failed fix as unavailable, and only names the switch in
+ * the message when location is off.
+ * @param {Object} error - Geolocation error {code, message}
+ * @returns {boolean} True if location services are off
+ */
+const isServicesOffError = (error) => {
+  if (Platform.OS === 'ios') {
+    return (
+      error.code === POSITION_UNAVAILABLE &&
+      /turned off/i.test(error.message || '')
+    );
+  }
+  return (
+    error.code === POSITION_UNAVAILABLE || error.code === SETTINGS_NOT_SATISFIED
+  );
+};
+
+/**
+ * Check if device location is switched on
+ * There is no status query for this that cannot prompt, so a cached fix is
+ * requested without showing the system dialog and the error tells whether
+ * location is off.
+ * @returns {Promise<boolean>} True if location services are enabled
+ */
+export const isLocationServicesEnabled = async () => {
+  return new Promise((resolve) => {
+    Geolocation.getCurrentPosition(
+      () => resolve(true),
+      (error) => resolve(!isServicesOffError(error)),
+      {
+        enableHighAccuracy: false,
+        timeout: 5000,
+        maximumAge: 600000,
+        showLocationDialog: false,
+      }
+    );
+  });
+};
+
+/**
+ * Explain why background location is needed before asking for it
+ * @returns {Promise<boolean>} True if the rider chose to continue
+ */
+const explainBackgroundLocation = () => {
+  return new Promise((resolve) => {
+    Alert.alert(
+      'Allow All the Time',
+      'Express Rider records your route while the screen is off or another app is open. On the next screen, choose "Allow all the time" so your trips are not cut short.',
+      [
+        {
+          text: 'Not Now',
+          style: 'cancel',
+          onPress: () => resolve(false),
+        },
+        {
+          text: 'Continue',
+          onPress: () => resolve(true),
+        },
+      ],
+      { cancelable: false }
+    );
+  });
+};
+
+/**
+ * Request location permissions
+ * Foreground location is requested first. On Android 10+ the rider is then
+ * told why "Allow all the time" is needed before background location is
+ * requested.
+ * @param {Object} options - Request options
+ * @param {boolean} options.background - Also request background location
+ * @returns {Promise<Object>} Permission state {status, fine, coarse, background}
+ */
+export const requestLocationPermission = async ({ background = true } = {}) => {
+  try {
+    if (Platform.OS === 'ios') {
+      await request(
+        background
+          ? PERMISSIONS.IOS.LOCATION_ALWAYS
+          : PERMISSIONS.IOS.LOCATION_WHEN_IN_USE
+      );
+      return await checkIOSPermission();
+    }
+
+    const granted = await PermissionsAndroid.requestMultiple([
+      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
+    ]);
+
+    const fineResult =
+      granted[PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION];
+    const coarseResult =
+      granted[PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION];
+
+    const state = {
+      fine: fineResult === PermissionsAndroid.RESULTS.GRANTED,
+      coarse: coarseResult === PermissionsAndroid.RESULTS.GRANTED,
+      background: false,
+      blocked:
+        fineResult === PermissionsAndroid.RESULTS.NEVER_ASK_AGAIN &&
+        coarseResult === PermissionsAndroid.RESULTS.NEVER_ASK_AGAIN,
+    };
+
+    // Checks cannot see "never ask again", so it is kept for checkLocationPermission
+    await saveLocationPermissionState({
+      requested: true,
+      blocked: state.blocked,
+    });
+
+    if (!state.fine && !state.coarse) {
+      return { ...state, status: toStatus(state) };
+    }
+
+    if (!hasBackgroundPermission()) {
+      state.background = true;
+      return { ...state, status: toStatus(state) };
+    }
+
+    state.background = await PermissionsAndroid.check(
+      PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION
+    );
+
+    if (
+      !state.background &&
+      background &&
+      (await explainBackgroundLocation())
+    ) {
+      const bgResult = await PermissionsAndroid.request(
+        PermissionsAndroid.PERMISSIONS.ACCESS_BACKGROUND_LOCATION
+      );
+      state.background = bgResult === PermissionsAndroid.RESULTS.GRANTED;
+    }
+
+    return { ...state, status: toStatus(state) };
+  } catch (error) {
+    console.error('Permission request error:', error);
+    return {
+      status: PERMISSION_STATUS.DENIED,
+      fine: false,
+      coarse: false,
+      background: false,
+    };
+  }
+};
+
+/**
+ * Open the app's settings page
+ */
+export const openAppSettings = () => {
+  Linking.openSettings().catch((error) => {
+    console.error('Error opening settings:', error);
+  });
+};
+
+/**
+ * Open the device location settings
+ */
+export const openLocationSettings = () => {
+  const opening =
+    Platform.OS === 'android'
+      ? Linking.sendIntent('android.settings.LOCATION_SOURCE_SETTINGS')
+      : Linking.openSettings();
+
+  opening.catch((error) => {
+    console.error('Error opening location settings:', error);
+  });
+};
+
+/**
+ * Check if the device is ready to record a trip
+ * Background location is reported but does not block a trip - the trip
+ * is recorded while the app is open.
+ * @returns {Promise<Object>} Readiness {ready, status, servicesEnabled, backgroundAllowed}
+ */
+export const checkTripReadiness = async () => {
+  const permission = await checkLocationPermission();
+  const servicesEnabled = await isLocationServicesEnabled();
+
+  const hasLocation =
+    permission.status === PERMISSION_STATUS.GRANTED ||
+    permission.status === PERMISSION_STATUS.WHEN_IN_USE;
+
+  return {
+    ready: hasLocation && servicesEnabled,
+    status: permission.status,
+    servicesEnabled,
+    backgroundAllowed: permission.background,
+  };
+};
+
+export default {
+  PERMISSION_STATUS,
+  checkLocationPermission,
+  isLocationServicesEnabled,
+  requestLocationPermission,
+  openAppSettings,
+  openLocationSettings,
+  checkTripReadiness,
+};
@@ -0,0 +1,171 @@
+/**
+ * Secure Storage Service
+ * Storage for secrets (auth and refresh tokens) with a pluggable backend.
+ * The default backend keeps values in the iOS Keychain / Android Keystore,
+ * so they are encrypted at rest with a key that never touches AsyncStorage.
+ * AsyncStorage is only used as a fallback when the secure backend fails.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+
+// Username stored with each keychain entry (the entry is keyed by service)
+const KEYCHAIN_USERNAME = 'express_rider';
+
+/**
+ * Keychain Backend
+ * Each secret is its own keychain service named after the storage key.
+ * Readable after the first unlock so background uploads work while locked.
+ */
+export const keychainBackend = {
+  name: 'keychain',
+
+  setItem: async (key, value) => {
+    const result = await Keychain.setGenericPassword(KEYCHAIN_USERNAME, value, {
+      service: key,
+      accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    });
+    if (!result) {
+      throw new Error(`Keychain rejected ${key}`);
+    }
+  },
+
+  getItem: async (key) => {
+    const credentials = await Keychain.getGenericPassword({ service: key });
+    return credentials ? credentials.password : null;
+  },
+
+  removeItem: async (key) => {
+    await Keychain.resetGenericPassword({ service: key });
+  },
+};
+
+// Backend currently used for secrets
+let secureBackend = keychainBackend;
+
+/**
+ * Replace the secure storage backend
+ * A backend implements async setItem(key, value), getItem(key) and
+ * removeItem(key).
+ * @param {Object} backend - Storage backend
+ */
+export const setSecureStorageBackend = (backend) => {
+  secureBackend = backend;
+};
+
+/**
+ * Get the secure storage backend in use
+ * @returns {Object} Storage backend
+ */
+export const getSecureStorageBackend = () => {
+  return secureBackend;
+};
+
+/**
+ * Save a secret
+ * Falls back to AsyncStorage if the secure backend fails, so the rider is
+ * not logged out on devices without working secure storage.
+ * @param {string} key - Storage key
+ * @param {string} value - Secret value
+ * @returns {Promise<boolean>} Success status
+ */
+export const setSecureItem = async (key, value) => {
+  let stored = false;
+
+  try {
+    await secureBackend.setItem(key, value);
+    stored = true;
+  } catch (error) {
+    console.warn(
+      `Secure storage unavailable for ${key}, using fallback:`,
+      error
+    );
+  }
+
+  if (stored) {
+    // Drop any plain-text copy once the secret is stored securely
+    await AsyncStorage.removeItem(key).catch((error) => {
+      console.error(`Error removing plain-text ${key}:`, error);
+    });
+    return true;
+  }
+
+  try {
+    await AsyncStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Read a secret
+ * A plain-text value left in AsyncStorage (by older app versions or the
+ * fallback) is moved into the secure backend when it is read.
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} Secret value or null
+ */
+export const getSecureItem = async (key) => {
+  let secureAvailable = true;
+
+  try {
+    const value = await secureBackend.getItem(key);
+    if (value) {
+      return value;
+    }
+  } catch (error) {
+    secureAvailable = false;
+    console.warn(
+      `Secure storage unavailable for ${key}, using fallback:`,
+      error
+    );
+  }
+
+  try {
+    const plainValue = await AsyncStorage.getItem(key);
+
+    if (plainValue && secureAvailable) {
+      await setSecureItem(key, plainValue);
+    }
+
+    return plainValue;
+  } catch (error) {
+    console.error(`Error retrieving ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Remove a secret from the secure backend and the fallback
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} Success status
+ */
+export const removeSecureItem = async (key) => {
+  let removed = true;
+
+  try {
+    await secureBackend.removeItem(key);
+  } catch (error) {
+    console.warn(`Error removing ${key} from secure storage:`, error);
+    removed = false;
+  }
+
+  try {
+    await AsyncStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Error removing ${key}:`, error);
+    removed = false;
+  }
+
+  return removed;
+};
+
+export default {
+  keychainBackend,
+  setSecureStorageBackend,
+  getSecureStorageBackend,
+  setSecureItem,
+  getSecureItem,
+  removeSecureItem,
+};
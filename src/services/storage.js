@@ -4,22 +4,56 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  setSecureItem,
+  getSecureItem,
+  removeSecureItem,
+} from './secureStorage';
+import { CONFIG } from '../constants/config';
 
-// Storage Keys
+// Storage Keys, stored under the current environment's namespace (see storageKey)
 const STORAGE_KEYS = {
-  AUTH_TOKEN: '@express_rider:auth_token',
-  RIDER_ID: '@express_rider:rider_id',
-  RIDER_NAME: '@express_rider:rider_name',
-  TRIP_DATA: '@express_rider:trip_data',
-  COORDINATES: '@express_rider:coordinates',
+  AUTH_TOKEN: 'auth_token',
+  REFRESH_TOKEN: 'refresh_token',
+  RIDER_ID: 'rider_id',
+  RIDER_NAME: 'rider_name',
+  TRIP_DATA: 'trip_data',
+  COORDINATES: 'coordinates',
+  OUTBOX: 'outbox',
+  TRIP_ID_MAP: 'trip_id_map',
+  TRIP_HISTORY: 'trip_history',
+  LOCATION_PERMISSION: 'location_permission',
 };
 
+/**
+ * Get the full storage key for the current environment
+ * Resolved on every call so switching environments takes effect right away.
+ * @param {string} name - One of STORAGE_KEYS
+ * @returns {string} Namespaced key, e.g. '@express_rider:auth_token'
+ */
+const storageKey = (name) => `${CONFIG.storage.namespace}:${name}`;
+
+// Chunked coordinate log settings
+const getCoordinateLogPrefix = () => `${storageKey(STORAGE_KEYS.COORDINATES)}:`;
+const COORDINATE_CHUNK_SIZE = 100; // points per compacted chunk
+const COORDINATE_COMPACT_THRESHOLD = 20; // small chunks before auto-compaction
+
+// Trip history cache, one entry per rider
+const getTripHistoryPrefix = () => `${storageKey(STORAGE_KEYS.TRIP_HISTORY)}:`;
+
+// Serializes read-modify-write access to coordinate log indexes
+let coordinateLogQueue = Promise.resolve();
+
+// Serializes writes to the active trip data
+let tripDataQueue = Promise.resolve();
+
 /**
  * Authentication Token Management
  */
 
 /**
  * Save authentication token
+ * Tokens are kept in secure storage (see secureStorage.js).
  * @param {string} token - JWT or authentication token
  * @returns {Promise<boolean>} Success status
  */
@@ -29,8 +63,7 @@ export const saveAuthToken = async (token) => {
       console.warn('No token provided to saveAuthToken');
       return false;
     }
-    await AsyncStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
-    return true;
+    return await setSecureItem(storageKey(STORAGE_KEYS.AUTH_TOKEN), token);
   } catch (error) {
     console.error('Error saving auth token:', error);
     return false;
@@ -43,7 +76,7 @@ export const saveAuthToken = async (token) => {
  */
 export const getAuthToken = async () => {
   try {
-    const token = await AsyncStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+    const token = await getSecureItem(storageKey(STORAGE_KEYS.AUTH_TOKEN));
     return token;
   } catch (error) {
     console.error('Error retrieving auth token:', error);
@@ -57,14 +90,58 @@ export const getAuthToken = async () => {
  */
 export const removeAuthToken = async () => {
   try {
-    await AsyncStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-    return true;
+    return await removeSecureItem(storageKey(STORAGE_KEYS.AUTH_TOKEN));
   } catch (error) {
     console.error('Error removing auth token:', error);
     return false;
   }
 };
 
+/**
+ * Save refresh token
+ * @param {string} token - Refresh token used to renew the auth token
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveRefreshToken = async (token) => {
+  try {
+    if (!token) {
+      console.warn('No token provided to saveRefreshToken');
+      return false;
+    }
+    return await setSecureItem(storageKey(STORAGE_KEYS.REFRESH_TOKEN), token);
+  } catch (error) {
+    console.error('Error saving refresh token:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve refresh token
+ * @returns {Promise<string|null>} Refresh token or null
+ */
+export const getRefreshToken = async () => {
+  try {
+    const token = await getSecureItem(storageKey(STORAGE_KEYS.REFRESH_TOKEN));
+    return token;
+  } catch (error) {
+    console.error('Error retrieving refresh token:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove refresh token
+ * @returns {Promise<boolean>} Success status
+ */
+export const removeRefreshToken = async () => {
+  try {
+    return await removeSecureItem(storageKey(STORAGE_KEYS.REFRESH_TOKEN));
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+    return false;
+  }
+};
+
 /**
  * Rider ID Management
  */
@@ -80,7 +157,7 @@ export const saveRiderId = async (id) => {
       console.warn('No rider ID provided to saveRiderId');
       return false;
     }
-    await AsyncStorage.setItem(STORAGE_KEYS.RIDER_ID, String(id));
+    await AsyncStorage.setItem(storageKey(STORAGE_KEYS.RIDER_ID), String(id));
     return true;
   } catch (error) {
     console.error('Error saving rider ID:', error);
@@ -94,7 +171,9 @@ export const saveRiderId = async (id) => {
  */
 export const getRiderId = async () => {
   try {
-    const riderId = await AsyncStorage.getItem(STORAGE_KEYS.RIDER_ID);
+    const riderId = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.RIDER_ID)
+    );
     return riderId;
   } catch (error) {
     console.error('Error retrieving rider ID:', error);
@@ -113,7 +192,10 @@ export const saveRiderName = async (name) => {
       console.warn('No rider Name provided to saveRiderName');
       return false;
     }
-    await AsyncStorage.setItem(STORAGE_KEYS.RIDER_NAME, String(name));
+    await AsyncStorage.setItem(
+      storageKey(STORAGE_KEYS.RIDER_NAME),
+      String(name)
+    );
     return true;
   } catch (error) {
     console.error('Error saving rider Name:', error);
@@ -127,7 +209,9 @@ export const saveRiderName = async (name) => {
  */
 export const getRiderName = async () => {
   try {
-    const riderName = await AsyncStorage.getItem(STORAGE_KEYS.RIDER_NAME);
+    const riderName = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.RIDER_NAME)
+    );
     return riderName;
   } catch (error) {
     console.error('Error retrieving rider Name:', error);
@@ -139,6 +223,29 @@ export const getRiderName = async () => {
  * Trip Data Management
  */
 
+/**
+ * Run a trip data write after any pending ones
+ * Several services update different fields of the same record, so each
+ * read-modify-write must finish before the next one reads.
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Operation result
+ */
+const withTripData = (operation) => {
+  const result = tripDataQueue.then(operation);
+  tripDataQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Write the trip data record
+ * @param {Object} tripData - Trip data object
+ * @returns {Promise<void>}
+ */
+const writeTripData = async (tripData) => {
+  const jsonValue = JSON.stringify(tripData);
+  await AsyncStorage.setItem(storageKey(STORAGE_KEYS.TRIP_DATA), jsonValue);
+};
+
 /**
  * Save current trip data
  * @param {Object} tripData - Trip data object
@@ -150,8 +257,7 @@ export const saveTripData = async (tripData) => {
       console.warn('No trip data provided to saveTripData');
       return false;
     }
-    const jsonValue = JSON.stringify(tripData);
-    await AsyncStorage.setItem(STORAGE_KEYS.TRIP_DATA, jsonValue);
+    await withTripData(() => writeTripData(tripData));
     return true;
   } catch (error) {
     console.error('Error saving trip data:', error);
@@ -165,7 +271,9 @@ export const saveTripData = async (tripData) => {
  */
 export const getTripData = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.TRIP_DATA);
+    const jsonValue = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.TRIP_DATA)
+    );
     return jsonValue != null ? JSON.parse(jsonValue) : null;
   } catch (error) {
     console.error('Error retrieving trip data:', error);
@@ -173,13 +281,43 @@ export const getTripData = async () => {
   }
 };
 
+/**
+ * Merge fields into the current trip data
+ * Updates that depend on the stored values (counters, high-water marks)
+ * pass a function, which is called with the trip data as it is when the
+ * update runs.
+ * @param {Object|Function} updates - Fields to merge, or a function that
+ * receives the stored trip data and returns them
+ * @returns {Promise<boolean>} Success status
+ */
+export const updateTripData = async (updates) => {
+  try {
+    return await withTripData(async () => {
+      const tripData = await getTripData();
+      if (!tripData) {
+        console.warn('No trip data found to update');
+        return false;
+      }
+      const fields =
+        typeof updates === 'function' ? updates(tripData) : updates;
+      await writeTripData({ ...tripData, ...fields });
+      return true;
+    });
+  } catch (error) {
+    console.error('Error updating trip data:', error);
+    return false;
+  }
+};
+
 /**
  * Clear trip data
  * @returns {Promise<boolean>} Success status
  */
 export const clearTripData = async () => {
   try {
-    await AsyncStorage.removeItem(STORAGE_KEYS.TRIP_DATA);
+    await withTripData(() =>
+      AsyncStorage.removeItem(storageKey(STORAGE_KEYS.TRIP_DATA))
+    );
     return true;
   } catch (error) {
     console.error('Error clearing trip data:', error);
@@ -193,6 +331,7 @@ export const clearTripData = async () => {
 
 /**
  * Save GPS coordinates array
+ * @deprecated Rewrites the whole array - use appendCoordinates with a trip log
  * @param {Array} coords - Array of coordinate objects
  * @returns {Promise<boolean>} Success status
  */
@@ -203,7 +342,7 @@ export const saveCoordinates = async (coords) => {
       return false;
     }
     const jsonValue = JSON.stringify(coords);
-    await AsyncStorage.setItem(STORAGE_KEYS.COORDINATES, jsonValue);
+    await AsyncStorage.setItem(storageKey(STORAGE_KEYS.COORDINATES), jsonValue);
     return true;
   } catch (error) {
     console.error('Error saving coordinates:', error);
@@ -213,11 +352,14 @@ export const saveCoordinates = async (coords) => {
 
 /**
  * Retrieve saved GPS coordinates
+ * @deprecated Legacy single-key storage - use getTripCoordinates
  * @returns {Promise<Array>} Array of coordinate objects or empty array
  */
 export const getCoordinates = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.COORDINATES);
+    const jsonValue = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.COORDINATES)
+    );
     return jsonValue != null ? JSON.parse(jsonValue) : [];
   } catch (error) {
     console.error('Error retrieving coordinates:', error);
@@ -227,6 +369,7 @@ export const getCoordinates = async () => {
 
 /**
  * Append single coordinate to existing coordinates array
+ * @deprecated Rewrites the whole array - use appendCoordinates with a trip log
  * @param {Object} coord - Coordinate object {latitude, longitude, timestamp, etc.}
  * @returns {Promise<boolean>} Success status
  */
@@ -245,8 +388,8 @@ export const appendCoordinate = async (coord) => {
 
     // Save updated array
     const jsonValue = JSON.stringify(updatedCoords);
-    await AsyncStorage.setItem(STORAGE_KEYS.COORDINATES, jsonValue);
-    
+    await AsyncStorage.setItem(storageKey(STORAGE_KEYS.COORDINATES), jsonValue);
+
     return true;
   } catch (error) {
     console.error('Error appending coordinate:', error);
@@ -256,11 +399,12 @@ export const appendCoordinate = async (coord) => {
 
 /**
  * Clear all coordinates
+ * @deprecated Legacy single-key storage - use clearCoordinateLog
  * @returns {Promise<boolean>} Success status
  */
 export const clearCoordinates = async () => {
   try {
-    await AsyncStorage.removeItem(STORAGE_KEYS.COORDINATES);
+    await AsyncStorage.removeItem(storageKey(STORAGE_KEYS.COORDINATES));
     return true;
   } catch (error) {
     console.error('Error clearing coordinates:', error);
@@ -268,17 +412,517 @@ export const clearCoordinates = async () => {
   }
 };
 
+/**
+ * Chunked Coordinate Log
+ * Coordinates are stored per trip as numbered chunk keys plus an index
+ * record, so recording a fix never rewrites the points already stored.
+ */
+
+/**
+ * Get the coordinate log ID for a trip
+ * Uses the device-generated local ID, which never changes when a
+ * provisional trip ID is remapped to the server ID.
+ * @param {Object|null} tripData - Trip data object
+ * @returns {string|null} Coordinate log ID or null
+ */
+export const getTripLogId = (tripData) => {
+  if (tripData?.local_id) {
+    return tripData.local_id;
+  }
+  return tripData?.trip_id != null ? String(tripData.trip_id) : null;
+};
+
+/**
+ * Build the storage key of a coordinate log index
+ * @param {string} logId - Coordinate log ID
+ * @returns {string} Storage key
+ */
+const getLogIndexKey = (logId) => `${getCoordinateLogPrefix()}${logId}:index`;
+
+/**
+ * Build the storage key of a coordinate log chunk
+ * @param {string} logId - Coordinate log ID
+ * @param {number} chunkId - Chunk number
+ * @returns {string} Storage key
+ */
+const getLogChunkKey = (logId, chunkId) =>
+  `${getCoordinateLogPrefix()}${logId}:${chunkId}`;
+
+/**
+ * Run a coordinate log operation after any pending ones
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Operation result
+ */
+const withCoordinateLog = (operation) => {
+  const result = coordinateLogQueue.then(operation);
+  coordinateLogQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Read a coordinate log index
+ * @param {string} logId - Coordinate log ID
+ * @returns {Promise<Object>} Index {length, chunks: [{id, count}], next_chunk_id}
+ */
+const readLogIndex = async (logId) => {
+  const jsonValue = await AsyncStorage.getItem(getLogIndexKey(logId));
+  return jsonValue != null
+    ? JSON.parse(jsonValue)
+    : { length: 0, chunks: [], next_chunk_id: 0 };
+};
+
+/**
+ * Merge trailing partial chunks into full ones
+ * New chunks are written before the index, and old chunks removed last,
+ * so an interrupted compaction never loses points.
+ * @param {string} logId - Coordinate log ID
+ * @param {Object} index - Current index
+ * @param {boolean} all - Repack every chunk instead of only the trailing partial ones
+ * @returns {Promise<Object>} Updated index
+ */
+const compactLog = async (logId, index, all) => {
+  let firstIndex = 0;
+  if (!all) {
+    firstIndex = index.chunks.length;
+    while (
+      firstIndex > 0 &&
+      index.chunks[firstIndex - 1].count < COORDINATE_CHUNK_SIZE
+    ) {
+      firstIndex -= 1;
+    }
+  }
+
+  const oldChunks = index.chunks.slice(firstIndex);
+  if (oldChunks.length < 2 && !all) {
+    return index;
+  }
+
+  const oldKeys = oldChunks.map((chunk) => getLogChunkKey(logId, chunk.id));
+  const values = await AsyncStorage.multiGet(oldKeys);
+  const points = values.flatMap(([, value]) =>
+    value != null ? JSON.parse(value) : []
+  );
+
+  let nextChunkId = index.next_chunk_id;
+  const newChunks = [];
+  const writes = [];
+
+  for (let i = 0; i < points.length; i += COORDINATE_CHUNK_SIZE) {
+    const chunkPoints = points.slice(i, i + COORDINATE_CHUNK_SIZE);
+    newChunks.push({ id: nextChunkId, count: chunkPoints.length });
+    writes.push([
+      getLogChunkKey(logId, nextChunkId),
+      JSON.stringify(chunkPoints),
+    ]);
+    nextChunkId += 1;
+  }
+
+  const oldCount = oldChunks.reduce((sum, chunk) => sum + chunk.count, 0);
+  const updatedIndex = {
+    length: index.length - oldCount + points.length,
+    chunks: [...index.chunks.slice(0, firstIndex), ...newChunks],
+    next_chunk_id: nextChunkId,
+  };
+
+  await AsyncStorage.multiSet([
+    ...writes,
+    [getLogIndexKey(logId), JSON.stringify(updatedIndex)],
+  ]);
+  await AsyncStorage.multiRemove(oldKeys);
+
+  return updatedIndex;
+};
+
+/**
+ * Append coordinates to a trip's coordinate log
+ * Only a new chunk and the index are written; existing chunks are untouched.
+ * @param {string} logId - Coordinate log ID (see getTripLogId)
+ * @param {Array} coords - Coordinate objects to append
+ * @returns {Promise<boolean>} Success status
+ */
+export const appendCoordinates = async (logId, coords) => {
+  try {
+    if (!logId || !Array.isArray(coords)) {
+      console.warn('Invalid arguments provided to appendCoordinates');
+      return false;
+    }
+    if (coords.length === 0) {
+      return true;
+    }
+
+    return await withCoordinateLog(async () => {
+      const index = await readLogIndex(logId);
+      const chunkId = index.next_chunk_id;
+      const updatedIndex = {
+        length: index.length + coords.length,
+        chunks: [...index.chunks, { id: chunkId, count: coords.length }],
+        next_chunk_id: chunkId + 1,
+      };
+
+      await AsyncStorage.multiSet([
+        [getLogChunkKey(logId, chunkId), JSON.stringify(coords)],
+        [getLogIndexKey(logId), JSON.stringify(updatedIndex)],
+      ]);
+
+      // Fold many single-fix chunks into full chunks now and then
+      const partialChunks = updatedIndex.chunks.filter(
+        (chunk) => chunk.count < COORDINATE_CHUNK_SIZE
+      ).length;
+      if (partialChunks >= COORDINATE_COMPACT_THRESHOLD) {
+        await compactLog(logId, updatedIndex, false);
+      }
+
+      return true;
+    });
+  } catch (error) {
+    console.error('Error appending coordinates:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the number of coordinates in a trip's coordinate log
+ * @param {string} logId - Coordinate log ID
+ * @returns {Promise<number>} Coordinate count
+ */
+export const getCoordinateCount = async (logId) => {
+  try {
+    if (!logId) {
+      return 0;
+    }
+    const index = await readLogIndex(logId);
+    return index.length;
+  } catch (error) {
+    console.error('Error retrieving coordinate count:', error);
+    return 0;
+  }
+};
+
+/**
+ * Retrieve a range of coordinates from a trip's coordinate log
+ * Only the chunks overlapping the range are read.
+ * @param {string} logId - Coordinate log ID
+ * @param {number} start - First position (inclusive)
+ * @param {number} end - Last position (exclusive), defaults to the end of the log
+ * @returns {Promise<Array>} Array of coordinate objects or empty array
+ */
+export const getCoordinateRange = async (logId, start = 0, end) => {
+  try {
+    if (!logId) {
+      return [];
+    }
+
+    const index = await readLogIndex(logId);
+    const rangeEnd = Math.min(end ?? index.length, index.length);
+    const rangeStart = Math.max(start, 0);
+
+    if (rangeStart >= rangeEnd) {
+      return [];
+    }
+
+    // Find the chunks overlapping [rangeStart, rangeEnd)
+    const selected = [];
+    let offset = 0;
+    index.chunks.forEach((chunk) => {
+      if (offset < rangeEnd && offset + chunk.count > rangeStart) {
+        selected.push({ ...chunk, offset });
+      }
+      offset += chunk.count;
+    });
+
+    const values = await AsyncStorage.multiGet(
+      selected.map((chunk) => getLogChunkKey(logId, chunk.id))
+    );
+
+    return selected.flatMap((chunk, i) => {
+      const points = values[i][1] != null ? JSON.parse(values[i][1]) : [];
+      return points.slice(
+        Math.max(rangeStart - chunk.offset, 0),
+        rangeEnd - chunk.offset
+      );
+    });
+  } catch (error) {
+    console.error('Error retrieving coordinate range:', error);
+    return [];
+  }
+};
+
+/**
+ * Retrieve all coordinates of a trip's coordinate log
+ * @param {string} logId - Coordinate log ID
+ * @returns {Promise<Array>} Array of coordinate objects or empty array
+ */
+export const getTripCoordinates = async (logId) => {
+  return getCoordinateRange(logId, 0);
+};
+
+/**
+ * Repack a trip's coordinate log into full chunks
+ * @param {string} logId - Coordinate log ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const compactCoordinateLog = async (logId) => {
+  try {
+    if (!logId) {
+      return false;
+    }
+    return await withCoordinateLog(async () => {
+      const index = await readLogIndex(logId);
+      if (index.chunks.length > 0) {
+        await compactLog(logId, index, true);
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error('Error compacting coordinate log:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove a trip's coordinate log
+ * @param {string} logId - Coordinate log ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const clearCoordinateLog = async (logId) => {
+  try {
+    if (!logId) {
+      return false;
+    }
+    return await withCoordinateLog(async () => {
+      const keys = await AsyncStorage.getAllKeys();
+      const logKeys = keys.filter((key) =>
+        key.startsWith(`${getCoordinateLogPrefix()}${logId}:`)
+      );
+      await AsyncStorage.multiRemove(logKeys);
+      return true;
+    });
+  } catch (error) {
+    console.error('Error clearing coordinate log:', error);
+    return false;
+  }
+};
+
+/**
+ * Move coordinates saved under the legacy single key into a trip's log
+ * @param {string} logId - Coordinate log ID of the active trip
+ * @returns {Promise<number>} Number of migrated coordinates
+ */
+export const migrateLegacyCoordinates = async (logId) => {
+  try {
+    const legacyCoords = await getCoordinates();
+
+    if (!logId || legacyCoords.length === 0) {
+      return 0;
+    }
+
+    const appended = await appendCoordinates(logId, legacyCoords);
+    if (!appended) {
+      return 0;
+    }
+
+    await compactCoordinateLog(logId);
+    await clearCoordinates();
+    return legacyCoords.length;
+  } catch (error) {
+    console.error('Error migrating legacy coordinates:', error);
+    return 0;
+  }
+};
+
+/**
+ * Outbox Management
+ */
+
+/**
+ * Save outbox entries
+ * @param {Array} entries - Array of queued API calls
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveOutbox = async (entries) => {
+  try {
+    if (!Array.isArray(entries)) {
+      console.warn('Invalid entries array provided to saveOutbox');
+      return false;
+    }
+    const jsonValue = JSON.stringify(entries);
+    await AsyncStorage.setItem(storageKey(STORAGE_KEYS.OUTBOX), jsonValue);
+    return true;
+  } catch (error) {
+    console.error('Error saving outbox:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve outbox entries
+ * @returns {Promise<Array>} Array of queued API calls or empty array
+ */
+export const getOutbox = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.OUTBOX)
+    );
+    return jsonValue != null ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error('Error retrieving outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Save mapping of provisional local trip IDs to server trip IDs
+ * @param {Object} idMap - Map of local ID to server ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveTripIdMap = async (idMap) => {
+  try {
+    const jsonValue = JSON.stringify(idMap || {});
+    await AsyncStorage.setItem(storageKey(STORAGE_KEYS.TRIP_ID_MAP), jsonValue);
+    return true;
+  } catch (error) {
+    console.error('Error saving trip ID map:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve mapping of provisional local trip IDs to server trip IDs
+ * @returns {Promise<Object>} Map of local ID to server ID or empty object
+ */
+export const getTripIdMap = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.TRIP_ID_MAP)
+    );
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+  } catch (error) {
+    console.error('Error retrieving trip ID map:', error);
+    return {};
+  }
+};
+
+/**
+ * Location Permission
+ */
+
+/**
+ * Save the outcome of the last location permission request
+ * @param {Object} state - Request outcome {requested, blocked}
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveLocationPermissionState = async (state) => {
+  try {
+    const jsonValue = JSON.stringify(state);
+    await AsyncStorage.setItem(
+      storageKey(STORAGE_KEYS.LOCATION_PERMISSION),
+      jsonValue
+    );
+    return true;
+  } catch (error) {
+    console.error('Error saving location permission state:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve the outcome of the last location permission request
+ * @returns {Promise<Object>} Request outcome {requested, blocked}
+ */
+export const getLocationPermissionState = async () => {
+  const defaults = { requested: false, blocked: false };
+  try {
+    const jsonValue = await AsyncStorage.getItem(
+      storageKey(STORAGE_KEYS.LOCATION_PERMISSION)
+    );
+    return jsonValue != null
+      ? { ...defaults, ...JSON.parse(jsonValue) }
+      : defaults;
+  } catch (error) {
+    console.error('Error retrieving location permission state:', error);
+    return defaults;
+  }
+};
+
+/**
+ * Trip History Cache
+ */
+
+/**
+ * Save the trip history last fetched for a rider
+ * @param {string|number} riderId - Rider ID
+ * @param {Array} trips - Trip summaries
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveTripHistoryCache = async (riderId, trips) => {
+  try {
+    if (!Array.isArray(trips)) {
+      console.warn('Invalid trips array provided to saveTripHistoryCache');
+      return false;
+    }
+    const jsonValue = JSON.stringify({
+      trips,
+      updated_at: new Date().toISOString(),
+    });
+    await AsyncStorage.setItem(
+      `${getTripHistoryPrefix()}${riderId}`,
+      jsonValue
+    );
+    return true;
+  } catch (error) {
+    console.error('Error saving trip history cache:', error);
+    return false;
+  }
+};
+
+/**
+ * Retrieve the cached trip history for a rider
+ * @param {string|number} riderId - Rider ID
+ * @returns {Promise<Object|null>} Cache {trips, updated_at} or null
+ */
+export const getTripHistoryCache = async (riderId) => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(
+      `${getTripHistoryPrefix()}${riderId}`
+    );
+    return jsonValue != null ? JSON.parse(jsonValue) : null;
+  } catch (error) {
+    console.error('Error retrieving trip history cache:', error);
+    return null;
+  }
+};
+
 /**
  * Clear all app data
  * @returns {Promise<boolean>} Success status
  */
 export const clearAllData = async () => {
   try {
+    const keys = await AsyncStorage.getAllKeys();
+    const logPrefix = getCoordinateLogPrefix();
+    // Routes of trips still waiting in the outbox are kept with it
+    const queuedLogIds = new Set(
+      (await getOutbox()).map((entry) => entry.payload?.log_id)
+    );
+    const coordinateLogKeys = keys.filter(
+      (key) =>
+        key.startsWith(logPrefix) &&
+        !queuedLogIds.has(key.slice(logPrefix.length, key.lastIndexOf(':')))
+    );
+    const tripHistoryKeys = keys.filter((key) =>
+      key.startsWith(getTripHistoryPrefix())
+    );
+
+    await removeSecureItem(storageKey(STORAGE_KEYS.AUTH_TOKEN));
+    await removeSecureItem(storageKey(STORAGE_KEYS.REFRESH_TOKEN));
+
     await AsyncStorage.multiRemove([
-      STORAGE_KEYS.AUTH_TOKEN,
-      STORAGE_KEYS.RIDER_ID,
-      STORAGE_KEYS.TRIP_DATA,
-      STORAGE_KEYS.COORDINATES,
+      storageKey(STORAGE_KEYS.RIDER_ID),
+      storageKey(STORAGE_KEYS.TRIP_DATA),
+      storageKey(STORAGE_KEYS.COORDINATES),
+      ...coordinateLogKeys,
+      ...tripHistoryKeys,
+      // Outbox is kept so queued trip uploads survive a logout
     ]);
     return true;
   } catch (error) {
@@ -306,25 +950,51 @@ export default {
   saveAuthToken,
   getAuthToken,
   removeAuthToken,
-  
+  saveRefreshToken,
+  getRefreshToken,
+  removeRefreshToken,
+
   // Rider
   saveRiderId,
   getRiderId,
   saveRiderName,
   getRiderName,
-  
+
   // Trip
   saveTripData,
   getTripData,
+  updateTripData,
   clearTripData,
-  
+
   // Coordinates
   saveCoordinates,
   getCoordinates,
   appendCoordinate,
   clearCoordinates,
-  
+  getTripLogId,
+  appendCoordinates,
+  getCoordinateCount,
+  getCoordinateRange,
+  getTripCoordinates,
+  compactCoordinateLog,
+  clearCoordinateLog,
+  migrateLegacyCoordinates,
+
+  // Outbox
+  saveOutbox,
+  getOutbox,
+  saveTripIdMap,
+  getTripIdMap,
+
+  // Location Permission
+  saveLocationPermissionState,
+  getLocationPermissionState,
+
+  // Trip History
+  saveTripHistoryCache,
+  getTripHistoryCache,
+
   // Utility
   clearAllData,
   getAllKeys,
-};
\ No newline at end of file
+};
@@ -0,0 +1,426 @@
+/**
+ * Trip Export Service
+ * Convert a recorded trip into GPX, KML, GeoJSON or CSV and hand the file
+ * to the OS share sheet
+ */
+
+import Share from 'react-native-share';
+import ReactNativeBlobUtil from 'react-native-blob-util';
+import { getTripData, getTripLogId, getTripCoordinates } from './storage';
+
+// Supported export formats
+export const EXPORT_FORMATS = {
+  GPX: 'gpx',
+  KML: 'kml',
+  GEOJSON: 'geojson',
+  CSV: 'csv',
+};
+
+// File details for each format
+const FORMAT_DETAILS = {
+  [EXPORT_FORMATS.GPX]: {
+    label: 'GPX',
+    extension: 'gpx',
+    mimeType: 'application/gpx+xml',
+  },
+  [EXPORT_FORMATS.KML]: {
+    label: 'KML',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+  },
+  [EXPORT_FORMATS.GEOJSON]: {
+    label: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+  },
+  [EXPORT_FORMATS.CSV]: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+  },
+};
+
+// Creator written into exported files
+const CREATOR = 'Express Rider';
+
+// Namespace for per-point fields GPX 1.1 has no element for
+const GPX_EXTENSION_NAMESPACE = 'urn:express-rider:gpx:1';
+
+/**
+ * Helpers
+ */
+
+/**
+ * Convert a coordinate timestamp to ISO format
+ * @param {number|string} timestamp - Milliseconds since epoch or date string
+ * @returns {string|null} ISO date string or null if missing or invalid
+ */
+const toIsoTime = (timestamp) => {
+  if (timestamp === null || timestamp === undefined || timestamp === '') {
+    return null;
+  }
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Check if a value is a usable number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+const isNumber = (value) => {
+  return typeof value === 'number' && Number.isFinite(value);
+};
+
+/**
+ * Escape text for use in XML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Get a display name for a trip
+ * @param {Object} trip - Export trip
+ * @returns {string} Trip name
+ */
+const getTripName = (trip) => {
+  return trip.id !== null ? `Trip #${trip.id}` : 'Trip';
+};
+
+/**
+ * Normalize a trip for export
+ * Accepts the active trip stored on the device (snake_case fields) as well
+ * as a trip summary from history (camelCase fields).
+ * @param {Object} trip - Trip data
+ * @returns {Object} Export trip {id, startTime, endTime, distance, coordinates}
+ */
+export const toExportTrip = (trip) => {
+  const coordinates = (
+    Array.isArray(trip?.coordinates) ? trip.coordinates : []
+  ).filter((coord) => isNumber(coord?.latitude) && isNumber(coord?.longitude));
+
+  return {
+    id: trip?.id ?? trip?.trip_id ?? null,
+    startTime: trip?.startTime ?? trip?.start_time ?? null,
+    endTime: trip?.endTime ?? trip?.end_time ?? null,
+    distance: trip?.distance ?? trip?.total_distance ?? null,
+    coordinates,
+  };
+};
+
+/**
+ * Serializers
+ */
+
+/**
+ * Build a GPX 1.1 document
+ * Accuracy and speed have no GPX 1.1 element, so they are written as
+ * track point extensions.
+ * @param {Object} trip - Trip data
+ * @returns {string} GPX document
+ */
+export const toGPX = (trip) => {
+  const exportTrip = toExportTrip(trip);
+  const name = escapeXml(getTripName(exportTrip));
+  const startTime = toIsoTime(exportTrip.startTime);
+
+  const points = exportTrip.coordinates.map((coord) => {
+    const time = toIsoTime(coord.timestamp);
+    const extensions = [
+      isNumber(coord.accuracy) &&
+        `<rider:accuracy>${coord.accuracy}</rider:accuracy>`,
+      isNumber(coord.speed) && `<rider:speed>${coord.speed}</rider:speed>`,
+    ].filter(Boolean);
+
+    return [
+      `      <trkpt lat="${coord.latitude}" lon="${coord.longitude}">`,
+      isNumber(coord.altitude) && `        <ele>${coord.altitude}</ele>`,
+      time && `        <time>${time}</time>`,
+      extensions.length > 0 &&
+        `        <extensions>${extensions.join('')}</extensions>`,
+      '      </trkpt>',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:rider="${GPX_EXTENSION_NAMESPACE}">`,
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    startTime && `    <time>${startTime}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${name}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ]
+    .filter((line) => line !== null && line !== false)
+    .join('\n');
+};
+
+/**
+ * Build a KML document
+ * Uses a gx:Track so each point keeps its time, with accuracy and speed
+ * as per-point extended data.
+ * @param {Object} trip - Trip data
+ * @returns {string} KML document
+ */
+export const toKML = (trip) => {
+  const exportTrip = toExportTrip(trip);
+  const name = escapeXml(getTripName(exportTrip));
+  const { coordinates } = exportTrip;
+  const hasAltitude = coordinates.every((coord) => isNumber(coord.altitude));
+
+  const whens = coordinates.map(
+    (coord) => `        <when>${toIsoTime(coord.timestamp) ?? ''}</when>`
+  );
+  const coords = coordinates.map(
+    (coord) =>
+      `        <gx:coord>${coord.longitude} ${coord.latitude} ${
+        isNumber(coord.altitude) ? coord.altitude : 0
+      }</gx:coord>`
+  );
+
+  /**
+   * Build a per-point data array
+   * @param {string} field - Coordinate field
+   * @returns {string} gx:SimpleArrayData element
+   */
+  const arrayData = (field) =>
+    [
+      `          <gx:SimpleArrayData name="${field}">`,
+      ...coordinates.map(
+        (coord) =>
+          `            <gx:value>${
+            isNumber(coord[field]) ? coord[field] : ''
+          }</gx:value>`
+      ),
+      '          </gx:SimpleArrayData>',
+    ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${name}</name>`,
+    '    <Schema id="fix">',
+    '      <gx:SimpleArrayField name="accuracy" type="float"/>',
+    '      <gx:SimpleArrayField name="speed" type="float"/>',
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${name}</name>`,
+    '      <gx:Track>',
+    `        <altitudeMode>${
+      hasAltitude ? 'absolute' : 'clampToGround'
+    }</altitudeMode>`,
+    ...whens,
+    ...coords,
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#fix">',
+    arrayData('accuracy'),
+    arrayData('speed'),
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a GeoJSON FeatureCollection with the route as a LineString
+ * Altitude is the third position value; per-point times, accuracy and speed
+ * are kept in `coordinateProperties`, in the same order as the positions.
+ * @param {Object} trip - Trip data
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const toGeoJSON = (trip) => {
+  const exportTrip = toExportTrip(trip);
+  const { coordinates } = exportTrip;
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: coordinates.map((coord) =>
+            isNumber(coord.altitude)
+              ? [coord.longitude, coord.latitude, coord.altitude]
+              : [coord.longitude, coord.latitude]
+          ),
+        },
+        properties: {
+          name: getTripName(exportTrip),
+          tripId: exportTrip.id,
+          startTime: toIsoTime(exportTrip.startTime),
+          endTime: toIsoTime(exportTrip.endTime),
+          distance: exportTrip.distance,
+          coordinateProperties: {
+            times: coordinates.map((coord) => toIsoTime(coord.timestamp)),
+            accuracy: coordinates.map((coord) =>
+              isNumber(coord.accuracy) ? coord.accuracy : null
+            ),
+            speed: coordinates.map((coord) =>
+              isNumber(coord.speed) ? coord.speed : null
+            ),
+          },
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Build a CSV file with one row per GPS point
+ * @param {Object} trip - Trip data
+ * @returns {string} CSV text
+ */
+export const toCSV = (trip) => {
+  const { coordinates } = toExportTrip(trip);
+  const header = 'timestamp,latitude,longitude,altitude,accuracy,speed';
+
+  const rows = coordinates.map((coord) =>
+    [
+      toIsoTime(coord.timestamp) ?? '',
+      coord.latitude,
+      coord.longitude,
+      isNumber(coord.altitude) ? coord.altitude : '',
+      isNumber(coord.accuracy) ? coord.accuracy : '',
+      isNumber(coord.speed) ? coord.speed : '',
+    ].join(',')
+  );
+
+  return [header, ...rows, ''].join('\n');
+};
+
+/**
+ * Export
+ */
+
+/**
+ * Get the label shown for a format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} Format label
+ */
+export const getFormatLabel = (format) => {
+  return FORMAT_DETAILS[format]?.label ?? format;
+};
+
+/**
+ * Export a trip to a file
+ * @param {Object} trip - Trip data (active, stored or from history)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} File {filename, mimeType, content}
+ * @throws {Error} If the format is unknown or the trip has no route
+ */
+export const exportTrip = (trip, format) => {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const exportData = toExportTrip(trip);
+  if (exportData.coordinates.length === 0) {
+    throw new Error('This trip has no recorded route to export.');
+  }
+
+  let content;
+  switch (format) {
+    case EXPORT_FORMATS.GPX:
+      content = toGPX(exportData);
+      break;
+    case EXPORT_FORMATS.KML:
+      content = toKML(exportData);
+      break;
+    case EXPORT_FORMATS.GEOJSON:
+      content = JSON.stringify(toGeoJSON(exportData), null, 2);
+      break;
+    default:
+      content = toCSV(exportData);
+  }
+
+  const name = exportData.id !== null ? `trip-${exportData.id}` : 'trip';
+
+  return {
+    filename: `${name}.${details.extension}`,
+    mimeType: details.mimeType,
+    content,
+  };
+};
+
+/**
+ * Load the active trip with its full coordinate log for export
+ * @returns {Promise<Object|null>} Trip data with coordinates, or null if no trip is active
+ */
+export const getActiveTripForExport = async () => {
+  const tripData = await getTripData();
+  if (!tripData) {
+    return null;
+  }
+
+  const coordinates = await getTripCoordinates(getTripLogId(tripData));
+  return { ...tripData, coordinates };
+};
+
+/**
+ * Export a trip and open the share sheet
+ * The file is written to the cache directory so the receiving app gets a
+ * real file with the right name and extension.
+ * @param {Object} trip - Trip data (active, stored or from history)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Object>} Result {success, message}
+ */
+export const shareTrip = async (trip, format) => {
+  try {
+    const file = exportTrip(trip, format);
+    const path = `${ReactNativeBlobUtil.fs.dirs.CacheDir}/${file.filename}`;
+
+    await ReactNativeBlobUtil.fs.writeFile(path, file.content, 'utf8');
+
+    await Share.open({
+      title: `Share ${getFormatLabel(format)} file`,
+      url: `file://${path}`,
+      type: file.mimeType,
+      failOnCancel: false,
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Share trip error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to export trip.',
+    };
+  }
+};
+
+export default {
+  EXPORT_FORMATS,
+  toExportTrip,
+  toGPX,
+  toKML,
+  toGeoJSON,
+  toCSV,
+  getFormatLabel,
+  exportTrip,
+  getActiveTripForExport,
+  shareTrip,
+};
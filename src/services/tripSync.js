@@ -0,0 +1,140 @@
+/**
+ * Trip Sync Service
+ * Incremental upload of recorded GPS coordinates while a trip is active
+ */
+
+import { enqueue, processOutbox, OUTBOX_ACTIONS } from './outbox';
+import { getTripData, updateTripData } from './storage';
+import { CONFIG } from '../constants/config';
+
+// Latest sync run and its arguments (shared by overlapping location updates)
+let activeSync = null;
+
+/**
+ * Get the number of coordinates the server already has for a trip
+ * @param {Object|null} tripData - Stored trip data
+ * @returns {number} Synced coordinate count (high-water mark)
+ */
+export const getSyncedCount = (tripData) => {
+  return tripData?.synced_count || 0;
+};
+
+/**
+ * Get the number of coordinates handed to the outbox for a trip
+ * Everything below this mark reaches the server before the trip's end call.
+ * @param {Object|null} tripData - Stored trip data
+ * @returns {number} Queued coordinate count
+ */
+export const getQueuedCount = (tripData) => {
+  return Math.max(tripData?.queued_count || 0, getSyncedCount(tripData));
+};
+
+/**
+ * Queue unsynced coordinates in batches
+ * @param {Array} coordinates - Coordinates recorded for the active trip
+ * @param {boolean} force - Also queue a trailing partial batch
+ * @param {number} offset - Trip position of the first coordinate
+ * @returns {Promise<number>} Updated queued count
+ */
+const runSync = async (coordinates, force, offset) => {
+  const tripData = await getTripData();
+  let queuedCount = getQueuedCount(tripData);
+
+  if (!tripData || tripData.status !== 'active' || !tripData.trip_id) {
+    return queuedCount;
+  }
+
+  // The coordinates must include every point not yet queued
+  if (offset > queuedCount) {
+    console.warn('[TripSync] Coordinates start past the queued count');
+    return queuedCount;
+  }
+
+  const { batchSize } = CONFIG.tracking;
+  const startCount = queuedCount;
+  const total = offset + coordinates.length;
+
+  while (total - queuedCount >= batchSize || (force && total > queuedCount)) {
+    const start = queuedCount - offset;
+    const batch = coordinates.slice(start, start + batchSize);
+    const entry = await enqueue(OUTBOX_ACTIONS.SYNC_COORDINATES, {
+      trip_id: tripData.trip_id,
+      coordinates: batch,
+      synced_count: queuedCount + batch.length,
+    });
+
+    if (!entry) {
+      break;
+    }
+
+    queuedCount += batch.length;
+    await updateTripData({ queued_count: queuedCount });
+  }
+
+  if (queuedCount > startCount) {
+    processOutbox();
+  }
+
+  return queuedCount;
+};
+
+/**
+ * Sync pending coordinates of the active trip in batches of
+ * CONFIG.tracking.batchSize through the outbox. Only full batches are
+ * queued unless `force` is set. The server-confirmed high-water mark is
+ * stored as `synced_count` in the trip data once each batch is delivered.
+ * Callers that only hold the tail of the trip pass the position of its first
+ * coordinate as `offset`.
+ * @param {Array} coordinates - All coordinates recorded for the active trip,
+ * or the tail starting at `offset`
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Also queue a trailing partial batch
+ * @param {number} options.offset - Trip position of the first coordinate
+ * @returns {Promise<number>} Number of coordinates queued for the server
+ */
+export const syncPendingCoordinates = async (
+  coordinates,
+  { force = false, offset = 0 } = {}
+) => {
+  try {
+    if (!Array.isArray(coordinates)) {
+      return 0;
+    }
+
+    // Join the latest run only when it queues everything this call would
+    if (
+      activeSync &&
+      activeSync.offset === offset &&
+      (activeSync.force || !force) &&
+      activeSync.coordinates.length >= coordinates.length
+    ) {
+      return await activeSync.run;
+    }
+
+    // Otherwise run again once the previous run has finished
+    const previous = activeSync
+      ? activeSync.run.catch(() => {})
+      : Promise.resolve();
+    const sync = { coordinates, force, offset };
+    sync.run = previous
+      .then(() => runSync(coordinates, force, offset))
+      .finally(() => {
+        if (activeSync === sync) {
+          activeSync = null;
+        }
+      });
+    activeSync = sync;
+
+    return await sync.run;
+  } catch (error) {
+    console.error('Error syncing coordinates:', error);
+    const tripData = await getTripData();
+    return getQueuedCount(tripData);
+  }
+};
+
+export default {
+  getSyncedCount,
+  getQueuedCount,
+  syncPendingCoordinates,
+};
@@ -185,6 +185,24 @@ export const getDuration = (startTime, endTime) => {
   }
 };
 
+/**
+ * Calculate the total paused time of a trip in seconds
+ * A pause that has not ended yet counts up to endTime.
+ * @param {Array} pauses - Pause intervals [{start, end}, ...]
+ * @param {string|Date|number} endTime - End of the period to measure (defaults to now)
+ * @returns {number} Paused duration in seconds
+ */
+export const getPausedDuration = (pauses, endTime = new Date()) => {
+  if (!Array.isArray(pauses)) {
+    return 0;
+  }
+
+  return pauses.reduce(
+    (total, pause) => total + getDuration(pause.start, pause.end || endTime),
+    0
+  );
+};
+
 /**
  * Format date to long format
  * @param {string|Date|number} date - Date to format
@@ -303,6 +321,7 @@ export default {
   formatDuration,
   formatDurationWithSeconds,
   getDuration,
+  getPausedDuration,
   formatDateLong,
   formatDateShort,
   formatTime24Hour,
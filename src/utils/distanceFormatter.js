@@ -0,0 +1,50 @@
+/**
+ * Distance Formatter Utilities
+ * Display formatting for distances - calculations stay full precision
+ * and are only rounded here
+ */
+
+/**
+ * Check for a usable distance value
+ * @param {number} value - Distance
+ * @returns {boolean} True if a non-negative number
+ */
+const isValidDistance = (value) => {
+  return typeof value === 'number' && !isNaN(value) && value >= 0;
+};
+
+/**
+ * Format kilometers to a fixed number of decimals
+ * @param {number} kilometers - Distance in kilometers (full precision)
+ * @param {number} decimals - Decimal places to show
+ * @returns {string} Formatted value without unit (e.g., "12.35")
+ */
+export const formatKilometers = (kilometers, decimals = 2) => {
+  if (!isValidDistance(kilometers)) {
+    return (0).toFixed(decimals);
+  }
+  return kilometers.toFixed(decimals);
+};
+
+/**
+ * Format kilometers with a unit, showing meters below 1 km
+ * @param {number} kilometers - Distance in kilometers (full precision)
+ * @param {number} decimals - Decimal places for kilometers
+ * @returns {string} Formatted distance (e.g., "850 m" or "12.35 km")
+ */
+export const formatDistance = (kilometers, decimals = 2) => {
+  if (!isValidDistance(kilometers)) {
+    return '--';
+  }
+
+  if (kilometers < 1) {
+    return `${Math.round(kilometers * 1000)} m`;
+  }
+
+  return `${formatKilometers(kilometers, decimals)} km`;
+};
+
+export default {
+  formatKilometers,
+  formatDistance,
+};
@@ -0,0 +1,76 @@
+/**
+ * Trip List Utilities
+ * Helpers for building the trip history list from paged responses
+ */
+
+import { startOfDay, subDays } from 'date-fns';
+
+/**
+ * Get the date range covering the last few days
+ * @param {number|null} days - Number of days including today, or null for all time
+ * @param {Date} now - Current time
+ * @returns {{from: string|null, to: string|null}} Range (ISO format)
+ */
+export const getRecentDateRange = (days, now = new Date()) => {
+  if (!days) {
+    return { from: null, to: null };
+  }
+
+  return {
+    from: startOfDay(subDays(now, days - 1)).toISOString(),
+    to: null,
+  };
+};
+
+/**
+ * Check if a trip falls within a date range
+ * @param {Object} trip - Trip summary
+ * @param {Object} range - Date range {from, to} (ISO format)
+ * @returns {boolean} True if the trip date is within the range
+ */
+export const isTripInRange = (trip, { from, to } = {}) => {
+  const time = new Date(trip.date).getTime();
+
+  if (from && time < new Date(from).getTime()) {
+    return false;
+  }
+  if (to && time >= new Date(to).getTime()) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Append a page of trips to a list, dropping trips already in the list
+ * Pages can overlap when trips are added between requests; a repeated trip
+ * keeps its position and takes the newer data.
+ * @param {Array} existing - Trips already loaded
+ * @param {Array} incoming - Trips from the new page
+ * @returns {{trips: Array, added: number}} Merged list and count of new trips
+ */
+export const mergeTripPages = (existing, incoming) => {
+  const incomingById = new Map(incoming.map((trip) => [String(trip.id), trip]));
+
+  const trips = existing.map((trip) => {
+    const key = String(trip.id);
+    if (!incomingById.has(key)) {
+      return trip;
+    }
+    const updated = incomingById.get(key);
+    incomingById.delete(key);
+    return updated;
+  });
+
+  const added = [...incomingById.values()];
+
+  return {
+    trips: [...trips, ...added],
+    added: added.length,
+  };
+};
+
+export default {
+  getRecentDateRange,
+  isTripInRange,
+  mergeTripPages,
+};
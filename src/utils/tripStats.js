@@ -0,0 +1,89 @@
+/**
+ * Trip Statistics Utilities
+ * Summary figures for a recorded trip
+ */
+
+import { getDuration } from './dateFormatter';
+import {
+  calculateDistanceMeters,
+  calculateTotalDistanceMeters,
+} from '../services/haversine';
+
+// Conversion factor from meters per second to kilometers per hour
+const MPS_TO_KMH = 3.6;
+
+/**
+ * Get the highest speed recorded along a track
+ * Uses the device-reported speed of each point, falling back to the speed
+ * implied by consecutive points when the device reported none.
+ * @param {Array} coordinates - Array of coordinate objects
+ * @returns {number} Max speed in km/h
+ */
+export const getMaxSpeed = (coordinates) => {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return 0;
+  }
+
+  const reported = coordinates
+    .map((coord) => coord.speed)
+    .filter((speed) => typeof speed === 'number' && speed > 0);
+
+  if (reported.length > 0) {
+    return Math.max(...reported) * MPS_TO_KMH;
+  }
+
+  let maxSpeed = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const seconds =
+      (coordinates[i].timestamp - coordinates[i - 1].timestamp) / 1000;
+    const meters = calculateDistanceMeters(coordinates[i - 1], coordinates[i]);
+
+    if (seconds > 0 && meters !== null) {
+      maxSpeed = Math.max(maxSpeed, (meters / seconds) * MPS_TO_KMH);
+    }
+  }
+  return maxSpeed;
+};
+
+/**
+ * Calculate summary statistics for a trip
+ * Time spent paused is left out of the average speed when the trip records
+ * its moving time, and route segments across a pause are left out of a
+ * measured distance when the trip carries its pauses.
+ * @param {Object} trip - Trip object {startTime, endTime, distance, movingTime, pauses, coordinates}
+ * @returns {Object} Stats {durationSeconds, movingSeconds, distance, averageSpeed, maxSpeed, pointCount}
+ */
+export const getTripStats = (trip) => {
+  const coordinates = Array.isArray(trip?.coordinates) ? trip.coordinates : [];
+
+  const durationSeconds = trip?.endTime
+    ? getDuration(trip.startTime, trip.endTime)
+    : 0;
+  const movingSeconds =
+    typeof trip?.movingTime === 'number' && trip.movingTime >= 0
+      ? Math.min(trip.movingTime, durationSeconds)
+      : durationSeconds;
+
+  // Prefer the distance the server recorded, otherwise measure the route
+  const distance =
+    typeof trip?.distance === 'number' && trip.distance > 0
+      ? trip.distance
+      : calculateTotalDistanceMeters(coordinates, trip?.pauses) / 1000;
+
+  const averageSpeed =
+    movingSeconds > 0 ? distance / (movingSeconds / 3600) : 0;
+
+  return {
+    durationSeconds,
+    movingSeconds,
+    distance,
+    averageSpeed,
+    maxSpeed: getMaxSpeed(coordinates),
+    pointCount: coordinates.length,
+  };
+};
+
+export default {
+  getMaxSpeed,
+  getTripStats,
+};